@@ -0,0 +1,196 @@
+// Sample-rate and format conversion between the room's PCM and what providers send and receive
+//
+// The pipeline runs on mono Int16 at VOICE_SAMPLE_RATE (what LiveKit captures and plays). Providers
+// don't have to: speech uploads are smaller at 16 kHz, and a provider may answer at another rate or
+// in stereo. Everything that crosses that boundary goes through here:
+//   Resampler        streaming windowed-sinc resampler, keeps its state between pushes
+//   PcmConverter     raw Int16LE bytes (any rate, any channel count) -> mono Int16LE bytes at the room rate
+//   encodeUpload     one chunk as an upload body: WAV at any rate, or raw 16 kHz PCM
+// MP3 / Opus uploads would need an encoder dependency and are not offered.
+
+const { pcmToWavBuffer, bufferToInt16 } = require('./audio');
+
+const UPLOAD_FORMATS = ['wav', 'pcm'];
+const SPEECH_RATE = 16000;     // enough for speech and what speech models work at; raw PCM uploads are always at this rate
+const TABLE_STEPS = 256;       // kernel table resolution per input sample
+
+const clamp16 = (v) => Math.max(-32768, Math.min(32767, Math.round(v)));
+
+// Blackman-windowed sinc, low-passed at `cutoff` (1 = input Nyquist), tabulated over [0, halfWidth]
+function buildKernel(cutoff, halfWidth) {
+  const table = new Float32Array(halfWidth * TABLE_STEPS + 2);
+  for (let k = 0; k < table.length; k++) {
+    const x = k / TABLE_STEPS;
+    if (x > halfWidth) break;
+    const t = x / halfWidth;
+    const window = 0.42 + 0.5 * Math.cos(Math.PI * t) + 0.08 * Math.cos(2 * Math.PI * t);
+    const y = cutoff * x;
+    const sinc = y === 0 ? 1 : Math.sin(Math.PI * y) / (Math.PI * y);
+    table[k] = cutoff * sinc * window;
+  }
+  return table;
+}
+
+// Streaming resampler for mono Int16 PCM. Output sample n sits at input position n * from / to;
+// each one is a windowed-sinc sum over `quality` zero crossings on either side, so chunk borders
+// don't click as long as the same instance sees the whole stream.
+class Resampler {
+  constructor(fromRate, toRate, { quality = 16 } = {}) {
+    if (!(fromRate > 0) || !(toRate > 0)) throw new Error(`Invalid resampling rates ${fromRate} -> ${toRate}`);
+    this.fromRate = fromRate;
+    this.toRate = toRate;
+    this.step = fromRate / toRate;
+    // Downsampling moves the cutoff below the new Nyquist; a little headroom keeps aliasing out
+    this.cutoff = Math.min(1, toRate / fromRate) * 0.95;
+    this.halfWidth = Math.ceil(quality / this.cutoff);
+    this.kernel = fromRate === toRate ? null : buildKernel(this.cutoff, this.halfWidth);
+
+    this._pending = new Float32Array(this.halfWidth); // silence before the first sample
+    this._base = -this.halfWidth;                      // input index of _pending[0]
+    this._inCount = 0;
+    this._outCount = 0;
+  }
+
+  // Resample the next piece of the stream; returns the output samples that are complete
+  push(int16) {
+    if (!this.kernel) return Int16Array.from(int16);
+    const merged = new Float32Array(this._pending.length + int16.length);
+    merged.set(this._pending);
+    merged.set(int16, this._pending.length);
+    this._pending = merged;
+    this._inCount += int16.length;
+    return this._drain();
+  }
+
+  // End of stream: the remaining output, with silence as the missing right-hand context
+  flush() {
+    if (!this.kernel) return new Int16Array(0);
+    const total = Math.floor((this._inCount * this.toRate) / this.fromRate);
+    const padded = new Float32Array(this._pending.length + this.halfWidth + 1);
+    padded.set(this._pending);
+    this._pending = padded;
+    return this._drain(total);
+  }
+
+  _drain(limit = Infinity) {
+    const out = [];
+    const { kernel, halfWidth } = this;
+    while (this._outCount < limit) {
+      const center = this._outCount * this.step;
+      const first = Math.floor(center) - halfWidth + 1;
+      const last = Math.floor(center) + halfWidth;
+      if (last - this._base >= this._pending.length) break;
+
+      let sum = 0;
+      for (let i = first; i <= last; i++) {
+        const pos = Math.abs(center - i) * TABLE_STEPS;
+        const k = Math.floor(pos);
+        const frac = pos - k;
+        sum += this._pending[i - this._base] * (kernel[k] * (1 - frac) + kernel[k + 1] * frac);
+      }
+      out.push(clamp16(sum));
+      this._outCount++;
+    }
+
+    // Keep only what the next output still needs
+    const keepFrom = Math.floor(this._outCount * this.step) - halfWidth + 1;
+    if (keepFrom > this._base) {
+      this._pending = this._pending.slice(Math.min(this._pending.length, keepFrom - this._base));
+      this._base = keepFrom;
+    }
+    return Int16Array.from(out);
+  }
+}
+
+// One-shot resampling of a whole chunk
+function resample(int16, fromRate, toRate) {
+  if (fromRate === toRate) return int16;
+  const resampler = new Resampler(fromRate, toRate);
+  const head = resampler.push(int16);
+  const tail = resampler.flush();
+  const out = new Int16Array(head.length + tail.length);
+  out.set(head);
+  out.set(tail, head.length);
+  return out;
+}
+
+// Interleaved multi-channel Int16 -> mono (channel average)
+function downmix(int16, channels) {
+  if (channels <= 1) return int16;
+  const frames = Math.floor(int16.length / channels);
+  const mono = new Int16Array(frames);
+  for (let f = 0; f < frames; f++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += int16[f * channels + c];
+    mono[f] = Math.round(sum / channels);
+  }
+  return mono;
+}
+
+// Raw Int16LE byte stream in any rate / channel count -> mono Int16LE bytes at toRate.
+// Bytes that don't make up a whole multi-channel sample yet are carried into the next push.
+class PcmConverter {
+  constructor({ fromRate, toRate, channels = 1 }) {
+    this.channels = channels;
+    this.blockBytes = channels * 2;
+    this.resampler = new Resampler(fromRate, toRate);
+    this._carry = Buffer.alloc(0);
+  }
+
+  push(buf) {
+    const data = this._carry.length ? Buffer.concat([this._carry, buf]) : buf;
+    const usable = data.length - (data.length % this.blockBytes);
+    this._carry = Buffer.from(data.subarray(usable));
+    if (usable === 0) return Buffer.alloc(0);
+    const mono = downmix(bufferToInt16(data.subarray(0, usable)), this.channels);
+    return int16ToBuffer(this.resampler.push(mono));
+  }
+
+  flush() {
+    this._carry = Buffer.alloc(0);
+    return int16ToBuffer(this.resampler.flush());
+  }
+}
+
+// Pass a provider's byte stream through a PcmConverter unless it already matches the room format
+async function* convertPcmStream(chunks, { fromRate, toRate, channels = 1 }) {
+  if (fromRate === toRate && channels === 1) {
+    yield* chunks;
+    return;
+  }
+  const converter = new PcmConverter({ fromRate, toRate, channels });
+  for await (const chunk of chunks) {
+    const out = converter.push(chunk);
+    if (out.length) yield out;
+  }
+  const tail = converter.flush();
+  if (tail.length) yield tail;
+}
+
+function int16ToBuffer(int16) {
+  return Buffer.from(int16.buffer, int16.byteOffset, int16.byteLength);
+}
+
+// Mono PCM chunk -> upload body: { data, contentType, filename, sampleRate, format }
+function encodeUpload(int16, sampleRate, { format = 'wav', rate = sampleRate } = {}) {
+  if (format === 'pcm') {
+    const pcm = resample(int16, sampleRate, SPEECH_RATE);
+    return { data: Buffer.from(int16ToBuffer(pcm)), contentType: 'application/octet-stream', filename: 'chunk.pcm', sampleRate: SPEECH_RATE, format };
+  }
+  if (format === 'wav') {
+    const pcm = resample(int16, sampleRate, rate);
+    return { data: pcmToWavBuffer(pcm, rate), contentType: 'audio/wav', filename: 'chunk.wav', sampleRate: rate, format };
+  }
+  throw new Error(`Unknown upload format "${format}" (expected one of: ${UPLOAD_FORMATS.join(', ')})`);
+}
+
+module.exports = {
+  UPLOAD_FORMATS,
+  SPEECH_RATE,
+  Resampler,
+  PcmConverter,
+  resample,
+  downmix,
+  convertPcmStream,
+  encodeUpload,
+};
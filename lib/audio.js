@@ -0,0 +1,149 @@
+// Shared PCM / WAV helpers used by the worker and the conversion providers
+
+// Rate of the whole room pipeline: capture, conversion input, playout and recordings (mono Int16).
+// Providers convert to and from their own rates (see audio-format.js).
+const VOICE_SAMPLE_RATE = parseInt(process.env.ROOM_SAMPLE_RATE || '48000', 10);
+
+// make a tiny WAV from Int16Array mono PCM
+function pcmToWavBuffer(int16, sampleRate = VOICE_SAMPLE_RATE) {
+  const numChannels = 1, bitsPerSample = 16;
+  const byteRate = sampleRate * numChannels * bitsPerSample/8;
+  const blockAlign = numChannels * bitsPerSample/8;
+  const dataSize = int16.length * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+  let o = 0;
+  buffer.write('RIFF', o); o+=4;
+  buffer.writeUInt32LE(36 + dataSize, o); o+=4;
+  buffer.write('WAVE', o); o+=4;
+  buffer.write('fmt ', o); o+=4;
+  buffer.writeUInt32LE(16, o); o+=4;                // PCM fmt chunk
+  buffer.writeUInt16LE(1, o); o+=2;                 // PCM
+  buffer.writeUInt16LE(numChannels, o); o+=2;
+  buffer.writeUInt32LE(sampleRate, o); o+=4;
+  buffer.writeUInt32LE(byteRate, o); o+=4;
+  buffer.writeUInt16LE(blockAlign, o); o+=2;
+  buffer.writeUInt16LE(bitsPerSample, o); o+=2;
+  buffer.write('data', o); o+=4;
+  buffer.writeUInt32LE(dataSize, o); o+=4;
+  Buffer.from(int16.buffer, int16.byteOffset, int16.byteLength).copy(buffer, 44);
+  return buffer;
+}
+
+function pcm16ToWav(pcmBuf, sampleRate = 16000, channels = 1) {
+  const blockAlign = channels * 2, byteRate = sampleRate * blockAlign;
+  const h = Buffer.alloc(44);
+  h.write('RIFF', 0); h.writeUInt32LE(36 + pcmBuf.length, 4);
+  h.write('WAVE', 8); h.write('fmt ', 12); h.writeUInt32LE(16, 16);
+  h.writeUInt16LE(1, 20); h.writeUInt16LE(channels, 22);
+  h.writeUInt32LE(sampleRate, 24); h.writeUInt32LE(byteRate, 28);
+  h.writeUInt16LE(blockAlign, 32); h.writeUInt16LE(16, 34);
+  h.write('data', 36); h.writeUInt32LE(pcmBuf.length, 40);
+  return Buffer.concat([h, pcmBuf]);
+}
+
+// Helper function to calculate RMS dBFS level for voice activity detection
+function rmsDbFS(int16) {
+  if (!int16 || int16.length === 0) return -120;
+  let sum = 0;
+  for (let i = 0; i < int16.length; i++) {
+    const s = int16[i] / 32768; // normalize to -1..1
+    sum += s * s;
+  }
+  const rms = Math.sqrt(sum / int16.length);
+  const db = 20 * Math.log10(rms + 1e-12);
+  return Math.max(-120, db);
+}
+
+// View a Buffer of little-endian Int16 samples as an Int16Array (drops a trailing odd byte)
+function bufferToInt16(buf) {
+  const samples = Math.floor(buf.length / 2);
+  if (buf.byteOffset % 2 === 0) {
+    return new Int16Array(buf.buffer, buf.byteOffset, samples);
+  }
+  // Unaligned views are not allowed for Int16Array - copy first
+  const copy = Buffer.from(buf.subarray(0, samples * 2));
+  return new Int16Array(copy.buffer, copy.byteOffset, samples);
+}
+
+// Format of a PCM WAV file: { sampleRate, channels, bitsPerSample, dataOffset, dataBytes, durationMs },
+// or null when buf is not a PCM WAV. Walks the chunk list, so extra chunks (LIST, fact...) are fine.
+function parseWav(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 44) return null;
+  if (buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') return null;
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buf.length) {
+    const id = buf.toString('ascii', offset, offset + 4);
+    const size = buf.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ' && body + 16 <= buf.length) {
+      format = {
+        audioFormat: buf.readUInt16LE(body),
+        channels: buf.readUInt16LE(body + 2),
+        sampleRate: buf.readUInt32LE(body + 4),
+        bitsPerSample: buf.readUInt16LE(body + 14),
+      };
+    } else if (id === 'data' && format) {
+      if (format.audioFormat !== 1 || !format.channels || !format.sampleRate || !format.bitsPerSample) return null;
+      // Streamed WAVs may leave the data size unset - take what is there
+      const dataBytes = Math.min(size, buf.length - body);
+      const bytesPerSecond = format.sampleRate * format.channels * (format.bitsPerSample / 8);
+      return {
+        sampleRate: format.sampleRate,
+        channels: format.channels,
+        bitsPerSample: format.bitsPerSample,
+        dataOffset: body,
+        dataBytes,
+        durationMs: Math.round((dataBytes / bytesPerSecond) * 1000),
+      };
+    }
+    offset = body + size + (size % 2);   // chunks are word-aligned
+  }
+  return null;
+}
+
+// Re-chunks a byte stream of Int16 PCM into fixed-size frames. Odd bytes and partial
+// frames left over from one network chunk are carried into the next one.
+class PcmFramer {
+  constructor(samplesPerFrame) {
+    this.frameBytes = samplesPerFrame * 2;
+    this._pending = Buffer.alloc(0);
+    this.totalBytes = 0;
+  }
+
+  // Returns the complete frames (Int16Array) available after appending buf
+  push(buf) {
+    if (!buf || buf.length === 0) return [];
+    this.totalBytes += buf.length;
+    const data = this._pending.length ? Buffer.concat([this._pending, buf]) : Buffer.from(buf);
+    const whole = Math.floor(data.length / this.frameBytes);
+    const frames = [];
+    for (let k = 0; k < whole; k++) {
+      frames.push(bufferToInt16(data.subarray(k * this.frameBytes, (k + 1) * this.frameBytes)));
+    }
+    // Copy the remainder so we don't keep the whole chunk alive
+    this._pending = Buffer.from(data.subarray(whole * this.frameBytes));
+    return frames;
+  }
+
+  // Final partial frame padded with silence, or null when nothing (or a lone odd byte) is left
+  flush() {
+    const pending = this._pending;
+    this._pending = Buffer.alloc(0);
+    if (pending.length < 2) return null;
+    const padded = Buffer.alloc(this.frameBytes);
+    pending.copy(padded, 0, 0, pending.length - (pending.length % 2));
+    return bufferToInt16(padded);
+  }
+}
+
+module.exports = {
+  VOICE_SAMPLE_RATE,
+  pcmToWavBuffer,
+  pcm16ToWav,
+  rmsDbFS,
+  bufferToInt16,
+  parseWav,
+  PcmFramer,
+};
@@ -0,0 +1,264 @@
+// Authentication and authorization for the Express server
+//
+// Auth is on when AUTH_SECRET is set. Clients log in once and get a signed session
+// (an HS256 JWT in an HttpOnly cookie, also accepted as `Authorization: Bearer <session>`):
+//
+//   POST /auth/login { identity, secret }  shared-secret login: AUTH_SHARED_SECRET gives role "user",
+//                                          AUTH_ADMIN_SECRET gives role "admin"
+//   POST /auth/login { token }             a JWT issued by your own app, HS256-signed with AUTH_JWT_SECRET;
+//                                          claims: sub (identity), role, rooms, admin_rooms, exp
+//
+// Roles decide the LiveKit grants and what a user may change:
+//   admin    - room admin everywhere, may change anyone's voice
+//   user     - publish, subscribe and data messages, may change their own voice
+//   listener - subscribe and data messages only
+// A session can also be room admin for just some rooms (admin_rooms claim).
+//
+// Audio workers authenticate with WORKER_API_TOKEN and may read every voice.
+
+const crypto = require('crypto');
+const { WORKER_IDENTITY_PREFIX } = require('./room-supervisor');
+
+const SESSION_COOKIE = 'voice_session';
+const ROLES = ['admin', 'user', 'listener'];
+const MAX_IDENTITY_LENGTH = 64;
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+function signJwt(claims, secret) {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(claims));
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+// Claims of a valid HS256 JWT with an `exp` still in the future, or null
+function verifyJwt(token, secret) {
+  if (typeof token !== 'string' || !secret) return null;
+  const [header, body, signature] = token.split('.');
+  if (!header || !body || !signature) return null;
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') return null;
+    const expected = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest();
+    const given = Buffer.from(signature, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString());
+    if (typeof claims.exp !== 'number' || claims.exp * 1000 < Date.now()) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+// Constant-time comparison for secrets of any length
+function secretsEqual(given, expected) {
+  if (typeof given !== 'string' || !expected) return false;
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+const csv = (value) => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+// Identity rules shared by login and token minting; returns an error message or null
+function identityError(identity) {
+  if (typeof identity !== 'string' || !identity.trim()) return 'identity is required';
+  if (identity.length > MAX_IDENTITY_LENGTH) return `identity must be at most ${MAX_IDENTITY_LENGTH} characters`;
+  if (identity.startsWith(WORKER_IDENTITY_PREFIX)) return `identity may not start with "${WORKER_IDENTITY_PREFIX}"`;
+  return null;
+}
+
+class Auth {
+  constructor({
+    secret = process.env.AUTH_SECRET,
+    sharedSecret = process.env.AUTH_SHARED_SECRET,
+    adminSecret = process.env.AUTH_ADMIN_SECRET,
+    jwtSecret = process.env.AUTH_JWT_SECRET,
+    workerToken = process.env.WORKER_API_TOKEN,
+    allowedRooms = csv(process.env.ALLOWED_ROOMS),
+    sessionTtlSeconds = parseInt(process.env.AUTH_SESSION_TTL || '43200', 10),   // 12h
+    livekitTokenTtl = process.env.LIVEKIT_TOKEN_TTL || '1h',
+  } = {}) {
+    this.enabled = Boolean(secret);
+    this.secret = secret;
+    this.sharedSecret = sharedSecret;
+    this.adminSecret = adminSecret;
+    this.jwtSecret = jwtSecret;
+    this.workerToken = workerToken;
+    this.allowedRooms = allowedRooms;
+    this.sessionTtlSeconds = sessionTtlSeconds;
+    this.livekitTokenTtl = livekitTokenTtl;
+    this.authenticate = this.authenticate.bind(this);
+  }
+
+  // Exchange login credentials for a session token, throws AuthError
+  login({ identity, secret, token } = {}) {
+    if (!this.enabled) throw new AuthError('Authentication is not enabled on this server', 400);
+
+    let claims;
+    if (token) {
+      const external = verifyJwt(token, this.jwtSecret);
+      if (!external) throw new AuthError('Invalid or expired login token');
+      claims = {
+        sub: external.sub,
+        role: ROLES.includes(external.role) ? external.role : 'user',
+        rooms: Array.isArray(external.rooms) ? external.rooms : undefined,
+        adminRooms: Array.isArray(external.admin_rooms) ? external.admin_rooms : undefined,
+        external: true,   // identity owned by the host app, not by the lobby
+      };
+    } else if (secretsEqual(secret, this.adminSecret)) {
+      claims = { sub: identity, role: 'admin' };
+    } else if (secretsEqual(secret, this.sharedSecret)) {
+      claims = { sub: identity, role: 'user' };
+    } else {
+      throw new AuthError('Invalid credentials');
+    }
+
+    const problem = identityError(claims.sub);
+    if (problem) throw new AuthError(problem, 400);
+
+    const now = Math.floor(Date.now() / 1000);
+    claims.iat = now;
+    claims.exp = now + this.sessionTtlSeconds;
+    return { token: signJwt(claims, this.secret), session: this._session(claims) };
+  }
+
+  // Express middleware: sets req.auth to { identity, role, rooms, adminRooms, external, expiresAt },
+  // { worker: true } or null. Never rejects - routes decide what they need.
+  authenticate(req, res, next) {
+    req.auth = null;
+    const bearer = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    if (bearer && secretsEqual(bearer, this.workerToken)) {
+      req.auth = { worker: true };
+    } else if (this.enabled) {
+      const claims = verifyJwt(bearer || readCookie(req, SESSION_COOKIE), this.secret);
+      if (claims) req.auth = this._session(claims);
+    }
+    next();
+  }
+
+  // Route guard: any logged-in user or worker when auth is on; `roles` narrows it down ('worker' is a role here)
+  guard(...roles) {
+    return (req, res, next) => {
+      if (!this.enabled) return next();
+      if (!req.auth) return res.status(401).json({ error: 'Login required' });
+      const role = req.auth.worker ? 'worker' : req.auth.role;
+      if (roles.length && !roles.includes(role)) {
+        return res.status(403).json({ error: 'Forbidden', requiredRole: roles });
+      }
+      next();
+    };
+  }
+
+  isRoomAllowed(auth, roomName) {
+    if (this.allowedRooms.length && !this.allowedRooms.includes(roomName)) return false;
+    if (!this.enabled || auth?.role === 'admin') return true;
+    return !auth?.rooms || auth.rooms.includes(roomName);
+  }
+
+  isRoomAdmin(auth, roomName) {
+    if (!this.enabled) return true;
+    if (auth?.role === 'admin') return true;
+    return Boolean(roomName && auth?.adminRooms?.includes(roomName));
+  }
+
+  // Voices: users manage their own, room admins manage everyone's in their room
+  canManageVoice(auth, userId, roomName) {
+    if (!this.enabled) return true;
+    if (!auth || auth.worker) return false;
+    return auth.identity === userId || this.isRoomAdmin(auth, roomName);
+  }
+
+  canReadVoice(auth, userId, roomName) {
+    return Boolean(auth?.worker) || this.canManageVoice(auth, userId, roomName);
+  }
+
+  // LiveKit grants for a role
+  grantsFor(auth, roomName) {
+    const role = this.enabled ? auth?.role : 'user';
+    const canPublish = role === 'admin' || role === 'user';
+    return {
+      room: roomName,
+      roomJoin: true,
+      canPublish,
+      canSubscribe: true,
+      canPublishData: true,
+      roomAdmin: this.enabled && this.isRoomAdmin(auth, roomName),
+    };
+  }
+
+  // Participant attributes the worker reads (floor priority); participants can't change their own
+  attributesFor(auth, roomName) {
+    if (!this.enabled) return undefined;
+    return {
+      role: auth?.role || 'user',
+      roomAdmin: String(this.isRoomAdmin(auth, roomName)),
+    };
+  }
+
+  setSessionCookie(req, res, token) {
+    const secure = req.secure || req.get('X-Forwarded-Proto') === 'https';
+    res.append('Set-Cookie', `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${this.sessionTtlSeconds}${secure ? '; Secure' : ''}`);
+  }
+
+  clearSessionCookie(res) {
+    res.append('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+  }
+
+  _session(claims) {
+    return {
+      identity: claims.sub,
+      role: ROLES.includes(claims.role) ? claims.role : 'user',
+      rooms: claims.rooms,
+      adminRooms: claims.adminRooms,
+      external: Boolean(claims.external),
+      expiresAt: claims.exp ? new Date(claims.exp * 1000).toISOString() : null,
+    };
+  }
+}
+
+function readCookie(req, name) {
+  for (const part of (req.get('Cookie') || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// CORS for the origins in CORS_ORIGINS only (same-origin requests need no CORS at all)
+function corsMiddleware(origins = csv(process.env.CORS_ORIGINS)) {
+  return (req, res, next) => {
+    const origin = req.get('Origin');
+    if (origin && origins.includes(origin)) {
+      res.header('Access-Control-Allow-Origin', origin);
+      res.header('Access-Control-Allow-Credentials', 'true');
+      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+      res.header('Vary', 'Origin');
+    }
+    if (req.method === 'OPTIONS') {
+      res.sendStatus(origin && !origins.includes(origin) ? 403 : 204);
+    } else {
+      next();
+    }
+  };
+}
+
+module.exports = {
+  Auth,
+  AuthError,
+  ROLES,
+  signJwt,
+  verifyJwt,
+  secretsEqual,
+  identityError,
+  corsMiddleware,
+};
@@ -0,0 +1,132 @@
+// Worker control and status HTTP API
+//
+//   GET  /status                                    all rooms served by this process
+//   GET  /rooms/:room                               routes, voices and per-speaker stats
+//   GET  /rooms/:room/speakers/:identity            one speaker's stats
+//   POST /rooms/:room/speakers/:identity/pause      stop converting this speaker
+//   POST /rooms/:room/speakers/:identity/resume     resume converting this speaker
+//   POST /rooms/:room/reload-voices                 re-read voices from the server
+//   POST /reload-voices                             same, for every room
+//   GET  /metrics                                   Prometheus metrics (see metrics.js)
+//
+// When WORKER_CONTROL_TOKEN is set every request must send `Authorization: Bearer <token>`.
+
+const crypto = require('crypto');
+const express = require('express');
+const metrics = require('./metrics');
+
+function createControlApp({ getWorkers, getStatus, token = process.env.WORKER_CONTROL_TOKEN }) {
+  const app = express();
+  app.use(express.json());
+
+  if (token) {
+    const expected = Buffer.from(`Bearer ${token}`);
+    app.use((req, res, next) => {
+      const given = Buffer.from(req.get('Authorization') || '');
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      next();
+    });
+  }
+
+  // Resolve :room to its worker or answer 404
+  const withWorker = (handler) => async (req, res) => {
+    const worker = getWorkers().get(req.params.room);
+    if (!worker) {
+      return res.status(404).json({ error: 'Room not served by this worker', room: req.params.room });
+    }
+    try {
+      await handler(worker, req, res);
+    } catch (error) {
+      console.error('Control API error:', error);
+      res.status(500).json({ error: 'Control request failed', details: error.message });
+    }
+  };
+
+  app.get('/metrics', async (req, res) => {
+    try {
+      // Gauges are sampled at scrape time from the live workers
+      metrics.activeStreams.reset();
+      for (const [room, worker] of getWorkers()) {
+        metrics.activeStreams.set({ room }, worker.activeS2S.size);
+      }
+      res.set('Content-Type', metrics.register.contentType);
+      res.send(await metrics.register.metrics());
+    } catch (error) {
+      console.error('Control API error:', error);
+      res.status(500).send(error.message);
+    }
+  });
+
+  app.get('/status', (req, res) => {
+    res.json(getStatus());
+  });
+
+  app.get('/rooms/:room', withWorker((worker, req, res) => {
+    res.json(worker.getRoomDetails());
+  }));
+
+  app.get('/rooms/:room/speakers/:identity', withWorker((worker, req, res) => {
+    const speaker = worker.getSpeakerDetails(req.params.identity);
+    if (!speaker) return res.status(404).json({ error: 'Speaker not found', identity: req.params.identity });
+    res.json(speaker);
+  }));
+
+  app.post('/rooms/:room/speakers/:identity/pause', withWorker((worker, req, res) => {
+    if (!worker.setSpeakerPaused(req.params.identity, true)) {
+      return res.status(404).json({ error: 'Speaker not found', identity: req.params.identity });
+    }
+    res.json({ success: true, speaker: worker.getSpeakerDetails(req.params.identity) });
+  }));
+
+  app.post('/rooms/:room/speakers/:identity/resume', withWorker((worker, req, res) => {
+    if (!worker.setSpeakerPaused(req.params.identity, false)) {
+      return res.status(404).json({ error: 'Speaker not found', identity: req.params.identity });
+    }
+    res.json({ success: true, speaker: worker.getSpeakerDetails(req.params.identity) });
+  }));
+
+  app.post('/rooms/:room/reload-voices', withWorker(async (worker, req, res) => {
+    await worker.reloadVoices();
+    res.json({ success: true, room: worker.getRoomDetails() });
+  }));
+
+  app.post('/reload-voices', async (req, res) => {
+    try {
+      const workers = Array.from(getWorkers().values());
+      await Promise.all(workers.map(worker => worker.reloadVoices()));
+      res.json({ success: true, rooms: workers.length });
+    } catch (error) {
+      console.error('Control API error:', error);
+      res.status(500).json({ error: 'Failed to reload voices', details: error.message });
+    }
+  });
+
+  app.use('*', (req, res) => {
+    res.status(404).json({ error: 'Route not found', path: req.originalUrl });
+  });
+
+  return app;
+}
+
+// Start the control API; resolves to the http.Server (or null when disabled)
+function startControlApi(options, {
+  port = process.env.WORKER_CONTROL_PORT || '3100',
+  host = process.env.WORKER_CONTROL_HOST || '127.0.0.1',
+} = {}) {
+  if (port === 'off') return Promise.resolve(null);
+  const app = createControlApp(options);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(parseInt(port, 10), host, () => {
+      console.log(`🎛️ Worker control API listening on http://${host}:${server.address().port}`);
+      resolve(server);
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = {
+  createControlApp,
+  startControlApi,
+};
@@ -0,0 +1,245 @@
+// Local DSP voice effects on mono Int16 PCM - no outside API, cheap enough to run on the worker
+//
+// Every effect takes an Int16Array and returns a new Int16Array of the same length:
+//   pitch    { semitones }            pitch and formants together, duration unchanged
+//   formant  { ratio }                formants only (ratio > 1 smaller / brighter, < 1 bigger / darker), pitch unchanged
+//   robot    { carrierHz, combMs }    ring modulation into a short metallic comb
+//   radio    { lowHz, highHz, drive } telephone band-pass, saturation and a little hiss
+//   reverb   { room, damping, wet }   Schroeder reverb (4 combs + 2 allpasses)
+// Chunks are processed independently, so filter state and reverb tails start fresh with each one.
+
+const EFFECT_TYPES = ['pitch', 'formant', 'robot', 'radio', 'reverb'];
+
+const clamp16 = (v) => Math.max(-32768, Math.min(32767, Math.round(v)));
+
+// Linear interpolation with silence outside the buffer
+function sampleAt(int16, pos) {
+  if (pos < 0 || pos > int16.length - 1) return 0;
+  const i = Math.floor(pos);
+  const frac = pos - i;
+  return i + 1 < int16.length ? int16[i] * (1 - frac) + int16[i + 1] * frac : int16[i];
+}
+
+// Delay-line pitch shifter: two read taps sweep through a short window and crossfade,
+// so the pitch changes while the duration stays the same as the input
+function pitchShift(int16, semitones, sampleRate) {
+  const ratio = Math.pow(2, semitones / 12);
+  if (ratio === 1) return Int16Array.from(int16);
+
+  const windowSize = Math.max(2, Math.round(sampleRate * 0.05)); // 50ms grains
+  const half = windowSize / 2;
+  const out = new Int16Array(int16.length);
+
+  const read = (pos) => {
+    if (pos <= 0) return int16[0];
+    const i = Math.floor(pos);
+    if (i >= int16.length - 1) return int16[int16.length - 1];
+    const frac = pos - i;
+    return int16[i] * (1 - frac) + int16[i + 1] * frac;
+  };
+
+  for (let i = 0; i < int16.length; i++) {
+    const sweep = i * (1 - ratio);
+    const d1 = ((sweep % windowSize) + windowSize) % windowSize;
+    const d2 = (d1 + half) % windowSize;
+    // triangular gains offset by half a window always sum to 1
+    const g1 = 1 - Math.abs(d1 / half - 1);
+    const g2 = 1 - g1;
+    const s = read(i - d1) * g1 + read(i - d2) * g2;
+    out[i] = clamp16(s);
+  }
+  return out;
+}
+
+// Pitch period (in samples) every `hop` samples, 0 where there is no clear pitch.
+// Normalized autocorrelation on a ~12kHz copy of the signal, searching 70-400Hz.
+function detectPeriods(int16, sampleRate, hop) {
+  const decimate = Math.max(1, Math.round(sampleRate / 12000));
+  const rate = sampleRate / decimate;
+  const x = new Float32Array(Math.floor(int16.length / decimate));
+  for (let i = 0; i < x.length; i++) {
+    let sum = 0;
+    for (let k = 0; k < decimate; k++) sum += int16[i * decimate + k];
+    x[i] = sum / decimate;
+  }
+
+  const minLag = Math.floor(rate / 400);
+  const maxLag = Math.ceil(rate / 70);
+  const windowSize = maxLag * 2;
+  const periods = new Float32Array(Math.ceil(int16.length / hop));
+
+  for (let f = 0; f < periods.length; f++) {
+    const start = Math.max(0, Math.round((f * hop) / decimate) - maxLag);
+    const end = Math.min(x.length, start + windowSize);
+    let energy = 0;
+    for (let i = start; i < end; i++) energy += x[i] * x[i];
+    if (end - start <= maxLag || Math.sqrt(energy / (end - start)) < 300) continue; // too short or too quiet
+
+    let bestLag = 0;
+    let best = 0.5; // weaker correlation than this is treated as unvoiced
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      let xy = 0;
+      let xx = 0;
+      let yy = 0;
+      for (let i = start; i + lag < end; i++) {
+        xy += x[i] * x[i + lag];
+        xx += x[i] * x[i];
+        yy += x[i + lag] * x[i + lag];
+      }
+      const r = xy / Math.sqrt(xx * yy || 1);
+      if (r > best) {
+        best = r;
+        bestLag = lag;
+      }
+    }
+    periods[f] = bestLag * decimate;
+  }
+  return periods;
+}
+
+// Formant shift with the pitch kept (TD-PSOLA style): Hann grains two pitch periods long are read
+// `ratio` times faster, which scales the spectral envelope, and laid down again one period apart,
+// which keeps the pitch. Unvoiced parts use 10ms grains.
+function formantShift(int16, ratio, sampleRate) {
+  if (ratio === 1) return Int16Array.from(int16);
+
+  const hop = Math.round(sampleRate * 0.01);
+  const periods = detectPeriods(int16, sampleRate, hop);
+  const out = new Float32Array(int16.length);
+  const weight = new Float32Array(int16.length);
+
+  for (let mark = 0; mark < int16.length;) {
+    const period = Math.max(2, periods[Math.min(periods.length - 1, Math.floor(mark / hop))] || hop);
+    for (let k = -period; k < period; k++) {
+      const o = mark + k;
+      if (o < 0 || o >= int16.length) continue;
+      const w = 0.5 * (1 + Math.cos((Math.PI * k) / period));
+      out[o] += w * sampleAt(int16, mark + k * ratio);
+      weight[o] += w;
+    }
+    mark += period;
+  }
+
+  const result = new Int16Array(int16.length);
+  for (let i = 0; i < result.length; i++) {
+    result[i] = weight[i] > 1e-3 ? clamp16(out[i] / weight[i]) : 0;
+  }
+  return result;
+}
+
+// Ring modulation gives the flat, buzzy "robot" tone, the feedback comb adds the metallic ring
+function robot(int16, sampleRate, { carrierHz = 50, combMs = 6, feedback = 0.55 } = {}) {
+  const delay = Math.max(1, Math.round((sampleRate * combMs) / 1000));
+  const y = new Float32Array(int16.length);
+  const step = (2 * Math.PI * carrierHz) / sampleRate;
+  for (let i = 0; i < int16.length; i++) {
+    const modulated = int16[i] * Math.sin(i * step);
+    y[i] = modulated + (i >= delay ? feedback * y[i - delay] : 0);
+  }
+  const out = new Int16Array(int16.length);
+  for (let i = 0; i < out.length; i++) out[i] = clamp16(y[i] * (1 - feedback) * 1.6);
+  return out;
+}
+
+// RBJ cookbook biquad, run in place over a Float32Array
+function biquad(x, type, freq, sampleRate, q = Math.SQRT1_2) {
+  const w0 = (2 * Math.PI * Math.min(freq, sampleRate * 0.45)) / sampleRate;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * q);
+  const b1 = type === 'lowpass' ? 1 - cos : -(1 + cos);
+  const b0 = type === 'lowpass' ? b1 / 2 : (1 + cos) / 2;
+  const b2 = b0;
+  const a0 = 1 + alpha;
+  const a1 = -2 * cos;
+  const a2 = 1 - alpha;
+
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < x.length; i++) {
+    const y = (b0 * x[i] + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2) / a0;
+    x2 = x1; x1 = x[i];
+    y2 = y1; y1 = y;
+    x[i] = y;
+  }
+  return x;
+}
+
+// Band-limited to a phone/radio channel, driven into soft saturation, with a faint hiss
+function radio(int16, sampleRate, { lowHz = 300, highHz = 3400, drive = 2.5, hissDb = -42 } = {}) {
+  const x = Float32Array.from(int16, v => v / 32768);
+  for (let pass = 0; pass < 2; pass++) {
+    biquad(x, 'highpass', lowHz, sampleRate);
+    biquad(x, 'lowpass', highHz, sampleRate);
+  }
+  const norm = Math.tanh(drive);
+  const hiss = Math.pow(10, hissDb / 20);
+  let seed = 0x2545f491; // fixed seed - the same input always gives the same output
+  const out = new Int16Array(int16.length);
+  for (let i = 0; i < x.length; i++) {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    const noise = (seed / 0xffffffff - 0.5) * 2 * hiss;
+    out[i] = clamp16((Math.tanh(drive * x[i]) / norm + noise) * 32767 * 0.9);
+  }
+  return out;
+}
+
+// Schroeder reverb: parallel damped combs build the tail, series allpasses diffuse it
+function reverb(int16, sampleRate, { room = 0.78, damping = 0.3, wet = 0.3 } = {}) {
+  const scale = sampleRate / 44100;
+  const combDelays = [1116, 1188, 1277, 1356].map(d => Math.round(d * scale));
+  const allpassDelays = [556, 441].map(d => Math.round(d * scale));
+  const x = Float32Array.from(int16, v => v / 32768);
+  const tail = new Float32Array(x.length);
+
+  for (const delay of combDelays) {
+    const buffer = new Float32Array(delay);
+    let filtered = 0;
+    for (let i = 0, p = 0; i < x.length; i++, p = (p + 1) % delay) {
+      const delayed = buffer[p];
+      filtered = delayed * (1 - damping) + filtered * damping;
+      buffer[p] = x[i] + filtered * room;
+      tail[i] += delayed / combDelays.length;
+    }
+  }
+  for (const delay of allpassDelays) {
+    const buffer = new Float32Array(delay);
+    for (let i = 0, p = 0; i < tail.length; i++, p = (p + 1) % delay) {
+      const delayed = buffer[p];
+      buffer[p] = tail[i] + delayed * 0.5;
+      tail[i] = delayed - tail[i];
+    }
+  }
+
+  const out = new Int16Array(int16.length);
+  for (let i = 0; i < out.length; i++) out[i] = clamp16((x[i] * (1 - wet) + tail[i] * wet * 2) * 32767);
+  return out;
+}
+
+// Run one effect step ({ type, ...params })
+function applyEffect(int16, effect, sampleRate) {
+  switch (effect.type) {
+    case 'pitch': return pitchShift(int16, effect.semitones ?? 0, sampleRate);
+    case 'formant': return formantShift(int16, effect.ratio ?? 1, sampleRate);
+    case 'robot': return robot(int16, sampleRate, effect);
+    case 'radio': return radio(int16, sampleRate, effect);
+    case 'reverb': return reverb(int16, sampleRate, effect);
+    default: throw new Error(`Unknown effect "${effect.type}" (expected one of: ${EFFECT_TYPES.join(', ')})`);
+  }
+}
+
+// Run a chain of effects in order; an empty chain is a passthrough
+function applyEffects(int16, effects, sampleRate) {
+  let pcm = Int16Array.from(int16);
+  for (const effect of effects) pcm = applyEffect(pcm, effect, sampleRate);
+  return pcm;
+}
+
+module.exports = {
+  EFFECT_TYPES,
+  applyEffect,
+  applyEffects,
+  pitchShift,
+  formantShift,
+  robot,
+  radio,
+  reverb,
+};
@@ -0,0 +1,96 @@
+// Per-room fallback policy: what listeners hear from a speaker when a chunk can't be converted
+//
+//   local       - the chunk in the local fallback voice (FALLBACK_VOICE, see providers/local.js)
+//   passthrough - the speaker's original audio, on the converted track
+//   silent      - nothing
+//
+// It applies while the voice provider is rate-limited, out of quota or down, to speakers over their
+// usage budget (see usage.js), to a conversion that fails before any audio came back, and to chunks
+// below the silence threshold (which are never sent to the provider).
+// FALLBACK_POLICY sets the default; a room overrides it in its LiveKit metadata:
+//   { "fallbackPolicy": "passthrough" }
+//
+// The worker tells the room about it with data messages on the 'conversion' topic:
+//   { type: 'fallback', state: 'active' | 'resumed', reason, policy, speaker?, message }
+// reason is quota, rate_limit or down for the whole room, or error / budget for one speaker.
+
+const { defaultFloorPolicy, floorPolicyError } = require('./floor-control');
+
+const FALLBACK_TOPIC = 'conversion';
+const FALLBACK_POLICIES = ['local', 'passthrough', 'silent'];
+const FALLBACK_REASONS = ['quota', 'rate_limit', 'down', 'error', 'budget'];
+
+function defaultFallbackPolicy() {
+  return process.env.FALLBACK_POLICY || 'local';
+}
+
+function fallbackPolicyError(policy) {
+  if (!FALLBACK_POLICIES.includes(policy)) return `fallbackPolicy must be one of: ${FALLBACK_POLICIES.join(', ')}`;
+  return null;
+}
+
+// Room settings from LiveKit room metadata ({ fallbackPolicy, floorPolicy }, see floor-control.js for
+// the latter); anything missing or malformed falls back to the defaults
+function parseRoomSettings(metadata) {
+  let settings = {};
+  try {
+    settings = metadata ? JSON.parse(metadata) : {};
+  } catch {
+    // metadata written by something else - not ours to interpret
+  }
+  const policy = settings?.fallbackPolicy;
+  const floorPolicy = settings?.floorPolicy;
+  return {
+    fallbackPolicy: FALLBACK_POLICIES.includes(policy) ? policy : defaultFallbackPolicy(),
+    floorPolicy: floorPolicyError(floorPolicy) ? defaultFloorPolicy() : floorPolicy,
+  };
+}
+
+// Voice a chunk is played in under `policy` when it can't be converted: `localVoiceId` (FALLBACK_VOICE)
+// for 'local', the original audio for 'passthrough', null (nothing) for 'silent'
+function fallbackVoiceFor(policy, localVoiceId) {
+  if (policy === 'local') return localVoiceId;
+  if (policy === 'passthrough') return 'local-passthrough';
+  return null;
+}
+
+const REASON_TEXT = {
+  quota: 'conversion paused: quota',
+  rate_limit: 'conversion paused: rate limit',
+  down: 'conversion paused: provider unavailable',
+  error: 'conversion failed',
+  budget: 'conversion paused: usage budget used up',
+};
+
+const POLICY_TEXT = {
+  local: 'using the local fallback voice',
+  passthrough: 'playing the original voice',
+  silent: 'muted until it is back',
+};
+
+// Data message for the 'conversion' topic; reason null means conversion is working again
+function fallbackNotice({ reason, policy, speaker }) {
+  if (!reason) {
+    return { type: 'fallback', state: 'resumed', reason: null, policy, message: 'conversion resumed' };
+  }
+  const who = speaker ? `${speaker}: ` : '';
+  return {
+    type: 'fallback',
+    state: 'active',
+    reason,
+    policy,
+    ...(speaker ? { speaker } : {}),
+    message: `${who}${REASON_TEXT[reason] || REASON_TEXT.error} - ${POLICY_TEXT[policy]}`,
+  };
+}
+
+module.exports = {
+  FALLBACK_TOPIC,
+  FALLBACK_POLICIES,
+  FALLBACK_REASONS,
+  defaultFallbackPolicy,
+  fallbackPolicyError,
+  parseRoomSettings,
+  fallbackVoiceFor,
+  fallbackNotice,
+};
@@ -0,0 +1,175 @@
+// Floor control: which speakers are converted when several people talk at once
+//
+//   free    - everyone is converted, no coordination (default)
+//   single  - one speaker at a time holds the floor (push-to-talk style)
+//   max-N   - up to N speakers hold the floor at once, e.g. "max-3"
+//
+// Outside 'free', only holders are converted; everyone else's chunks are skipped. Speakers ask for and
+// give back the floor with data messages on the 'floor' topic sent to the worker:
+//   { type: 'request' }              take a free seat, or wait in the queue
+//   { type: 'release' }              give it back (or leave the queue)
+//   { type: 'release', speaker }     priority speakers only: take it away from someone else
+//   { type: 'get' }                  just send the current state
+// The worker broadcasts the state after every change:
+//   { type: 'floor', policy, limit, holders: [identity], queue: [identity] }
+// and answers problems to the sender only: { type: 'error', error }
+//
+// Priority speakers (room admins, and roles in FLOOR_PRIORITY_ROLES) go ahead of everyone in the queue.
+// When all seats are taken, they take the seat of the regular speaker who has held it longest; that
+// speaker goes back to the front of the queue and gets the next free seat.
+
+const FLOOR_TOPIC = 'floor';
+const FLOOR_POLICY_PATTERN = /^(free|single|max-([1-9]\d?))$/;
+
+function defaultFloorPolicy() {
+  return process.env.FLOOR_POLICY || 'free';
+}
+
+function floorPolicyError(policy) {
+  if (typeof policy !== 'string' || !FLOOR_POLICY_PATTERN.test(policy)) {
+    return 'floorPolicy must be "free", "single" or "max-N" (N from 1 to 99)';
+  }
+  return null;
+}
+
+// Seats a policy allows, Infinity for 'free'
+function floorLimit(policy) {
+  if (policy === 'single') return 1;
+  const match = FLOOR_POLICY_PATTERN.exec(policy);
+  return match?.[2] ? parseInt(match[2], 10) : Infinity;
+}
+
+class FloorControl {
+  constructor(policy = defaultFloorPolicy()) {
+    this.policy = 'free';
+    this.holders = new Map(); // identity -> { since, priority }, in the order they got the floor
+    this.queue = [];          // [{ identity, priority }], priority entries first
+    this.setPolicy(policy);
+  }
+
+  get limit() {
+    return floorLimit(this.policy);
+  }
+
+  get free() {
+    return this.limit === Infinity;
+  }
+
+  // Switch policy; returns true when it changed. Holders beyond the new limit go back to the queue
+  // (regular speakers before priority ones, most recent first), and a bigger limit seats the queue.
+  setPolicy(policy) {
+    const problem = floorPolicyError(policy);
+    if (problem) throw new Error(problem);
+    if (policy === this.policy) return false;
+    this.policy = policy;
+
+    if (this.free) {
+      this.holders.clear();
+      this.queue = [];
+      return true;
+    }
+    while (this.holders.size > this.limit) {
+      const identity = this._newestHolder();
+      const { priority } = this.holders.get(identity);
+      this.holders.delete(identity);
+      this._enqueue(identity, priority, true);
+    }
+    this._seatQueue();
+    return true;
+  }
+
+  // Whether a speaker is converted right now
+  has(identity) {
+    return this.free || this.holders.has(identity);
+  }
+
+  // Ask for the floor; returns { granted, queued, preempted } (preempted: who lost their seat, or null)
+  request(identity, { priority = false } = {}) {
+    if (this.free || this.holders.has(identity)) return { granted: true, queued: false, preempted: null };
+
+    if (this.holders.size < this.limit) {
+      this._removeFromQueue(identity);
+      this.holders.set(identity, { since: Date.now(), priority });
+      return { granted: true, queued: false, preempted: null };
+    }
+
+    const preempted = priority ? this._oldestRegular() : null;
+    if (preempted) {
+      this.holders.delete(preempted);
+      this._enqueue(preempted, false, true);
+      this._removeFromQueue(identity);
+      this.holders.set(identity, { since: Date.now(), priority });
+      return { granted: true, queued: false, preempted };
+    }
+
+    if (!this.queue.some(entry => entry.identity === identity)) this._enqueue(identity, priority, false);
+    return { granted: false, queued: true, preempted: null };
+  }
+
+  // Give the floor back or leave the queue; returns true when anything changed
+  release(identity) {
+    const held = this.holders.delete(identity);
+    const queued = this._removeFromQueue(identity);
+    if (held) this._seatQueue();
+    return held || queued;
+  }
+
+  // Someone left the room
+  forget(identity) {
+    return this.release(identity);
+  }
+
+  // Data message / control API view
+  state() {
+    return {
+      type: 'floor',
+      policy: this.policy,
+      limit: this.free ? null : this.limit,
+      holders: Array.from(this.holders.keys()),
+      queue: this.queue.map(entry => entry.identity),
+    };
+  }
+
+  // Regular holder who got the floor first - the one a priority speaker takes the seat from
+  _oldestRegular() {
+    for (const [identity, holder] of this.holders) {
+      if (!holder.priority) return identity;
+    }
+    return null;
+  }
+
+  // Holder to unseat when the limit shrinks: the newest regular one, or the newest of all
+  _newestHolder() {
+    const entries = Array.from(this.holders.entries()).reverse();
+    return (entries.find(([, holder]) => !holder.priority) || entries[0])[0];
+  }
+
+  // Priority entries stay ahead of regular ones; `front` puts the entry first within its group
+  _enqueue(identity, priority, front) {
+    this._removeFromQueue(identity);
+    const firstRegular = this.queue.findIndex(entry => !entry.priority);
+    const groupEnd = firstRegular === -1 ? this.queue.length : firstRegular;
+    const at = priority ? (front ? 0 : groupEnd) : (front ? groupEnd : this.queue.length);
+    this.queue.splice(at, 0, { identity, priority });
+  }
+
+  _removeFromQueue(identity) {
+    const index = this.queue.findIndex(entry => entry.identity === identity);
+    if (index === -1) return false;
+    this.queue.splice(index, 1);
+    return true;
+  }
+
+  _seatQueue() {
+    while (this.holders.size < this.limit && this.queue.length > 0) {
+      const { identity, priority } = this.queue.shift();
+      this.holders.set(identity, { since: Date.now(), priority });
+    }
+  }
+}
+
+module.exports = FloorControl;
+module.exports.FLOOR_TOPIC = FLOOR_TOPIC;
+module.exports.defaultFloorPolicy = defaultFloorPolicy;
+module.exports.floorPolicyError = floorPolicyError;
+module.exports.floorLimit = floorLimit;
@@ -0,0 +1,17 @@
+// Filesystem helpers shared by everything that keeps state on disk
+
+const fs = require('fs');
+const path = require('path');
+
+// Write a whole file through a temp file + rename, so a crash never leaves a half-written one.
+// Creates the directory when it doesn't exist yet.
+async function writeFileAtomic(file, data) {
+  const tmp = `${file}.tmp`;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(tmp, data);
+  await fs.promises.rename(tmp, file);
+}
+
+module.exports = {
+  writeFileAtomic,
+};
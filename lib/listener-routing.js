@@ -0,0 +1,87 @@
+// Per-listener routing: what each listener hears from each speaker
+//
+//   converted - the worker's `from-<speaker>` track, or the listener's language track in translate mode (default)
+//   original  - the speaker's own microphone track
+//   mute      - nothing from that speaker
+//
+// Listeners change their routes with a data message on the 'routing' topic sent to the worker:
+//   { type: 'set-route', speaker, mode }
+// and get their full route table back after every change:
+//   { type: 'routes', routes: { [speaker]: mode } }
+//
+// The worker enforces routes through server-side subscriptions (RoomServiceClient.updateSubscriptions)
+// and stops converting speakers that nobody listens to in converted form.
+
+const ROUTING_TOPIC = 'routing';
+const ROUTE_MODES = ['converted', 'original', 'mute'];
+const DEFAULT_ROUTE_MODE = 'converted';
+
+class ListenerRouting {
+  constructor() {
+    this.prefs = new Map(); // listener -> Map(speaker -> mode), only non-default modes are stored
+  }
+
+  // Returns true when the route actually changed
+  set(listener, speaker, mode) {
+    if (!ROUTE_MODES.includes(mode)) throw new Error(`Unknown route mode "${mode}" (expected one of: ${ROUTE_MODES.join(', ')})`);
+    const current = this.get(listener, speaker);
+    if (current === mode) return false;
+
+    let routes = this.prefs.get(listener);
+    if (mode === DEFAULT_ROUTE_MODE) {
+      routes?.delete(speaker);
+      if (routes?.size === 0) this.prefs.delete(listener);
+    } else {
+      if (!routes) this.prefs.set(listener, (routes = new Map()));
+      routes.set(speaker, mode);
+    }
+    return true;
+  }
+
+  get(listener, speaker) {
+    return this.prefs.get(listener)?.get(speaker) || DEFAULT_ROUTE_MODE;
+  }
+
+  // Route table of one listener, for the 'routes' reply and the control API
+  routesOf(listener) {
+    return Object.fromEntries(this.prefs.get(listener) || []);
+  }
+
+  // Drop everything about a participant who left, as listener and as speaker
+  forget(identity) {
+    this.prefs.delete(identity);
+    for (const [listener, routes] of this.prefs) {
+      routes.delete(identity);
+      if (routes.size === 0) this.prefs.delete(listener);
+    }
+  }
+
+  // Whether any of `listeners` still hears the speaker converted
+  wantsConverted(speaker, listeners) {
+    return listeners.some(listener => this.get(listener, speaker) === 'converted');
+  }
+
+  // Track SIDs a listener should and shouldn't be subscribed to. A converted route gets the speaker's
+  // translation into the listener's base `language` when there is one, otherwise the `from-<speaker>` track.
+  // speakers: [{ identity, originalSids: [], convertedSid, translatedSids: { [language]: sid } }]
+  plan(listener, speakers, language = null) {
+    const subscribe = [];
+    const unsubscribe = [];
+    for (const { identity, originalSids, convertedSid = null, translatedSids = {} } of speakers) {
+      if (identity === listener) continue;
+      const mode = this.get(listener, identity);
+      (mode === 'original' ? subscribe : unsubscribe).push(...originalSids);
+
+      const converted = [convertedSid, ...Object.values(translatedSids)].filter(Boolean);
+      const wanted = mode !== 'converted' ? null
+        : (language && Object.hasOwn(translatedSids, language) ? translatedSids[language] : convertedSid);
+      for (const sid of converted) (sid === wanted ? subscribe : unsubscribe).push(sid);
+    }
+    return { subscribe, unsubscribe };
+  }
+}
+
+module.exports = ListenerRouting;
+module.exports.ROUTING_TOPIC = ROUTING_TOPIC;
+module.exports.ROUTE_MODES = ROUTE_MODES;
+module.exports.DEFAULT_ROUTE_MODE = DEFAULT_ROUTE_MODE;
@@ -0,0 +1,238 @@
+// Room lobby: the list of rooms with their occupancy, room creation and unique display names
+//
+// Rooms and the people in them come from LiveKit (RoomServiceClient), cached for a few seconds and
+// refreshed early whenever a webhook reports a join or leave. Audio workers are not counted.
+//
+// Display names are unique across all rooms, compared case-insensitively, because voice profiles are
+// keyed by name. Taking a name returns a random `claim`; presenting the same claim again (e.g. after a
+// page reload, while the old connection is still in the room) keeps the name. A claim lasts
+// claimTtlMs after its last use and is renewed for everyone who is still in a room.
+//
+// Room settings (the fallback policy, see fallback-policy.js, and the floor policy, see floor-control.js)
+// are kept in the LiveKit room metadata, which the room's worker receives and follows.
+
+const crypto = require('crypto');
+const { WORKER_IDENTITY_PREFIX } = require('./room-supervisor');
+const { identityError } = require('./auth');
+const { fallbackPolicyError, parseRoomSettings } = require('./fallback-policy');
+const { floorPolicyError } = require('./floor-control');
+
+const ROOM_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+class LobbyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LobbyError';
+    this.status = status;
+  }
+}
+
+// Room name rules; returns an error message or null
+function roomNameError(name) {
+  if (typeof name !== 'string' || !name) return 'room name is required';
+  if (!ROOM_NAME_PATTERN.test(name)) return 'room name may only use letters, digits, "_", "-" and "." (at most 64 characters)';
+  return null;
+}
+
+// Display name rules on top of the identity rules; returns an error message or null
+function displayNameError(name) {
+  const problem = identityError(name);
+  if (problem) return problem;
+  if (name !== name.trim()) return 'name may not start or end with spaces';
+  if (/[\u0000-\u001f\u007f]/.test(name)) return 'name may not contain control characters';
+  return null;
+}
+
+const nameKey = (name) => name.toLocaleLowerCase();
+
+class Lobby {
+  constructor({
+    roomService,                                                                  // RoomServiceClient
+    cacheMs = parseInt(process.env.LOBBY_CACHE_MS || '3000', 10),
+    claimTtlMs = parseInt(process.env.LOBBY_CLAIM_TTL_MS || '600000', 10),        // 10 min
+    emptyTimeoutSeconds = parseInt(process.env.LOBBY_EMPTY_TIMEOUT || '600', 10), // how long LiveKit keeps a new, unused room
+    maxParticipants = parseInt(process.env.LOBBY_MAX_PARTICIPANTS || '0', 10),    // default room size, 0 = unlimited
+    allowedRooms = [],                                                            // always listed, and the only rooms that may be created
+  }) {
+    this.roomService = roomService;
+    this.cacheMs = cacheMs;
+    this.claimTtlMs = claimTtlMs;
+    this.emptyTimeoutSeconds = emptyTimeoutSeconds;
+    this.maxParticipants = maxParticipants;
+    this.allowedRooms = allowedRooms;
+
+    this.claims = new Map();      // lower-case name -> { identity, claim, expiresAt }
+    this._snapshot = null;        // { rooms, present: Map(lower-case name -> roomName), takenAt }
+    this._refreshing = null;
+  }
+
+  // Rooms with their occupancy: [{ name, participants, identities, maxParticipants, fallbackPolicy, floorPolicy, createdAt }]
+  async listRooms() {
+    const { rooms } = await this._currentSnapshot();
+    return rooms;
+  }
+
+  // Create a room in LiveKit; returns { room, created } (created is false if it already existed,
+  // its settings are left alone then)
+  async createRoom(name, { maxParticipants = this.maxParticipants, fallbackPolicy, floorPolicy } = {}) {
+    const problem = roomNameError(name);
+    if (problem) throw new LobbyError(problem);
+    if (this.allowedRooms.length && !this.allowedRooms.includes(name)) {
+      throw new LobbyError('Room not allowed', 403);
+    }
+    if (!Number.isInteger(maxParticipants) || maxParticipants < 0) {
+      throw new LobbyError('maxParticipants must be a non-negative integer');
+    }
+    if (fallbackPolicy !== undefined && fallbackPolicyError(fallbackPolicy)) {
+      throw new LobbyError(fallbackPolicyError(fallbackPolicy));
+    }
+    if (floorPolicy !== undefined && floorPolicyError(floorPolicy)) {
+      throw new LobbyError(floorPolicyError(floorPolicy));
+    }
+
+    // Configured rooms are listed before LiveKit knows them (createdAt null), those still need creating
+    const existing = (await this._currentSnapshot(0)).rooms.find(room => room.name === name && room.createdAt);
+    if (existing) return { room: existing, created: false };
+
+    const settings = { ...(fallbackPolicy ? { fallbackPolicy } : {}), ...(floorPolicy ? { floorPolicy } : {}) };
+    const metadata = Object.keys(settings).length ? JSON.stringify(settings) : undefined;
+    await this.roomService.createRoom({ name, emptyTimeout: this.emptyTimeoutSeconds, maxParticipants, metadata });
+    this._snapshot = null;
+    console.log(`🏠 Room created: ${name}${maxParticipants ? ` (max ${maxParticipants})` : ''}${fallbackPolicy ? ` (fallback ${fallbackPolicy})` : ''}${floorPolicy ? ` (floor ${floorPolicy})` : ''}`);
+    const room = (await this.listRooms()).find(r => r.name === name)
+      || { name, participants: 0, identities: [], maxParticipants, ...parseRoomSettings(metadata), createdAt: new Date().toISOString() };
+    return { room, created: true };
+  }
+
+  // Change a room's settings ({ fallbackPolicy, floorPolicy }, either may be left out); the room must
+  // exist in LiveKit. Returns the room.
+  async updateRoomSettings(name, { fallbackPolicy, floorPolicy } = {}) {
+    const changes = { ...(fallbackPolicy === undefined ? {} : { fallbackPolicy }), ...(floorPolicy === undefined ? {} : { floorPolicy }) };
+    const problem = roomNameError(name)
+      || (Object.keys(changes).length === 0 ? 'fallbackPolicy or floorPolicy is required' : null)
+      || (fallbackPolicy !== undefined && fallbackPolicyError(fallbackPolicy))
+      || (floorPolicy !== undefined && floorPolicyError(floorPolicy));
+    if (problem) throw new LobbyError(problem);
+
+    const [existing] = await this.roomService.listRooms([name]);
+    if (!existing) throw new LobbyError('Room not found', 404);
+
+    let metadata = {};
+    try {
+      metadata = existing.metadata ? JSON.parse(existing.metadata) : {};
+    } catch {
+      // not JSON - replaced by our settings
+    }
+    await this.roomService.updateRoomMetadata(name, JSON.stringify({ ...metadata, ...changes }));
+    this._snapshot = null;
+    console.log(`🛟 Settings for ${name} updated: ${JSON.stringify(changes)}`);
+    return (await this.listRooms()).find(r => r.name === name);
+  }
+
+  // Take (or keep) a display name; returns { identity, claim }, throws LobbyError 409 when someone else has it
+  async claimName(identity, claim) {
+    const problem = displayNameError(identity);
+    if (problem) throw new LobbyError(problem);
+
+    const key = nameKey(identity);
+    const now = Date.now();
+    const existing = this.claims.get(key);
+    const ours = Boolean(claim && existing && existing.claim === claim);
+
+    if (existing && existing.expiresAt > now && !ours) {
+      throw new LobbyError(`The name "${existing.identity}" is already taken`, 409);
+    }
+    if (!ours) {
+      const inRoom = await this._presentIn(key);
+      if (inRoom) throw new LobbyError(`The name "${identity}" is already taken in room "${inRoom}"`, 409);
+    }
+
+    const entry = { identity, claim: ours ? claim : crypto.randomBytes(16).toString('hex'), expiresAt: now + this.claimTtlMs };
+    this.claims.set(key, entry);
+    return { identity: entry.identity, claim: entry.claim };
+  }
+
+  // Give a name back (only with its claim)
+  releaseName(identity, claim) {
+    const key = nameKey(identity);
+    const existing = this.claims.get(key);
+    if (!existing || existing.claim !== claim) return false;
+    this.claims.delete(key);
+    return true;
+  }
+
+  // LiveKit webhook event ({ event, room, participant }); joins and leaves make the next listing fresh
+  handleRoomEvent(event) {
+    if (['participant_joined', 'participant_left', 'room_started', 'room_finished'].includes(event?.event)) {
+      this._snapshot = null;
+    }
+  }
+
+  async _presentIn(key) {
+    try {
+      return (await this._currentSnapshot(0)).present.get(key) || null;
+    } catch (error) {
+      // Without LiveKit we can still keep names unique among lobby claims
+      console.warn('⚠️ Could not check room occupancy for a name:', error.message);
+      return null;
+    }
+  }
+
+  async _currentSnapshot(maxAgeMs = this.cacheMs) {
+    if (this._snapshot && Date.now() - this._snapshot.takenAt <= maxAgeMs) return this._snapshot;
+    if (!this._refreshing) {
+      this._refreshing = this._takeSnapshot().finally(() => { this._refreshing = null; });
+    }
+    return this._refreshing;
+  }
+
+  async _takeSnapshot() {
+    const livekitRooms = await this.roomService.listRooms();
+    const present = new Map();
+    const rooms = [];
+    const now = Date.now();
+
+    for (const room of livekitRooms) {
+      const participants = room.numParticipants > 0 ? await this.roomService.listParticipants(room.name) : [];
+      const identities = participants
+        .map(p => p.identity)
+        .filter(identity => !identity.startsWith(WORKER_IDENTITY_PREFIX));
+      for (const identity of identities) {
+        present.set(nameKey(identity), room.name);
+        // Still in a room - keep the name reserved for its owner
+        const claim = this.claims.get(nameKey(identity));
+        if (claim) claim.expiresAt = Math.max(claim.expiresAt, now + this.claimTtlMs);
+      }
+      rooms.push({
+        name: room.name,
+        participants: identities.length,
+        identities,
+        maxParticipants: room.maxParticipants || 0,
+        ...parseRoomSettings(room.metadata),
+        createdAt: room.creationTime ? new Date(Number(room.creationTime) * 1000).toISOString() : null,
+      });
+    }
+
+    // Configured rooms are always joinable, even before LiveKit knows them
+    for (const name of this.allowedRooms) {
+      if (!rooms.some(room => room.name === name)) {
+        rooms.push({ name, participants: 0, identities: [], maxParticipants: this.maxParticipants, ...parseRoomSettings(null), createdAt: null });
+      }
+    }
+    rooms.sort((a, b) => b.participants - a.participants || a.name.localeCompare(b.name));
+
+    for (const [key, claim] of this.claims) {
+      if (claim.expiresAt <= now) this.claims.delete(key);
+    }
+
+    this._snapshot = { rooms, present, takenAt: Date.now() };
+    return this._snapshot;
+  }
+}
+
+module.exports = {
+  Lobby,
+  LobbyError,
+  roomNameError,
+  displayNameError,
+};
@@ -0,0 +1,98 @@
+// Prometheus metrics for the conversion pipeline, served on the worker control API at /metrics
+
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'voice_worker_' });
+
+const chunks = new client.Counter({
+  name: 'voice_worker_chunks_total',
+  help: 'Captured chunks by outcome (converted, fallback, silent, skipped, paused, unrouted, floorless, failed)',
+  labelNames: ['room', 'speaker', 'result'],
+  registers: [register],
+});
+
+const conversionLatency = new client.Histogram({
+  name: 'voice_worker_s2s_first_frame_seconds',
+  help: 'Time from sending a chunk to the first converted frame',
+  labelNames: ['room', 'speaker', 'provider'],
+  buckets: [0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10],
+  registers: [register],
+});
+
+const conversionDuration = new client.Histogram({
+  name: 'voice_worker_s2s_duration_seconds',
+  help: 'Time from sending a chunk to the end of the converted response',
+  labelNames: ['room', 'speaker', 'provider'],
+  buckets: [0.25, 0.5, 1, 1.5, 2, 3, 5, 10, 20, 30],
+  registers: [register],
+});
+
+const responseBytes = new client.Histogram({
+  name: 'voice_worker_s2s_response_bytes',
+  help: 'Size of converted PCM responses',
+  labelNames: ['room', 'speaker', 'provider'],
+  buckets: client.exponentialBuckets(16 * 1024, 2, 10), // 16 KiB .. 8 MiB
+  registers: [register],
+});
+
+const framesPublished = new client.Counter({
+  name: 'voice_worker_frames_published_total',
+  help: '20ms frames pushed into LiveKit AudioSources',
+  labelNames: ['room', 'speaker'],
+  registers: [register],
+});
+
+const providerLimits = new client.Counter({
+  name: 'voice_worker_provider_limit_events_total',
+  help: 'Quota exhaustion and rate-limit responses from the voice provider, and requests dropped without a free slot',
+  labelNames: ['room', 'provider', 'kind'],
+  registers: [register],
+});
+
+const routeRecreations = new client.Counter({
+  name: 'voice_worker_route_recreations_total',
+  help: 'Output routes rebuilt after their AudioSource became invalid',
+  labelNames: ['room', 'speaker'],
+  registers: [register],
+});
+
+const reconnects = new client.Counter({
+  name: 'voice_worker_reconnects_total',
+  help: 'Attempts to rejoin a room after the worker lost its connection',
+  labelNames: ['room', 'result'],
+  registers: [register],
+});
+
+const activeStreams = new client.Gauge({
+  name: 'voice_worker_active_streams',
+  help: 'Speakers whose audio is currently being captured',
+  labelNames: ['room'],
+  registers: [register],
+});
+
+// Remove every series labelled with a speaker once they leave, so cardinality doesn't grow forever
+function forgetSpeaker(room, speaker, provider) {
+  for (const result of ['converted', 'fallback', 'silent', 'skipped', 'paused', 'unrouted', 'floorless', 'failed']) {
+    chunks.remove({ room, speaker, result });
+  }
+  for (const metric of [conversionLatency, conversionDuration, responseBytes]) {
+    metric.remove({ room, speaker, provider });
+  }
+  framesPublished.remove({ room, speaker });
+  routeRecreations.remove({ room, speaker });
+}
+
+module.exports = {
+  register,
+  chunks,
+  conversionLatency,
+  conversionDuration,
+  responseBytes,
+  framesPublished,
+  providerLimits,
+  routeRecreations,
+  reconnects,
+  activeStreams,
+  forgetSpeaker,
+};
@@ -0,0 +1,14 @@
+// Error raised by voice-conversion providers so the worker can react to the
+// failure class (quota, rate limit, timeout) without parsing provider-specific text.
+class ConversionError extends Error {
+  constructor(message, { kind = 'error', status = null, body = '', retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ConversionError';
+    this.kind = kind;     // 'quota' | 'rate_limit' | 'timeout' | 'dropped' | 'error'
+    this.status = status; // HTTP status when the provider is remote
+    this.body = body;
+    this.retryAfterMs = retryAfterMs; // from the Retry-After header, null when the provider didn't say
+  }
+}
+
+module.exports = ConversionError;
@@ -0,0 +1,159 @@
+const { fetch } = require('undici');
+const { VOICE_SAMPLE_RATE, bufferToInt16 } = require('../audio');
+const { UPLOAD_FORMATS, SPEECH_RATE, encodeUpload, resample, convertPcmStream } = require('../audio-format');
+const { responseError, timeoutError } = require('./errors');
+
+const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
+const DEFAULT_STREAMING_LATENCY = 4;
+const DEFAULT_TTS_MODEL = 'eleven_multilingual_v2';
+const OUTPUT_RATES = [8000, 16000, 22050, 24000, 44100, 48000]; // output_format=pcm_<rate>
+
+// Build a multipart/form-data body by hand (Node-safe): text fields first, then the audio file(s)
+function buildMultipart(boundary, fields, files) {
+  const parts = [];
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === undefined || value === null) continue;
+    parts.push(Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="${name}"\r\n\r\n` +
+      `${value}\r\n`
+    ));
+  }
+  for (const file of [].concat(files)) {
+    parts.push(Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="${file.name}"; filename="${file.filename}"\r\n` +
+      `Content-Type: ${file.contentType}\r\n\r\n`
+    ));
+    parts.push(file.data, Buffer.from('\r\n'));
+  }
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
+  return Buffer.concat(parts);
+}
+
+// Raw PCM bytes of a streamed response body; the request timeout also covers the body
+async function* bodyChunks(res, label) {
+  try {
+    for await (const chunk of res.body) {
+      yield Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    }
+  } catch (error) {
+    throw timeoutError(error, 'ElevenLabs', label);
+  }
+}
+
+// ElevenLabs Speech-to-Speech provider - uploads a speech chunk and returns raw PCM.
+// Uploads are downsampled to uploadRate (raw 16 kHz PCM by default, a third of a 48 kHz WAV) and
+// responses requested at outputRate are resampled to the caller's rate (see lib/audio-format.js).
+class ElevenLabsProvider {
+  constructor({
+    apiKey = process.env.ELEVENLABS_API_KEY,
+    timeoutMs = 30000,
+    uploadFormat = process.env.S2S_UPLOAD_FORMAT || 'pcm',
+    uploadRate = parseInt(process.env.S2S_UPLOAD_RATE || String(SPEECH_RATE), 10),            // raw PCM can only be 16 kHz
+    outputRate = parseInt(process.env.S2S_OUTPUT_RATE || String(VOICE_SAMPLE_RATE), 10),
+  } = {}) {
+    if (!apiKey) {
+      throw new Error('ELEVENLABS_API_KEY is required for the elevenlabs voice provider');
+    }
+    if (!UPLOAD_FORMATS.includes(uploadFormat)) {
+      throw new Error(`Unknown S2S_UPLOAD_FORMAT "${uploadFormat}" (expected one of: ${UPLOAD_FORMATS.join(', ')})`);
+    }
+    if (!OUTPUT_RATES.includes(outputRate)) {
+      throw new Error(`S2S_OUTPUT_RATE must be one of ${OUTPUT_RATES.join(', ')} (got ${outputRate})`);
+    }
+    if (!(uploadRate >= 8000 && uploadRate <= 48000)) {
+      throw new Error(`S2S_UPLOAD_RATE must be between 8000 and 48000 (got ${uploadRate})`);
+    }
+    // The only raw PCM file_format speech-to-speech takes is pcm_s16le_16
+    if (uploadFormat === 'pcm' && uploadRate !== SPEECH_RATE) {
+      throw new Error(`S2S_UPLOAD_RATE must be ${SPEECH_RATE} with S2S_UPLOAD_FORMAT=pcm, use S2S_UPLOAD_FORMAT=wav for other rates (got ${uploadRate})`);
+    }
+    this.name = 'elevenlabs';
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+    this.uploadFormat = uploadFormat;
+    this.uploadRate = uploadRate;
+    this.outputRate = outputRate;
+  }
+
+  // Convert Int16Array mono PCM into the target voice, returns Int16Array PCM at opts.sampleRate
+  async convert(int16, voiceId, opts = {}) {
+    const res = await this._request(int16, voiceId, opts);
+    const buf = Buffer.from(await res.arrayBuffer().catch(error => { throw timeoutError(error, 'ElevenLabs', 'S2S'); }));
+    return resample(bufferToInt16(buf), this.outputRate, opts.sampleRate || VOICE_SAMPLE_RATE);
+  }
+
+  // Same as convert() but yields raw PCM bytes as they arrive from the /stream endpoint
+  async *convertStream(int16, voiceId, opts = {}) {
+    const res = await this._request(int16, voiceId, opts);
+    yield* convertPcmStream(bodyChunks(res, 'S2S'), { fromRate: this.outputRate, toRate: opts.sampleRate || VOICE_SAMPLE_RATE });
+  }
+
+  // opts.voiceSettings carries the speaker's model_id, voice_settings, remove_background_noise
+  // and optimize_streaming_latency (see lib/voice-settings.js)
+  async _request(int16, voiceId, opts) {
+    const sampleRate = opts.sampleRate || VOICE_SAMPLE_RATE;
+    const settings = opts.voiceSettings || {};
+
+    const upload = encodeUpload(int16, sampleRate, { format: this.uploadFormat, rate: this.uploadRate });
+
+    const boundary = `----lk-el-${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+    const hasVoiceSettings = settings.voice_settings && Object.keys(settings.voice_settings).length > 0;
+    const body = buildMultipart(boundary, {
+      model_id: settings.model_id,
+      voice_settings: hasVoiceSettings ? JSON.stringify(settings.voice_settings) : undefined,
+      remove_background_noise: settings.remove_background_noise === undefined ? undefined : String(settings.remove_background_noise),
+      file_format: upload.format === 'pcm' ? 'pcm_s16le_16' : undefined,
+    }, { name: 'audio', filename: upload.filename, contentType: upload.contentType, data: upload.data });
+
+    const latency = settings.optimize_streaming_latency ?? DEFAULT_STREAMING_LATENCY;
+    const query = `output_format=pcm_${this.outputRate}&optimize_streaming_latency=${latency}`;
+
+    const res = await fetch(`${ELEVENLABS_API_URL}/speech-to-speech/${voiceId}/stream?${query}`, {
+      method: 'POST',
+      headers: {
+        'xi-api-key': this.apiKey,
+        'content-type': `multipart/form-data; boundary=${boundary}`,
+      },
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs),
+    }).catch(error => { throw timeoutError(error, 'ElevenLabs', 'S2S'); });
+
+    if (!res.ok) throw await responseError(res, 'ElevenLabs', 'S2S');
+
+    // Response body is raw PCM mono Int16 at outputRate
+    return res;
+  }
+
+  // Text-to-speech in the same voice (translate mode), yields raw PCM bytes as they arrive.
+  // The speaker's STS model_id doesn't apply here - TTS_MODEL picks the TTS model.
+  async *synthesizeStream(text, voiceId, opts = {}) {
+    const sampleRate = opts.sampleRate || VOICE_SAMPLE_RATE;
+    const settings = opts.voiceSettings || {};
+    const hasVoiceSettings = settings.voice_settings && Object.keys(settings.voice_settings).length > 0;
+    const latency = settings.optimize_streaming_latency ?? DEFAULT_STREAMING_LATENCY;
+    const query = `output_format=pcm_${this.outputRate}&optimize_streaming_latency=${latency}`;
+
+    const res = await fetch(`${ELEVENLABS_API_URL}/text-to-speech/${voiceId}/stream?${query}`, {
+      method: 'POST',
+      headers: {
+        'xi-api-key': this.apiKey,
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify({
+        text,
+        model_id: process.env.TTS_MODEL || DEFAULT_TTS_MODEL,
+        voice_settings: hasVoiceSettings ? settings.voice_settings : undefined,
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    }).catch(error => { throw timeoutError(error, 'ElevenLabs', 'TTS'); });
+
+    if (!res.ok) throw await responseError(res, 'ElevenLabs', 'TTS');
+
+    yield* convertPcmStream(bodyChunks(res, 'TTS'), { fromRate: this.outputRate, toRate: sampleRate });
+  }
+}
+
+module.exports = ElevenLabsProvider;
+module.exports.buildMultipart = buildMultipart;
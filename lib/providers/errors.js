@@ -0,0 +1,50 @@
+// Failed provider responses -> ConversionError, shared by the voice, STT and translation providers.
+// Every API reports rate limits as 429; how it reports a used-up quota differs, so each one has a
+// quota check below. Both carry the Retry-After header as retryAfterMs when there is one.
+// Requests cut off by their AbortSignal.timeout() become kind 'timeout'.
+
+const ConversionError = require('./conversion-error');
+
+const QUOTA_CHECKS = {
+  // 401 or 429 with a quota message
+  ElevenLabs: (status, body) => (status === 401 || status === 429) && body.includes('quota'),
+  // 429 with insufficient_quota, a plain 429 is a rate limit
+  OpenAI: (status, body) => status === 429 && body.includes('insufficient_quota'),
+  // "Quota exceeded" has its own status code
+  DeepL: (status) => status === 456,
+};
+
+// Retry-After header (seconds or an HTTP date) in milliseconds, null when missing or unreadable
+function retryAfterMs(res, now = Date.now()) {
+  const value = res.headers?.get('retry-after');
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value.trim())) return Math.round(parseFloat(value) * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+// ConversionError for a response that isn't ok; `label` names the endpoint in the generic message,
+// e.g. responseError(res, 'ElevenLabs', 'S2S') -> "ElevenLabs S2S error 500"
+async function responseError(res, provider, label) {
+  const body = await res.text().catch(() => '');
+  const status = res.status;
+  if (QUOTA_CHECKS[provider]?.(status, body)) {
+    return new ConversionError(`${provider} quota exhausted`, { kind: 'quota', status, body, retryAfterMs: retryAfterMs(res) });
+  }
+  if (status === 429) {
+    return new ConversionError(`Rate limited by ${provider}`, { kind: 'rate_limit', status, body, retryAfterMs: retryAfterMs(res) });
+  }
+  return new ConversionError(`${provider} ${label} error ${status}`, { status, body });
+}
+
+// ConversionError for a request that ran out of time, any other error is returned as is
+function timeoutError(error, provider, label) {
+  if (error?.name !== 'TimeoutError' && error?.code !== 'ETIMEDOUT') return error;
+  return new ConversionError(`${provider} ${label} request timed out`, { kind: 'timeout' });
+}
+
+module.exports = {
+  responseError,
+  timeoutError,
+  retryAfterMs,
+};
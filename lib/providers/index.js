@@ -0,0 +1,42 @@
+// Voice-conversion provider registry
+//
+// Every provider implements:
+//   name                                - short identifier used in logs
+//   convert(int16, voiceId, opts)       - Promise<Int16Array> of converted mono PCM at opts.sampleRate
+//   convertStream(int16, voiceId, opts) - async iterable of raw Int16LE PCM byte chunks as they arrive
+//   synthesizeStream(text, voiceId, opts) - optional, text-to-speech in the voice as raw PCM byte chunks
+//                                         (needed for the translate pipeline mode)
+//   listVoices()                        - optional, voices offered by the provider itself
+//
+// PCM in and out is mono at opts.sampleRate (the room rate); providers that upload or receive other
+// rates convert with lib/audio-format.js.
+// Failures are surfaced as ConversionError with a `kind` the worker can act on.
+
+const ElevenLabsProvider = require('./elevenlabs');
+const LocalProvider = require('./local');
+const ConversionError = require('./conversion-error');
+
+const PROVIDERS = {
+  elevenlabs: ElevenLabsProvider,
+  local: LocalProvider,
+};
+
+function getProviderName() {
+  return (process.env.VOICE_PROVIDER || 'elevenlabs').toLowerCase();
+}
+
+function createVoiceProvider(name = getProviderName(), options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown VOICE_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  createVoiceProvider,
+  getProviderName,
+  ConversionError,
+  ElevenLabsProvider,
+  LocalProvider,
+};
@@ -0,0 +1,74 @@
+// Local voice provider - no outside API. Runs the DSP effects in lib/effects.js, so it serves as a
+// zero-cost set of voices next to the cloud provider, as the fallback while the cloud is unavailable,
+// and on its own for CI, offline development and testing the room pipeline.
+
+const { EFFECT_TYPES, applyEffects, pitchShift } = require('../effects');
+const { VOICE_SAMPLE_RATE } = require('../audio');
+
+const EFFECTS = ['passthrough', ...EFFECT_TYPES];
+const STREAM_CHUNK_BYTES = 4095; // deliberately odd so consumers exercise partial-sample carry-over
+
+// Built-in voices exposed by this provider (voice_id -> effect chain)
+const LOCAL_VOICES = [
+  { voice_id: 'local-passthrough', name: 'Local: Passthrough', effects: [] },
+  { voice_id: 'local-pitch-up', name: 'Local: Pitch Up', effects: [{ type: 'pitch', semitones: 4 }] },
+  { voice_id: 'local-pitch-down', name: 'Local: Pitch Down', effects: [{ type: 'pitch', semitones: -4 }] },
+  { voice_id: 'local-deep', name: 'Local: Deep', effects: [{ type: 'pitch', semitones: -3 }, { type: 'formant', ratio: 0.88 }] },
+  { voice_id: 'local-bright', name: 'Local: Bright', effects: [{ type: 'pitch', semitones: 3 }, { type: 'formant', ratio: 1.12 }] },
+  { voice_id: 'local-giant', name: 'Local: Giant (formant down)', effects: [{ type: 'formant', ratio: 0.8 }] },
+  { voice_id: 'local-tiny', name: 'Local: Tiny (formant up)', effects: [{ type: 'formant', ratio: 1.25 }] },
+  { voice_id: 'local-robot', name: 'Local: Robot', effects: [{ type: 'robot' }] },
+  { voice_id: 'local-radio', name: 'Local: Radio', effects: [{ type: 'radio' }] },
+  { voice_id: 'local-reverb', name: 'Local: Hall Reverb', effects: [{ type: 'reverb' }] },
+];
+
+function isLocalVoice(voiceId) {
+  return LOCAL_VOICES.some(voice => voice.voice_id === voiceId);
+}
+
+class LocalProvider {
+  constructor({
+    effect = process.env.LOCAL_VOICE_EFFECT || 'pitch',
+    semitones = parseFloat(process.env.LOCAL_PITCH_SEMITONES || '4'),
+    latencyMs = parseInt(process.env.LOCAL_PROVIDER_LATENCY_MS || '0', 10),
+  } = {}) {
+    if (!EFFECTS.includes(effect)) {
+      throw new Error(`Unknown LOCAL_VOICE_EFFECT "${effect}" (expected one of: ${EFFECTS.join(', ')})`);
+    }
+    this.name = 'local';
+    this.effect = effect;
+    this.semitones = semitones;
+    // Voice IDs it doesn't know (e.g. ElevenLabs IDs from a saved selection) get LOCAL_VOICE_EFFECT
+    this.defaultEffects = effect === 'passthrough' ? [] : [effect === 'pitch' ? { type: 'pitch', semitones } : { type: effect }];
+    this.latencyMs = latencyMs; // optional artificial delay to mimic a remote API
+  }
+
+  listVoices() {
+    return LOCAL_VOICES.map(({ voice_id, name }) => ({ voice_id, name, category: 'local' }));
+  }
+
+  async convert(int16, voiceId, opts = {}) {
+    const sampleRate = opts.sampleRate || VOICE_SAMPLE_RATE;
+    const effects = LOCAL_VOICES.find(v => v.voice_id === voiceId)?.effects || this.defaultEffects;
+
+    if (this.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+
+    return applyEffects(int16, effects, sampleRate);
+  }
+
+  // Yields the converted PCM in odd-sized byte chunks, like a network body would arrive
+  async *convertStream(int16, voiceId, opts = {}) {
+    const pcm = await this.convert(int16, voiceId, opts);
+    const bytes = Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength);
+    for (let o = 0; o < bytes.length; o += STREAM_CHUNK_BYTES) {
+      yield bytes.subarray(o, o + STREAM_CHUNK_BYTES);
+    }
+  }
+}
+
+module.exports = LocalProvider;
+module.exports.pitchShift = pitchShift;
+module.exports.isLocalVoice = isLocalVoice;
+module.exports.LOCAL_VOICES = LOCAL_VOICES;
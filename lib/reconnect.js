@@ -0,0 +1,19 @@
+// Delays between attempts to rejoin a room after the connection was lost
+//
+// Exponential backoff with full jitter: the ceiling doubles with every failed attempt up to maxMs, and
+// the delay is picked uniformly below it, so workers that dropped together don't all return together.
+
+// Upper bound of the delay before attempt n (1-based): min(maxMs, baseMs * 2^(n-1))
+function reconnectCeiling(attempt, { baseMs, maxMs }) {
+  return Math.min(maxMs, baseMs * Math.pow(2, Math.max(0, attempt - 1)));
+}
+
+// Delay before attempt n: uniform in [0, reconnectCeiling(n)]
+function reconnectDelay(attempt, limits, random = Math.random) {
+  return Math.round(random() * reconnectCeiling(attempt, limits));
+}
+
+module.exports = {
+  reconnectCeiling,
+  reconnectDelay,
+};
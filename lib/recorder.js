@@ -0,0 +1,296 @@
+// Opt-in session recording (RECORD_SESSIONS=true)
+//
+// Every worker connection becomes a session directory under RECORDINGS_DIR:
+//
+//   <sessionId>/
+//     manifest.json             room, timestamps, speakers, voices and chunk boundaries
+//     <speaker>.input.wav       raw mic PCM as received from LiveKit
+//     <speaker>.output.wav      converted audio as published back into the room
+//
+// All WAVs start at the session start, gaps (speaker not yet joined, nothing converted)
+// are filled with silence, so a speaker's input and output line up when played side by side.
+// Manifest times are milliseconds since the session start.
+
+const fs = require('fs');
+const path = require('path');
+const { VOICE_SAMPLE_RATE, pcm16ToWav } = require('./audio');
+const { writeFileAtomic } = require('./fs-util');
+
+const MANIFEST_FILE = 'manifest.json';
+const GAP_TOLERANCE_MS = 100;          // writes later than this are preceded by silence
+const MANIFEST_SAVE_MS = 10000;        // periodic manifest save so a crash leaves something usable
+
+function recordingsDir() {
+  return path.resolve(process.env.RECORDINGS_DIR || path.join(__dirname, '..', 'data', 'recordings'));
+}
+
+function isRecordingEnabled() {
+  return ['1', 'true', 'yes'].includes(String(process.env.RECORD_SESSIONS || '').toLowerCase());
+}
+
+// Identities and room names are user input - keep them filesystem-safe
+function safeName(name) {
+  return String(name).replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64) || '_';
+}
+
+// Appends mono Int16 PCM to a WAV file; the header sizes are patched in close()
+class WavWriter {
+  constructor(filePath, sampleRate = VOICE_SAMPLE_RATE) {
+    this.filePath = filePath;
+    this.sampleRate = sampleRate;
+    this.samples = 0;
+    this._closed = false;
+    this._writing = fs.promises.open(filePath, 'w').then(async (handle) => {
+      this._handle = handle;
+      await handle.write(pcm16ToWav(Buffer.alloc(0), sampleRate));
+    });
+  }
+
+  // Append samples that belong at `atMs` into the file, padding with silence if the file is behind
+  write(int16, atMs) {
+    if (this._closed || !int16 || int16.length === 0) return;
+    const target = Math.floor((atMs * this.sampleRate) / 1000);
+    const tolerance = (GAP_TOLERANCE_MS * this.sampleRate) / 1000;
+    if (target - this.samples > tolerance) this._pad(target - this.samples);
+
+    const bytes = Buffer.from(int16.buffer, int16.byteOffset, int16.byteLength);
+    const copy = Buffer.from(bytes); // the frame buffer may be reused before the write runs
+    this.samples += int16.length;
+    this._enqueue(() => this._handle.write(copy));
+  }
+
+  _pad(samples) {
+    this.samples += samples;
+    this._enqueue(async () => {
+      const second = Buffer.alloc(this.sampleRate * 2);
+      for (let left = samples * 2; left > 0; left -= second.length) {
+        await this._handle.write(second, 0, Math.min(left, second.length));
+      }
+    });
+  }
+
+  _enqueue(task) {
+    this._writing = this._writing.then(task).catch(error => {
+      console.error(`❌ Failed to write ${this.filePath}:`, error.message);
+    });
+  }
+
+  async close() {
+    if (this._closed) return this._writing;
+    this._closed = true;
+    this._enqueue(async () => {
+      const dataBytes = this.samples * 2;
+      const header = pcm16ToWav(Buffer.alloc(0), this.sampleRate);
+      header.writeUInt32LE(36 + dataBytes, 4);
+      header.writeUInt32LE(dataBytes, 40);
+      await this._handle.write(header, 0, header.length, 0);
+      await this._handle.close();
+    });
+    return this._writing;
+  }
+}
+
+class SessionRecorder {
+  constructor({ roomName, dir = recordingsDir(), sampleRate = VOICE_SAMPLE_RATE }) {
+    this.startedAt = Date.now();
+    const stamp = new Date(this.startedAt).toISOString().replace(/[:.]/g, '-');
+    // The whole id has to survive safeName() for readManifest(), so the room part gives way to the stamp
+    this.sessionId = `${safeName(roomName).slice(0, 64 - 1 - stamp.length)}-${stamp}`;
+    this.dir = path.join(dir, this.sessionId);
+    this.sampleRate = sampleRate;
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    this.manifest = {
+      version: 1,
+      sessionId: this.sessionId,
+      roomName,
+      sampleRate,
+      startedAt: new Date(this.startedAt).toISOString(),
+      endedAt: null,
+      speakers: {},   // identity -> { input, output, firstSeenMs, voices: [{ voiceId, atMs }] }
+      chunks: [],     // see startChunk()
+    };
+    this._writers = new Map();   // `${speaker}.${kind}` -> WavWriter
+    this._chunks = new Map();    // `${speaker}:${seq}` -> manifest chunk still in progress
+    this._fileBases = new Set(); // file name bases in use - distinct identities can sanitize to the same one
+    this._dirty = true;
+    this._closed = false;
+    this._saving = Promise.resolve();
+    this._saveTimer = setInterval(() => { if (this._dirty) this._saveManifest(); }, MANIFEST_SAVE_MS);
+    this._saveTimer.unref?.();
+    console.log(`⏺️ Recording session ${this.sessionId} to ${this.dir}`);
+  }
+
+  offsetMs() {
+    return Date.now() - this.startedAt;
+  }
+
+  writeInput(speaker, int16) {
+    this._writer(speaker, 'input').write(int16, this.offsetMs());
+  }
+
+  writeOutput(speaker, int16) {
+    this._writer(speaker, 'output').write(int16, this.offsetMs());
+  }
+
+  // A captured chunk was queued for conversion
+  startChunk(speaker, seq, { samples, voiceId }) {
+    if (this._closed) return null;
+    const entry = this._speaker(speaker);
+    const lastVoice = entry.voices[entry.voices.length - 1];
+    if (voiceId && lastVoice?.voiceId !== voiceId) entry.voices.push({ voiceId, atMs: this.offsetMs() });
+
+    const durationMs = Math.round((samples * 1000) / this.sampleRate);
+    const chunk = {
+      speaker,
+      seq,
+      voiceId,
+      capturedAtMs: this.offsetMs(),          // when the chunk was cut; its audio ends about here
+      durationMs,
+      sentAtMs: null,
+      firstFrameAtMs: null,
+      completedAtMs: null,
+      outputMs: 0,
+      result: 'queued',
+    };
+    this.manifest.chunks.push(chunk);
+    this._chunks.set(`${speaker}:${seq}`, chunk);
+    this._dirty = true;
+    return chunk;
+  }
+
+  getChunk(speaker, seq) {
+    return this._chunks.get(`${speaker}:${seq}`) || null;
+  }
+
+  // Stamp a chunk milestone: 'sent' or 'firstFrame'
+  markChunk(chunk, event) {
+    if (!chunk) return;
+    chunk[`${event}AtMs`] = this.offsetMs();
+    this._dirty = true;
+  }
+
+  finishChunk(chunk, result, { outputMs = 0 } = {}) {
+    if (!chunk) return;
+    chunk.result = result;
+    chunk.completedAtMs = this.offsetMs();
+    chunk.outputMs = outputMs;
+    this._chunks.delete(`${chunk.speaker}:${chunk.seq}`);
+    this._dirty = true;
+  }
+
+  async close() {
+    if (this._closed) return;
+    this._closed = true;
+    clearInterval(this._saveTimer);
+    // Chunks still waiting for a conversion slot were cut off by the disconnect
+    for (const chunk of this._chunks.values()) chunk.result = 'dropped';
+    this._chunks.clear();
+    await Promise.all(Array.from(this._writers.values(), writer => writer.close()));
+    this.manifest.endedAt = new Date().toISOString();
+    await this._saveManifest();
+    console.log(`⏹️ Recording saved: ${this.dir}`);
+  }
+
+  _speaker(speaker) {
+    let entry = this.manifest.speakers[speaker];
+    if (!entry) {
+      const base = this._fileBase(speaker);
+      entry = this.manifest.speakers[speaker] = {
+        input: `${base}.input.wav`,
+        output: `${base}.output.wav`,
+        firstSeenMs: this.offsetMs(),
+        voices: [],
+      };
+      this._dirty = true;
+    }
+    return entry;
+  }
+
+  // safeName() of the identity, with -2, -3, ... when another speaker already has it ("a.b" and "a_b")
+  _fileBase(speaker) {
+    const base = safeName(speaker);
+    let candidate = base;
+    for (let n = 2; this._fileBases.has(candidate); n++) candidate = `${base}-${n}`;
+    this._fileBases.add(candidate);
+    return candidate;
+  }
+
+  _writer(speaker, kind) {
+    const key = `${speaker}.${kind}`;
+    let writer = this._writers.get(key);
+    if (!writer) {
+      writer = new WavWriter(path.join(this.dir, this._speaker(speaker)[kind]), this.sampleRate);
+      this._writers.set(key, writer);
+    }
+    return writer;
+  }
+
+  _saveManifest() {
+    this._dirty = false;
+    const snapshot = JSON.stringify(this.manifest, null, 2);
+    const file = path.join(this.dir, MANIFEST_FILE);
+    this._saving = this._saving.then(() => writeFileAtomic(file, snapshot)).catch(error => {
+      console.error(`❌ Failed to save recording manifest ${file}:`, error.message);
+    });
+    return this._saving;
+  }
+}
+
+// Recorded sessions, newest first (used by the server's /recordings routes)
+async function listSessions(dir = recordingsDir()) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const sessions = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const manifest = await readManifest(entry.name, dir);
+    if (!manifest) continue;
+    sessions.push({
+      sessionId: manifest.sessionId,
+      roomName: manifest.roomName,
+      startedAt: manifest.startedAt,
+      endedAt: manifest.endedAt,
+      speakers: Object.keys(manifest.speakers),
+      chunks: manifest.chunks.length,
+    });
+  }
+  return sessions.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+async function readManifest(sessionId, dir = recordingsDir()) {
+  if (safeName(sessionId) !== sessionId) return null;
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(dir, sessionId, MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Absolute path of a file inside a session, or null if it isn't one of the session's files
+async function recordingFilePath(sessionId, fileName, dir = recordingsDir()) {
+  const manifest = await readManifest(sessionId, dir);
+  if (!manifest) return null;
+  const files = new Set([MANIFEST_FILE]);
+  for (const speaker of Object.values(manifest.speakers)) {
+    files.add(speaker.input);
+    files.add(speaker.output);
+  }
+  return files.has(fileName) ? path.join(dir, sessionId, fileName) : null;
+}
+
+module.exports = {
+  SessionRecorder,
+  WavWriter,
+  isRecordingEnabled,
+  recordingsDir,
+  listSessions,
+  readManifest,
+  recordingFilePath,
+};
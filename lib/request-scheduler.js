@@ -0,0 +1,180 @@
+// Central scheduling of requests to a cloud provider with limits
+//
+// Limits belong to the API key, not the room, so there is one scheduler per provider per process,
+// shared by every room a worker process serves (see providerScheduler()):
+//   concurrency   at most PROVIDER_MAX_CONCURRENCY requests in flight (the plan's concurrency limit)
+//   token bucket  PROVIDER_REQUESTS_PER_MINUTE, refilled continuously, up to PROVIDER_BURST at once (0 = no limit)
+//   rate limit    a 429 holds back new requests until its Retry-After, or an exponential backoff when
+//                 it doesn't say; requests queue meanwhile, nothing else is paused
+//   quota         real quota exhaustion keeps the provider unavailable until its Retry-After, or
+//                 PROVIDER_QUOTA_RETRY_MS; the next request after that finds out whether it is back
+// Requests wait in FIFO order. Each has a deadline: one that would still be waiting at its deadline -
+// including when a rate limit holds requests back past it - is dropped straight away, so the caller can
+// play the chunk through the fallback instead of falling further behind.
+
+const DEFAULT_CONCURRENCY = 3;
+
+class RequestScheduler {
+  constructor({
+    name,
+    concurrency = DEFAULT_CONCURRENCY,
+    requestsPerMinute = 0,
+    burst = concurrency,
+    backoffBaseMs = 1000,
+    backoffMaxMs = 30000,
+    quotaRetryMs = 5 * 60 * 1000,
+  }) {
+    this.name = name;
+    this.concurrency = Math.max(1, concurrency);
+    this.ratePerMs = requestsPerMinute > 0 ? requestsPerMinute / 60000 : 0;
+    this.burst = Math.max(1, burst);
+    this.backoffBaseMs = backoffBaseMs;
+    this.backoffMaxMs = backoffMaxMs;
+    this.quotaRetryMs = quotaRetryMs;
+
+    this.inFlight = 0;
+    this.queue = [];              // [{ deadline, resolve }] in arrival order
+    this.tokens = this.burst;
+    this._refilledAt = Date.now();
+    this.pausedUntil = 0;         // rate limit: nothing is sent before this
+    this.quotaUntil = 0;          // quota: the provider counts as unavailable before this
+    this._limitStreak = 0;        // hold windows since the last success, for the backoff
+    this._timer = null;
+    this.counts = { granted: 0, dropped: 0, rateLimited: 0, quotaExhausted: 0 };
+  }
+
+  // Wait for a slot. Resolves to a release() function to call when the request is over, or to null when
+  // the request was dropped because it couldn't be sent before `deadline` (a timestamp).
+  acquire({ deadline = Infinity } = {}) {
+    return new Promise(resolve => {
+      this.queue.push({ deadline, resolve });
+      this._drain();
+    });
+  }
+
+  // The provider answered 429; returns how long requests are held back. 429s that arrive while
+  // requests are already held back came from the same burst and don't lengthen the backoff.
+  noteRateLimit(retryAfterMs = null) {
+    if (Date.now() >= this.pausedUntil) this._limitStreak++;
+    this.counts.rateLimited++;
+    const backoff = Math.min(this.backoffMaxMs, this.backoffBaseMs * Math.pow(2, this._limitStreak - 1));
+    const waitMs = retryAfterMs !== null && retryAfterMs >= 0 ? retryAfterMs : backoff;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + waitMs);
+    this._drain();
+    return waitMs;
+  }
+
+  // The provider says the quota is used up; returns how long it stays unavailable
+  noteQuotaExhausted(retryAfterMs = null) {
+    this.counts.quotaExhausted++;
+    const waitMs = retryAfterMs !== null && retryAfterMs >= 0 ? retryAfterMs : this.quotaRetryMs;
+    this.quotaUntil = Math.max(this.quotaUntil, Date.now() + waitMs);
+    return waitMs;
+  }
+
+  // A request went through; returns true when the quota had been marked as exhausted
+  noteSuccess() {
+    this._limitStreak = 0;
+    const hadQuota = this.quotaUntil > 0;
+    this.quotaUntil = 0;
+    return hadQuota;
+  }
+
+  // 'quota' while the quota is exhausted, 'rate_limit' while a 429 holds requests back, otherwise null
+  limited(now = Date.now()) {
+    if (now < this.quotaUntil) return 'quota';
+    if (now < this.pausedUntil) return 'rate_limit';
+    return null;
+  }
+
+  // Control API view
+  state() {
+    const iso = (ts) => (ts > Date.now() ? new Date(ts).toISOString() : null);
+    this._refill(Date.now());
+    return {
+      name: this.name,
+      concurrency: this.concurrency,
+      requestsPerMinute: this.ratePerMs ? Math.round(this.ratePerMs * 60000) : null,
+      inFlight: this.inFlight,
+      queued: this.queue.length,
+      tokens: this.ratePerMs ? Math.floor(this.tokens) : null,
+      rateLimitedUntil: iso(this.pausedUntil),
+      quotaExhaustedUntil: iso(this.quotaUntil),
+      ...this.counts,
+    };
+  }
+
+  _refill(now) {
+    if (!this.ratePerMs) return;
+    this.tokens = Math.min(this.burst, this.tokens + (now - this._refilledAt) * this.ratePerMs);
+    this._refilledAt = now;
+  }
+
+  // Earliest time the head of the queue could be sent, ignoring the concurrency limit
+  _readyAt(now) {
+    let at = Math.max(now, this.pausedUntil);
+    if (this.ratePerMs && this.tokens < 1) at = Math.max(at, now + (1 - this.tokens) / this.ratePerMs);
+    return at;
+  }
+
+  _drain() {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    const now = Date.now();
+    this._refill(now);
+
+    // Requests that can't be sent in time - waiting longer would only add latency
+    const readyAt = this._readyAt(now);
+    this.queue = this.queue.filter(entry => {
+      if (entry.deadline >= readyAt && entry.deadline > now) return true;
+      this.counts.dropped++;
+      entry.resolve(null);
+      return false;
+    });
+
+    while (this.queue.length > 0 && this.inFlight < this.concurrency && this._readyAt(now) <= now) {
+      const { resolve } = this.queue.shift();
+      if (this.ratePerMs) this.tokens -= 1;
+      this.inFlight++;
+      this.counts.granted++;
+      let released = false;
+      resolve(() => {
+        if (released) return;
+        released = true;
+        this.inFlight--;
+        this._drain();
+      });
+    }
+
+    // Wake up for the next token, the end of a rate limit, or the next deadline
+    if (this.queue.length === 0) return;
+    const wakeAt = Math.min(
+      this.inFlight < this.concurrency ? this._readyAt(now) : Infinity,
+      ...this.queue.map(entry => entry.deadline),
+    );
+    if (wakeAt === Infinity) return;
+    this._timer = setTimeout(() => this._drain(), Math.max(1, wakeAt - now));
+  }
+}
+
+// Process-wide scheduler for a provider, configured from the environment
+const schedulers = new Map();
+
+function providerScheduler(name) {
+  if (!schedulers.has(name)) {
+    const concurrency = parseInt(process.env.PROVIDER_MAX_CONCURRENCY || String(DEFAULT_CONCURRENCY), 10);
+    schedulers.set(name, new RequestScheduler({
+      name,
+      concurrency,
+      requestsPerMinute: parseInt(process.env.PROVIDER_REQUESTS_PER_MINUTE || '0', 10),
+      burst: parseInt(process.env.PROVIDER_BURST || String(concurrency), 10),
+      quotaRetryMs: parseInt(process.env.PROVIDER_QUOTA_RETRY_MS || '300000', 10),
+    }));
+  }
+  return schedulers.get(name);
+}
+
+module.exports = {
+  RequestScheduler,
+  providerScheduler,
+};
@@ -0,0 +1,18 @@
+// LiveKit server API client shared by the server and the worker
+
+const { RoomServiceClient } = require('livekit-server-sdk');
+
+// RoomServiceClient talks HTTP(S); the configured URL is usually the wss:// signalling URL
+function livekitHttpUrl(wsUrl = process.env.LIVEKIT_URL || process.env.LIVEKIT_WS_URL) {
+  if (!wsUrl) throw new Error('LIVEKIT_URL or LIVEKIT_WS_URL environment variable not set');
+  return wsUrl.replace(/^ws(s?):\/\//, 'http$1://');
+}
+
+function createRoomService() {
+  return new RoomServiceClient(livekitHttpUrl(), process.env.LIVEKIT_API_KEY, process.env.LIVEKIT_API_SECRET);
+}
+
+module.exports = {
+  livekitHttpUrl,
+  createRoomService,
+};
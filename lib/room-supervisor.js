@@ -0,0 +1,160 @@
+// Runs one LiveKitAudioWorker per active room inside a single process
+//
+// Rooms are discovered two ways:
+//  - LiveKit webhooks, forwarded by the server over the worker channel ('room-event'), react immediately
+//  - periodic room listing through livekit-server-sdk reconciles anything the webhooks missed
+// A room's worker starts when the first human joins and stops once the room has been empty
+// for emptyGraceMs (so a quick page reload doesn't tear everything down).
+
+const WORKER_IDENTITY_PREFIX = 'audio-worker';
+
+class RoomSupervisor {
+  constructor({
+    createWorker,                 // (roomName) => LiveKitAudioWorker (not yet connected)
+    roomService,                  // RoomServiceClient
+    pollMs = 15000,
+    emptyGraceMs = 30000,
+    roomFilter = () => true,      // (roomName) => boolean, limits which rooms get a worker
+  }) {
+    this.createWorker = createWorker;
+    this.roomService = roomService;
+    this.pollMs = pollMs;
+    this.emptyGraceMs = emptyGraceMs;
+    this.roomFilter = roomFilter;
+
+    this.workers = new Map();     // roomName -> { worker, startedAt, emptySince }
+    this._starting = new Map();   // roomName -> Promise while connecting
+    this._pollTimer = null;
+    this._stopped = false;
+  }
+
+  async start() {
+    this._stopped = false;
+    await this.reconcile();
+    this._pollTimer = setInterval(() => {
+      this.reconcile().catch(error => console.error('❌ Room reconcile failed:', error.message));
+    }, this.pollMs);
+  }
+
+  // React to a LiveKit webhook event ({ event, room: { name }, participant: { identity } })
+  async handleRoomEvent(event) {
+    const roomName = event?.room?.name || event?.room;
+    if (!roomName || !this.roomFilter(roomName)) return;
+    const identity = event.participant?.identity || event.participant || '';
+
+    switch (event.event) {
+      case 'participant_joined':
+        if (!identity.startsWith(WORKER_IDENTITY_PREFIX)) await this.startRoom(roomName);
+        break;
+      case 'participant_left':
+        this._markEmptyIfNoHumans(roomName);
+        break;
+      case 'room_finished':
+        await this.stopRoom(roomName);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Bring running workers in line with the rooms LiveKit reports
+  async reconcile() {
+    if (this._stopped) return;
+    const rooms = await this.roomService.listRooms();
+    const active = new Set();
+
+    for (const room of rooms) {
+      if (!this.roomFilter(room.name)) continue;
+      active.add(room.name);
+      const entry = this.workers.get(room.name);
+      // Without a worker, anyone in the room is human; with one, ask the worker who it sees
+      if (!entry && room.numParticipants > 0) {
+        await this.startRoom(room.name);
+      } else if (entry) {
+        this._markEmptyIfNoHumans(room.name);
+      }
+    }
+
+    const now = Date.now();
+    for (const [roomName, entry] of this.workers) {
+      const gone = !active.has(roomName);
+      const emptyTooLong = entry.emptySince && now - entry.emptySince >= this.emptyGraceMs;
+      if (gone || emptyTooLong) {
+        console.log(`🧹 Room ${roomName} is ${gone ? 'closed' : 'empty'} - stopping its worker`);
+        await this.stopRoom(roomName);
+      } else if (entry.worker.reconnectFailed) {
+        // It ran out of reconnect attempts; a fresh worker starts on the next poll if people are still there
+        console.log(`🧹 Worker for ${roomName} could not reconnect - replacing it`);
+        await this.stopRoom(roomName);
+      }
+    }
+  }
+
+  async startRoom(roomName) {
+    if (this._stopped) return null;
+    const existing = this.workers.get(roomName);
+    if (existing) {
+      existing.emptySince = null;
+      return existing.worker;
+    }
+    if (this._starting.has(roomName)) return this._starting.get(roomName);
+
+    const starting = (async () => {
+      console.log(`🏁 Starting worker for room: ${roomName}`);
+      const worker = this.createWorker(roomName);
+      try {
+        await worker.connectToRoom(roomName);
+        this.workers.set(roomName, { worker, startedAt: Date.now(), emptySince: null });
+        return worker;
+      } catch (error) {
+        console.error(`❌ Failed to start worker for ${roomName}:`, error.message);
+        await worker.cleanup();
+        return null;
+      } finally {
+        this._starting.delete(roomName);
+      }
+    })();
+    this._starting.set(roomName, starting);
+    return starting;
+  }
+
+  async stopRoom(roomName) {
+    const entry = this.workers.get(roomName);
+    if (!entry) return;
+    this.workers.delete(roomName);
+    console.log(`🛑 Stopping worker for room: ${roomName}`);
+    await entry.worker.cleanup();
+  }
+
+  async stopAll() {
+    this._stopped = true;
+    if (this._pollTimer) clearInterval(this._pollTimer);
+    this._pollTimer = null;
+    await Promise.all(Array.from(this.workers.keys()).map(roomName => this.stopRoom(roomName)));
+  }
+
+  getStatus() {
+    return Array.from(this.workers.entries()).map(([roomName, entry]) => ({
+      roomName,
+      startedAt: new Date(entry.startedAt).toISOString(),
+      emptySince: entry.emptySince ? new Date(entry.emptySince).toISOString() : null,
+      ...entry.worker.getRoomStatus(),
+    }));
+  }
+
+  _markEmptyIfNoHumans(roomName) {
+    const entry = this.workers.get(roomName);
+    if (!entry) return;
+    if (entry.worker.getRoomStatus().reconnecting) return; // it can't see anyone until it is back
+    const humans = entry.worker.getHumanParticipants().length;
+    if (humans > 0) {
+      entry.emptySince = null;
+    } else if (!entry.emptySince) {
+      entry.emptySince = Date.now();
+      console.log(`⏳ Room ${roomName} has no humans left - stopping in ${Math.round(this.emptyGraceMs / 1000)}s unless someone joins`);
+    }
+  }
+}
+
+module.exports = RoomSupervisor;
+module.exports.WORKER_IDENTITY_PREFIX = WORKER_IDENTITY_PREFIX;
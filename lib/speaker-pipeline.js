@@ -0,0 +1,207 @@
+// Per-speaker conversion pipeline
+//
+// capture ──enqueue()──▶ pending jobs ──(≤ maxParallel conversions)──▶ per-seq frame buffers
+//                                                                              │
+//                         AudioSource ◀── paced playout (jitter buffer, in seq order)
+//
+// Capture never waits for conversion, conversions may finish out of order, and playout
+// releases one frame per frameMs so listeners get continuous, evenly paced speech.
+
+const FRAME_MS = 20;
+
+class SpeakerPipeline {
+  constructor({
+    speaker,
+    convert,          // async (pcm, onFrame, seq, queuedAt) => void - streams converted frames for one chunk
+    publishFrame,     // async (frame) => boolean - false drops the rest of the current chunk
+    onDrop = null,    // (seq) => void - a chunk was dropped from a full queue without being converted
+    maxParallel = 2,
+    jitterMs = 100,
+    maxPending = 10,
+    frameMs = FRAME_MS,
+  }) {
+    this.speaker = speaker;
+    this.convert = convert;
+    this.publishFrame = publishFrame;
+    this.onDrop = onDrop;
+    this.maxParallel = Math.max(1, maxParallel);
+    this.jitterMs = jitterMs;
+    this.maxPending = maxPending;
+    this.frameMs = frameMs;
+
+    this.jobs = new Map();   // seq -> { seq, pcm, queuedAt, frames: [], done, converting, dropped }
+    this._pending = [];      // seqs waiting for a conversion slot
+    this._inFlight = 0;
+    this._nextSeq = 0;       // next seq handed out by enqueue()
+    this._playSeq = 0;       // seq currently being played
+    this._playing = false;   // false while (re)filling the jitter buffer
+    this._playStart = 0;
+    this._framesPlayed = 0;
+    this._ticking = false;
+    this._closed = false;
+    this._timer = setInterval(() => this._tick(), this.frameMs);
+  }
+
+  // Queue one chunk of captured PCM for conversion, returns its sequence number
+  enqueue(pcm) {
+    if (this._closed) return -1;
+    const seq = this._nextSeq++;
+    this.jobs.set(seq, { seq, pcm, queuedAt: Date.now(), frames: [], done: false, converting: false, dropped: false });
+    this._pending.push(seq);
+
+    // Too far behind - drop the oldest chunk that hasn't started converting
+    while (this._pending.length > this.maxPending) {
+      const dropped = this.jobs.get(this._pending.shift());
+      dropped.done = true;
+      dropped.pcm = null;
+      console.warn(`⚠️ Conversion queue full for ${this.speaker} - dropped chunk #${dropped.seq}`);
+      this.onDrop?.(dropped.seq);
+    }
+
+    this._pump();
+    return seq;
+  }
+
+  // Milliseconds of converted audio waiting to be played
+  get bufferedMs() {
+    let frames = 0;
+    for (const job of this.jobs.values()) frames += job.frames.length;
+    return frames * this.frameMs;
+  }
+
+  // Seq the next enqueue() hands out - lets callers register a chunk before its conversion starts,
+  // which can happen inside enqueue()
+  get nextSeq() {
+    return this._nextSeq;
+  }
+
+  get pendingCount() {
+    return this._pending.length;
+  }
+
+  get inFlightCount() {
+    return this._inFlight;
+  }
+
+  // Stop accepting audio; resolves once everything queued so far has been played
+  close() {
+    this._closed = true;
+    return new Promise(resolve => {
+      const check = () => {
+        if (this.jobs.size === 0 || this._timer === null) {
+          this.stop();
+          resolve();
+        } else {
+          setTimeout(check, this.frameMs * 5);
+        }
+      };
+      check();
+    });
+  }
+
+  // Stop immediately and discard anything buffered
+  stop() {
+    this._closed = true;
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+    this.jobs.clear();
+    this._pending = [];
+  }
+
+  _pump() {
+    while (this._inFlight < this.maxParallel && this._pending.length > 0) {
+      const job = this.jobs.get(this._pending.shift());
+      if (!job || job.done) continue;
+      this._runJob(job);
+    }
+  }
+
+  async _runJob(job) {
+    this._inFlight++;
+    job.converting = true;
+    try {
+      await this.convert(job.pcm, (frame) => {
+        if (!job.dropped && this.jobs.get(job.seq) === job) job.frames.push(frame);
+      }, job.seq, job.queuedAt);
+    } catch (error) {
+      console.warn(`⚠️ Conversion of chunk #${job.seq} failed for ${this.speaker}: ${error.message}`);
+    } finally {
+      job.done = true;
+      job.converting = false;
+      job.pcm = null;
+      this._inFlight--;
+      this._pump();
+    }
+  }
+
+  // Frames ready to play in seq order without waiting on an unfinished chunk
+  _readyFrames() {
+    let frames = 0;
+    for (let seq = this._playSeq; seq < this._nextSeq; seq++) {
+      const job = this.jobs.get(seq);
+      if (!job) continue;
+      frames += job.frames.length;
+      if (!job.done) break;
+    }
+    return frames;
+  }
+
+  // Move past chunks that finished with nothing left to play
+  _skipFinished() {
+    while (this._playSeq < this._nextSeq) {
+      const job = this.jobs.get(this._playSeq);
+      if (job && (job.frames.length > 0 || !job.done)) return job;
+      this.jobs.delete(this._playSeq);
+      this._playSeq++;
+    }
+    return null;
+  }
+
+  // Next frame in sequence order. null means "wait".
+  _nextFrame() {
+    const job = this._skipFinished();
+    if (!job || job.frames.length === 0) return null;
+    return { job, frame: job.frames.shift() };
+  }
+
+  async _tick() {
+    if (this._ticking) return;
+    this._ticking = true;
+    try {
+      if (!this._playing) {
+        // Jitter buffer: start once enough audio is ready, or the head chunk is complete
+        const head = this._skipFinished();
+        const readyMs = this._readyFrames() * this.frameMs;
+        if (readyMs === 0 || (readyMs < this.jitterMs && !head.done)) return;
+        this._playing = true;
+        this._playStart = Date.now();
+        this._framesPlayed = 0;
+      }
+
+      // Release as many frames as wall-clock time says are due (catches up after timer jitter)
+      const due = Math.floor((Date.now() - this._playStart) / this.frameMs) + 1 - this._framesPlayed;
+      for (let i = 0; i < Math.min(due, 5); i++) {
+        const next = this._nextFrame();
+        if (!next) {
+          this._playing = false; // underrun - refill the jitter buffer before resuming
+          return;
+        }
+        this._framesPlayed++;
+        const ok = await this.publishFrame(next.frame);
+        if (!ok) {
+          // drop the rest of this chunk, including frames still being converted
+          next.job.dropped = true;
+          next.job.frames.length = 0;
+        }
+      }
+      if (due > 5) this._framesPlayed += due - 5; // too far behind - don't burst
+    } catch (error) {
+      console.warn(`⚠️ Playout error for ${this.speaker}: ${error.message}`);
+    } finally {
+      this._ticking = false;
+    }
+  }
+}
+
+module.exports = SpeakerPipeline;
+module.exports.FRAME_MS = FRAME_MS;
@@ -0,0 +1,51 @@
+const { fetch } = require('undici');
+const { VOICE_SAMPLE_RATE } = require('../audio');
+const { SPEECH_RATE, encodeUpload } = require('../audio-format');
+const { buildMultipart } = require('../providers/elevenlabs');
+const { responseError, timeoutError } = require('../providers/errors');
+const { normalizeLanguage } = require('../voice-settings');
+
+const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
+
+// ElevenLabs Speech-to-Text (Scribe) - one WAV utterance in, text out
+class ElevenLabsStt {
+  constructor({
+    apiKey = process.env.ELEVENLABS_API_KEY,
+    model = process.env.STT_MODEL || 'scribe_v1',
+    timeoutMs = 15000,
+  } = {}) {
+    if (!apiKey) {
+      throw new Error('ELEVENLABS_API_KEY is required for the elevenlabs STT provider');
+    }
+    this.name = 'elevenlabs';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async transcribe(int16, { sampleRate = VOICE_SAMPLE_RATE, language } = {}) {
+    const boundary = `----lk-stt-${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+    const body = buildMultipart(boundary, {
+      model_id: this.model,
+      language_code: language,
+      tag_audio_events: 'false',
+    }, { name: 'file', filename: 'utterance.wav', contentType: 'audio/wav', data: encodeUpload(int16, sampleRate, { rate: SPEECH_RATE }).data });
+
+    const res = await fetch(`${ELEVENLABS_API_URL}/speech-to-text`, {
+      method: 'POST',
+      headers: {
+        'xi-api-key': this.apiKey,
+        'content-type': `multipart/form-data; boundary=${boundary}`,
+      },
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs),
+    }).catch(error => { throw timeoutError(error, 'ElevenLabs', 'STT'); });
+
+    if (!res.ok) throw await responseError(res, 'ElevenLabs', 'STT');
+
+    const data = await res.json();
+    return { text: (data.text || '').trim(), language: normalizeLanguage(data.language_code) || language || null };
+  }
+}
+
+module.exports = ElevenLabsStt;
@@ -0,0 +1,39 @@
+// Speech-to-text provider registry (live captions)
+//
+// Every provider implements:
+//   name                          - short identifier used in logs
+//   transcribe(int16, opts)       - Promise<{ text, language }> for one utterance of mono PCM, language
+//                                   as an ISO-639-1 code ("en") or null
+//                                   opts: { sampleRate, language } (language is an optional ISO-639-1 hint)
+//
+// Failures are surfaced as ConversionError, same as the voice providers.
+
+const ElevenLabsStt = require('./elevenlabs');
+const OpenAiStt = require('./openai');
+
+const STT_PROVIDERS = {
+  elevenlabs: ElevenLabsStt,
+  openai: OpenAiStt,
+};
+
+// STT is optional - unset or "off" disables captions
+function getSttProviderName() {
+  const name = (process.env.STT_PROVIDER || 'off').toLowerCase();
+  return name === 'off' || name === 'none' ? null : name;
+}
+
+function createSttProvider(name = getSttProviderName(), options = {}) {
+  if (!name) return null;
+  const Provider = STT_PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown STT_PROVIDER "${name}" (expected one of: off, ${Object.keys(STT_PROVIDERS).join(', ')})`);
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  createSttProvider,
+  getSttProviderName,
+  ElevenLabsStt,
+  OpenAiStt,
+};
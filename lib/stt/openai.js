@@ -0,0 +1,52 @@
+const { fetch } = require('undici');
+const { VOICE_SAMPLE_RATE } = require('../audio');
+const { SPEECH_RATE, encodeUpload } = require('../audio-format');
+const { buildMultipart } = require('../providers/elevenlabs');
+const { responseError, timeoutError } = require('../providers/errors');
+const { normalizeLanguage } = require('../voice-settings');
+
+// OpenAI audio transcriptions (Whisper) - also works with compatible self-hosted servers via OPENAI_BASE_URL
+class OpenAiStt {
+  constructor({
+    apiKey = process.env.OPENAI_API_KEY,
+    baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    model = process.env.STT_MODEL || 'whisper-1',
+    timeoutMs = 15000,
+  } = {}) {
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is required for the openai STT provider');
+    }
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async transcribe(int16, { sampleRate = VOICE_SAMPLE_RATE, language } = {}) {
+    const boundary = `----lk-stt-${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+    const body = buildMultipart(boundary, {
+      model: this.model,
+      language,
+      response_format: 'verbose_json',
+    }, { name: 'file', filename: 'utterance.wav', contentType: 'audio/wav', data: encodeUpload(int16, sampleRate, { rate: SPEECH_RATE }).data });
+
+    const res = await fetch(`${this.baseUrl}/audio/transcriptions`, {
+      method: 'POST',
+      headers: {
+        authorization: `Bearer ${this.apiKey}`,
+        'content-type': `multipart/form-data; boundary=${boundary}`,
+      },
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs),
+    }).catch(error => { throw timeoutError(error, 'OpenAI', 'STT'); });
+
+    if (!res.ok) throw await responseError(res, 'OpenAI', 'STT');
+
+    const data = await res.json();
+    // verbose_json reports the language by name ("english")
+    return { text: (data.text || '').trim(), language: normalizeLanguage(data.language) || language || null };
+  }
+}
+
+module.exports = OpenAiStt;
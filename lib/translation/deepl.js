@@ -0,0 +1,39 @@
+const { fetch } = require('undici');
+const { responseError, timeoutError } = require('../providers/errors');
+
+// DeepL API - free-plan keys (ending in ":fx") use the api-free host
+class DeepLTranslator {
+  constructor({ apiKey = process.env.DEEPL_API_KEY, timeoutMs = 10000 } = {}) {
+    if (!apiKey) {
+      throw new Error('DEEPL_API_KEY is required for the deepl translator');
+    }
+    this.name = 'deepl';
+    this.apiKey = apiKey;
+    this.baseUrl = apiKey.endsWith(':fx') ? 'https://api-free.deepl.com/v2' : 'https://api.deepl.com/v2';
+    this.timeoutMs = timeoutMs;
+  }
+
+  async translate(text, { from, to }) {
+    const res = await fetch(`${this.baseUrl}/translate`, {
+      method: 'POST',
+      headers: {
+        authorization: `DeepL-Auth-Key ${this.apiKey}`,
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify({
+        text: [text],
+        target_lang: to.toUpperCase(),
+        // DeepL only takes base languages as the source ("PT", not "PT-BR")
+        source_lang: from ? from.split('-')[0].toUpperCase() : undefined,
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    }).catch(error => { throw timeoutError(error, 'DeepL', 'translation'); });
+
+    if (!res.ok) throw await responseError(res, 'DeepL', 'translation');
+
+    const data = await res.json();
+    return (data.translations?.[0]?.text || '').trim();
+  }
+}
+
+module.exports = DeepLTranslator;
@@ -0,0 +1,37 @@
+// Text translation provider registry (translate pipeline mode)
+//
+// Every provider implements:
+//   name                          - short identifier used in logs
+//   translate(text, { from, to }) - Promise<string>; `from` may be null when the language is unknown
+//
+// Failures are surfaced as ConversionError, same as the voice providers.
+
+const OpenAiTranslator = require('./openai');
+const DeepLTranslator = require('./deepl');
+
+const TRANSLATORS = {
+  openai: OpenAiTranslator,
+  deepl: DeepLTranslator,
+};
+
+// Translation is optional - unset or "off" disables the translate pipeline mode
+function getTranslatorName() {
+  const name = (process.env.TRANSLATE_PROVIDER || 'off').toLowerCase();
+  return name === 'off' || name === 'none' ? null : name;
+}
+
+function createTranslator(name = getTranslatorName(), options = {}) {
+  if (!name) return null;
+  const Translator = TRANSLATORS[name];
+  if (!Translator) {
+    throw new Error(`Unknown TRANSLATE_PROVIDER "${name}" (expected one of: off, ${Object.keys(TRANSLATORS).join(', ')})`);
+  }
+  return new Translator(options);
+}
+
+module.exports = {
+  createTranslator,
+  getTranslatorName,
+  OpenAiTranslator,
+  DeepLTranslator,
+};
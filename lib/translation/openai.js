@@ -0,0 +1,52 @@
+const { fetch } = require('undici');
+const { responseError, timeoutError } = require('../providers/errors');
+
+// Chat-completion translation; works with any OpenAI-compatible server via OPENAI_BASE_URL
+class OpenAiTranslator {
+  constructor({
+    apiKey = process.env.OPENAI_API_KEY,
+    baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    model = process.env.TRANSLATE_MODEL || 'gpt-4o-mini',
+    timeoutMs = 10000,
+  } = {}) {
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is required for the openai translator');
+    }
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async translate(text, { from, to }) {
+    const source = from ? `from ${from} ` : '';
+    const res = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        authorization: `Bearer ${this.apiKey}`,
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: this.model,
+        temperature: 0,
+        messages: [
+          {
+            role: 'system',
+            content: `Translate the user's spoken sentence ${source}into the language with code "${to}". ` +
+              'Reply with the translation only, no quotes or explanations.',
+          },
+          { role: 'user', content: text },
+        ],
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    }).catch(error => { throw timeoutError(error, 'OpenAI', 'translation'); });
+
+    if (!res.ok) throw await responseError(res, 'OpenAI', 'translation');
+
+    const data = await res.json();
+    return (data.choices?.[0]?.message?.content || '').trim();
+  }
+}
+
+module.exports = OpenAiTranslator;
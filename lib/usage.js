@@ -0,0 +1,236 @@
+// Usage metering and budgets: what each user and each room costs at the cloud voice provider
+//
+// Workers count two things for the cloud provider only (local voices and the local fallback are free):
+//   seconds     - speech-to-speech input audio that came back converted
+//   characters  - text synthesized in translate mode
+// Both are priced in provider credits (USAGE_CREDITS_PER_MINUTE, USAGE_CREDITS_PER_CHARACTER), which is
+// what budgets are set in. A worker keeps its counts in a UsageMeter and reports them to the server every
+// few seconds (POST /usage/report); the server adds them to the UsageLedger, per UTC day and month, and
+// answers with the users (and whether the room) that are over budget. Over-budget speakers are handled
+// like an unavailable provider: the room's fallback policy applies (reason 'budget').
+//
+// Budgets are 0 (unlimited) unless set:
+//   USAGE_USER_DAILY_CREDITS, USAGE_USER_MONTHLY_CREDITS, USAGE_ROOM_DAILY_CREDITS, USAGE_ROOM_MONTHLY_CREDITS
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./fs-util');
+
+const USAGE_KINDS = ['user', 'room'];
+const KEEP_MONTHS = 2; // current and previous month; older days and months are dropped
+
+function usageBudgets() {
+  const credits = (name) => parseFloat(process.env[name] || '0') || 0;
+  return {
+    user: { daily: credits('USAGE_USER_DAILY_CREDITS'), monthly: credits('USAGE_USER_MONTHLY_CREDITS') },
+    room: { daily: credits('USAGE_ROOM_DAILY_CREDITS'), monthly: credits('USAGE_ROOM_MONTHLY_CREDITS') },
+  };
+}
+
+function creditRates() {
+  return {
+    perMinute: parseFloat(process.env.USAGE_CREDITS_PER_MINUTE || '1000'),
+    perCharacter: parseFloat(process.env.USAGE_CREDITS_PER_CHARACTER || '1'),
+  };
+}
+
+// UTC periods a timestamp falls in: { day: 'YYYY-MM-DD', month: 'YYYY-MM' }
+function usagePeriods(now = new Date()) {
+  const day = now.toISOString().slice(0, 10);
+  return { day, month: day.slice(0, 7) };
+}
+
+const emptyTotals = () => ({ seconds: 0, characters: 0, credits: 0 });
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Worker side: counts between reports and the over-budget state from the last answer
+class UsageMeter {
+  constructor() {
+    this.pending = new Map();      // user -> { seconds, characters }
+    this.blockedUsers = new Set();
+    this.roomBlocked = false;
+  }
+
+  add(user, { seconds = 0, characters = 0 }) {
+    const totals = this.pending.get(user) || { seconds: 0, characters: 0 };
+    totals.seconds += seconds;
+    totals.characters += characters;
+    this.pending.set(user, totals);
+  }
+
+  // Counts to report: [{ user, seconds, characters }]; they are gone from the meter until restore()
+  take() {
+    const entries = Array.from(this.pending, ([user, totals]) => ({ user, seconds: round(totals.seconds, 3), characters: totals.characters }));
+    this.pending.clear();
+    return entries;
+  }
+
+  // A report that didn't reach the server is added back for the next one
+  restore(entries) {
+    for (const { user, seconds, characters } of entries) this.add(user, { seconds, characters });
+  }
+
+  // Apply the server's answer; returns the users whose state changed
+  applyStatus({ blockedUsers = [], roomBlocked = false }) {
+    const next = new Set(blockedUsers);
+    const changed = [
+      ...Array.from(next).filter(user => !this.blockedUsers.has(user)),
+      ...Array.from(this.blockedUsers).filter(user => !next.has(user)),
+    ];
+    this.blockedUsers = next;
+    this.roomBlocked = Boolean(roomBlocked);
+    return changed;
+  }
+
+  // Whether the speaker's cloud conversions are over budget (their own or the room's)
+  blocked(user) {
+    return this.roomBlocked || this.blockedUsers.has(user);
+  }
+}
+
+// Server side: totals per user and room, per day and month, optionally saved to a JSON file
+class UsageLedger {
+  constructor({ filePath = null, budgets = usageBudgets(), rates = creditRates() } = {}) {
+    this.filePath = filePath;
+    this.budgets = budgets;
+    this.rates = rates;
+    this.totals = { user: new Map(), room: new Map() }; // id -> { [day or month]: { seconds, characters, credits } }
+    this._writing = Promise.resolve();
+    if (filePath) this._load();
+  }
+
+  credits({ seconds = 0, characters = 0 }) {
+    return (seconds / 60) * this.rates.perMinute + characters * this.rates.perCharacter;
+  }
+
+  // Add a worker's report: entries [{ user, seconds, characters }] in `room`
+  async record(room, entries, now = new Date()) {
+    const { day, month } = usagePeriods(now);
+    for (const { user, seconds = 0, characters = 0 } of entries) {
+      const credits = this.credits({ seconds, characters });
+      for (const [kind, id] of [['user', user], ['room', room]]) {
+        const periods = this._periodsOf(kind, id, true);
+        for (const period of [day, month]) {
+          const totals = periods[period] || (periods[period] = emptyTotals());
+          totals.seconds += seconds;
+          totals.characters += characters;
+          totals.credits += credits;
+        }
+      }
+    }
+    this._prune(month);
+    await this._persist();
+  }
+
+  // One user's or room's usage for the current day and month, with budgets and remaining credits
+  usage(kind, id, now = new Date()) {
+    const { day, month } = usagePeriods(now);
+    const periods = this._periodsOf(kind, id) || {};
+    const budget = this.budgets[kind];
+    const view = (period, limit) => {
+      const totals = periods[period] || emptyTotals();
+      return {
+        period,
+        seconds: round(totals.seconds),
+        characters: totals.characters,
+        credits: round(totals.credits),
+        budget: limit || null,
+        remaining: limit ? round(Math.max(0, limit - totals.credits)) : null,
+      };
+    };
+    const daily = view(day, budget.daily);
+    const monthly = view(month, budget.monthly);
+    return { [kind]: id, day: daily, month: monthly, overBudget: daily.remaining === 0 || monthly.remaining === 0 };
+  }
+
+  overBudget(kind, id, now = new Date()) {
+    return this.usage(kind, id, now).overBudget;
+  }
+
+  // Everyone with usage this month, highest first
+  summary(now = new Date()) {
+    const { day, month } = usagePeriods(now);
+    const list = (kind) => Array.from(this.totals[kind].keys())
+      .map(id => this.usage(kind, id, now))
+      .filter(entry => entry.month.credits > 0)
+      .sort((a, b) => b.month.credits - a.month.credits);
+    return { day, month, budgets: this.budgets, rates: this.rates, users: list('user'), rooms: list('room') };
+  }
+
+  _periodsOf(kind, id, create = false) {
+    if (!USAGE_KINDS.includes(kind)) throw new Error(`Unknown usage kind "${kind}"`);
+    let periods = this.totals[kind].get(id);
+    if (!periods && create) this.totals[kind].set(id, (periods = {}));
+    return periods;
+  }
+
+  // Days and months before the previous month are no longer needed for any budget
+  _prune(month) {
+    const [year, mon] = month.split('-').map(Number);
+    const oldest = new Date(Date.UTC(year, mon - KEEP_MONTHS, 1)).toISOString().slice(0, 7);
+    for (const kind of USAGE_KINDS) {
+      for (const [id, periods] of this.totals[kind]) {
+        for (const period of Object.keys(periods)) {
+          if (period.slice(0, 7) < oldest) delete periods[period];
+        }
+        if (Object.keys(periods).length === 0) this.totals[kind].delete(id);
+      }
+    }
+  }
+
+  _load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const kind of USAGE_KINDS) {
+        for (const [id, periods] of Object.entries(data[kind] || {})) this.totals[kind].set(id, periods);
+      }
+      console.log(`💾 Loaded usage of ${this.totals.user.size} users and ${this.totals.room.size} rooms from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`❌ Failed to read usage from ${this.filePath}:`, error.message);
+    }
+  }
+
+  _persist() {
+    if (!this.filePath) return this._writing;
+    const snapshot = JSON.stringify({
+      version: 1,
+      user: Object.fromEntries(this.totals.user),
+      room: Object.fromEntries(this.totals.room),
+    });
+    this._writing = this._writing.then(() => writeFileAtomic(this.filePath, snapshot)).catch(error => {
+      console.error(`❌ Failed to save usage to ${this.filePath}:`, error.message);
+    });
+    return this._writing;
+  }
+}
+
+function createUsageLedger() {
+  if (process.env.USAGE_STORE === 'memory') return new UsageLedger();
+  return new UsageLedger({ filePath: path.resolve(process.env.USAGE_STORE_PATH || path.join(__dirname, '..', 'data', 'usage.json')) });
+}
+
+// Problems with a worker's report body, or null
+function usageReportError(body) {
+  if (!body || typeof body.room !== 'string' || !body.room) return 'room is required';
+  if (body.users !== undefined && (!Array.isArray(body.users) || !body.users.every(u => typeof u === 'string'))) {
+    return 'users must be an array of identities';
+  }
+  if (!Array.isArray(body.entries)) return 'entries must be an array';
+  const count = (value) => value === undefined || (Number.isFinite(value) && value >= 0);
+  for (const entry of body.entries) {
+    if (!entry || typeof entry.user !== 'string' || !entry.user || !count(entry.seconds) || !count(entry.characters)) {
+      return 'each entry needs a user and non-negative seconds / characters';
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  UsageMeter,
+  UsageLedger,
+  createUsageLedger,
+  usageBudgets,
+  creditRates,
+  usagePeriods,
+  usageReportError,
+};
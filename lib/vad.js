@@ -0,0 +1,198 @@
+// Voice activity detection and utterance segmentation for the worker's capture loop
+
+// Frame level in dBFS plus zero-crossing rate (0..1)
+function frameFeatures(int16) {
+  if (!int16 || int16.length === 0) return { db: -120, zcr: 0 };
+  let sum = 0;
+  let crossings = 0;
+  for (let i = 0; i < int16.length; i++) {
+    const s = int16[i] / 32768;
+    sum += s * s;
+    if (i > 0 && (int16[i - 1] < 0) !== (int16[i] < 0)) crossings++;
+  }
+  const rms = Math.sqrt(sum / int16.length);
+  const db = Math.max(-120, 20 * Math.log10(rms + 1e-12));
+  return { db, zcr: crossings / int16.length };
+}
+
+// Energy detector with an adaptive noise floor. A frame counts as speech when it is
+// above the absolute floor (silenceDb) AND sufficiently louder than the tracked
+// background noise. Hiss-like frames (high zero-crossing rate, low margin) are rejected.
+// The floor also follows the quietest frame of the last floorWindowMs while everything is
+// loud, so steady background noise above the threshold stops counting as speech after a
+// few seconds; speech has quiet gaps between syllables that keep that minimum down.
+class VoiceActivityDetector {
+  constructor({ silenceDb = -55, marginDb = 9, maxZcr = 0.35, onsetFrames = 2, sampleRate = 48000, floorWindowMs = 3000 } = {}) {
+    this.silenceDb = silenceDb;
+    this.marginDb = marginDb;
+    this.maxZcr = maxZcr;
+    this.onsetFrames = onsetFrames; // consecutive loud frames needed before speech starts
+    this.sampleRate = sampleRate;
+    this.floorWindowMs = floorWindowMs;
+    this.noiseFloorDb = silenceDb;
+    this._loudRun = 0;
+    this._recent = [];              // { db, ms } of the frames in the last floorWindowMs
+    this._recentMs = 0;
+  }
+
+  // Quietest frame level of the last floorWindowMs, null until that much audio was seen
+  _windowMinDb(db, ms) {
+    this._recent.push({ db, ms });
+    this._recentMs += ms;
+    while (this._recent.length > 1 && this._recentMs - this._recent[0].ms >= this.floorWindowMs) {
+      this._recentMs -= this._recent.shift().ms;
+    }
+    if (this._recentMs < this.floorWindowMs) return null;
+    return this._recent.reduce((min, frame) => Math.min(min, frame.db), Infinity);
+  }
+
+  isSpeech(int16) {
+    const { db, zcr } = frameFeatures(int16);
+    const windowMin = this._windowMinDb(db, ((int16?.length || 0) / this.sampleRate) * 1000);
+    const threshold = Math.max(this.silenceDb, this.noiseFloorDb + this.marginDb);
+    const noisy = zcr > this.maxZcr && db < threshold + this.marginDb;
+    const loud = db >= threshold && !noisy;
+
+    if (loud) {
+      this._loudRun++;
+      // Loud for the whole window - the floor creeps up to what never went away
+      if (windowMin !== null && windowMin > this.noiseFloorDb) {
+        this.noiseFloorDb += (windowMin - this.noiseFloorDb) * 0.05;
+      }
+    } else {
+      this._loudRun = 0;
+      // Noise floor falls fast and rises slowly so speech doesn't drag it up
+      const rate = db < this.noiseFloorDb ? 0.3 : 0.02;
+      this.noiseFloorDb += (db - this.noiseFloorDb) * rate;
+    }
+
+    return { speech: this._loudRun >= this.onsetFrames, db };
+  }
+}
+
+// Splits a continuous PCM stream into utterances on natural pauses.
+//  - an utterance starts when the detector reports speech (with a short pre-roll kept)
+//  - it ends after silenceHangMs of silence, and is dropped if shorter than minUtterMs
+//  - utterances reaching maxUtterMs are cut at the quietest recent frame
+class UtteranceSegmenter {
+  constructor({
+    sampleRate,
+    minUtterMs,
+    silenceHangMs,
+    maxUtterMs,
+    preRollMs = 150,
+    detector = new VoiceActivityDetector(),
+  }) {
+    this.sampleRate = sampleRate;
+    this.minUtterMs = minUtterMs;
+    this.silenceHangMs = silenceHangMs;
+    this.maxUtterMs = maxUtterMs;
+    this.preRollMs = preRollMs;
+    this.detector = detector;
+
+    this._preRoll = [];      // frames heard before speech onset
+    this._preRollMs = 0;
+    this._frames = [];       // { pcm, ms, db } of the current utterance
+    this._utterMs = 0;
+    this._speechMs = 0;      // voiced part of the current utterance
+    this._silenceMs = 0;     // trailing silence in the current utterance
+  }
+
+  get active() {
+    return this._frames.length > 0;
+  }
+
+  // Feed one frame, returns an array of completed utterances (Int16Array)
+  push(int16) {
+    const ms = (int16.length / this.sampleRate) * 1000;
+    const { speech, db } = this.detector.isSpeech(int16);
+    const out = [];
+
+    if (!this.active) {
+      if (!speech) {
+        this._preRoll.push({ pcm: int16, ms, db });
+        this._preRollMs += ms;
+        while (this._preRollMs > this.preRollMs && this._preRoll.length > 1) {
+          this._preRollMs -= this._preRoll.shift().ms;
+        }
+        return out;
+      }
+      // Speech onset - start a new utterance including the pre-roll
+      this._frames = this._preRoll;
+      this._utterMs = this._preRollMs;
+      this._preRoll = [];
+      this._preRollMs = 0;
+      this._speechMs = 0;
+      this._silenceMs = 0;
+    }
+
+    this._frames.push({ pcm: int16, ms, db });
+    this._utterMs += ms;
+    if (speech) {
+      this._speechMs += ms;
+      this._silenceMs = 0;
+    } else {
+      this._silenceMs += ms;
+    }
+
+    if (this._silenceMs >= this.silenceHangMs) {
+      const utterance = this._finish();
+      if (utterance) out.push(utterance);
+    } else if (this._utterMs >= this.maxUtterMs) {
+      out.push(this._cutAtQuietestFrame());
+    }
+    return out;
+  }
+
+  // Return whatever speech is buffered (end of stream)
+  flush() {
+    if (!this.active) return null;
+    return this._finish();
+  }
+
+  _finish() {
+    const frames = this._frames;
+    const speechMs = this._speechMs;
+    this._frames = [];
+    this._utterMs = 0;
+    this._speechMs = 0;
+    this._silenceMs = 0;
+    if (speechMs < this.minUtterMs) return null; // too short - likely a click or cough
+    return mergeFrames(frames);
+  }
+
+  // Long utterance - cut at the quietest frame in the last third instead of mid-syllable
+  _cutAtQuietestFrame() {
+    const searchFrom = Math.floor((this._frames.length * 2) / 3);
+    let cut = this._frames.length;
+    let quietest = Infinity;
+    for (let i = searchFrom; i < this._frames.length; i++) {
+      if (this._frames[i].db < quietest) {
+        quietest = this._frames[i].db;
+        cut = i + 1;
+      }
+    }
+
+    const head = this._frames.slice(0, cut);
+    const tail = this._frames.slice(cut);
+    this._frames = tail;
+    this._utterMs = tail.reduce((acc, f) => acc + f.ms, 0);
+    this._speechMs = this._utterMs;
+    this._silenceMs = 0;
+    return mergeFrames(head);
+  }
+}
+
+function mergeFrames(frames) {
+  const total = frames.reduce((acc, f) => acc + f.pcm.length, 0);
+  const merged = new Int16Array(total);
+  let o = 0;
+  for (const f of frames) { merged.set(f.pcm, o); o += f.pcm.length; }
+  return merged;
+}
+
+module.exports = {
+  VoiceActivityDetector,
+  UtteranceSegmenter,
+  frameFeatures,
+};
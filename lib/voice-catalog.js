@@ -0,0 +1,224 @@
+// Voice catalog: the provider's voice list, cached on the server
+//
+// The list is fetched at most once per ttlMs and shared by every request. When a refresh fails,
+// the last good copy keeps being served (marked `stale`), also across restarts since it is saved
+// to disk. Preview clips are downloaded once per preview URL and served from the cache directory.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { fetch } = require('undici');
+const { baseLanguage } = require('./voice-settings');
+const { writeFileAtomic } = require('./fs-util');
+
+const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
+const FILTERS = ['category', 'gender', 'accent', 'language'];
+const VOICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+class CatalogError extends Error {
+  constructor(message, { status = 502, hint } = {}) {
+    super(message);
+    this.name = 'CatalogError';
+    this.status = status;
+    this.hint = hint;
+  }
+}
+
+function catalogDir() {
+  return path.resolve(process.env.VOICE_CATALOG_DIR || path.join(__dirname, '..', 'data', 'voice-catalog'));
+}
+
+// Raw ElevenLabs voice list
+async function fetchElevenLabsVoices(apiKey = process.env.ELEVENLABS_API_KEY) {
+  if (!apiKey) throw new CatalogError('ElevenLabs API key not configured', { status: 500 });
+
+  const response = await fetch(`${ELEVENLABS_API_URL}/voices`, {
+    headers: { 'xi-api-key': apiKey },
+    signal: AbortSignal.timeout(10000),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => null);
+    if (response.status === 401) {
+      throw new CatalogError('ElevenLabs API authentication failed: ' + (errorData?.detail?.message || 'Unauthorized - check API key and permissions'), {
+        status: 500,
+        hint: 'Please check your API key has voices_read permission at https://elevenlabs.io/app/settings',
+      });
+    }
+    throw new CatalogError(`ElevenLabs API error: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  return data.voices || [];
+}
+
+// Languages a voice speaks: its label plus any verified languages
+function voiceLanguages(voice) {
+  const languages = new Set();
+  if (voice.labels?.language) languages.add(baseLanguage(voice.labels.language));
+  for (const entry of voice.verified_languages || []) {
+    if (entry?.language) languages.add(baseLanguage(entry.language));
+  }
+  return Array.from(languages);
+}
+
+const facetValue = (voice, filter) => {
+  if (filter === 'category') return voice.category ? [voice.category.toLowerCase()] : [];
+  if (filter === 'language') return voiceLanguages(voice);
+  const value = voice.labels?.[filter];
+  return value ? [String(value).toLowerCase()] : [];
+};
+
+// Filter voices by { category, gender, accent, language }; each can be a comma-separated list.
+// Matching is case-insensitive and languages match on their base ("en-GB" finds "en" voices).
+function filterVoices(voices, query = {}) {
+  const wanted = {};
+  for (const filter of FILTERS) {
+    if (!query[filter]) continue;
+    const values = String(query[filter]).split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    wanted[filter] = filter === 'language' ? values.map(baseLanguage) : values;
+  }
+  return voices.filter(voice => Object.entries(wanted).every(([filter, values]) =>
+    facetValue(voice, filter).some(value => values.includes(value))));
+}
+
+// Values present in the catalog for each filter, so clients can offer them
+function filterOptions(voices) {
+  const options = {};
+  for (const filter of FILTERS) {
+    options[filter] = Array.from(new Set(voices.flatMap(voice => facetValue(voice, filter)))).sort();
+  }
+  return options;
+}
+
+class VoiceCatalog {
+  constructor({
+    fetchVoices,                                                                   // () => Promise<voice[]>
+    source = 'elevenlabs',                                                         // provider name, a saved copy from another provider is ignored
+    ttlMs = parseInt(process.env.VOICE_CATALOG_TTL_MS || '600000', 10),            // 10 min
+    retryMs = parseInt(process.env.VOICE_CATALOG_RETRY_MS || '30000', 10),         // wait after a failed refresh
+    dir = catalogDir(),
+  }) {
+    this.fetchVoices = fetchVoices;
+    this.source = source;
+    this.ttlMs = ttlMs;
+    this.retryMs = retryMs;
+    this.dir = dir;
+    this.filePath = path.join(dir, 'voices.json');
+
+    this._voices = null;
+    this._fetchedAt = 0;
+    this._lastError = null;
+    this._failedAt = 0;
+    this._refreshing = null;
+    this._previews = new Map();   // cache file -> Promise while downloading
+    this._loadLastGood();
+  }
+
+  // { voices, fetchedAt, stale, error } - throws CatalogError only when there has never been a good copy
+  async list({ refresh = false } = {}) {
+    const fresh = this._voices && Date.now() - this._fetchedAt < this.ttlMs;
+    // While the API is failing, the last good copy is served without retrying on every request
+    const backingOff = this._voices && Date.now() - this._failedAt < this.retryMs;
+    if (refresh || (!fresh && !backingOff)) {
+      try {
+        await this._refresh();
+      } catch (error) {
+        if (!this._voices) throw error instanceof CatalogError ? error : new CatalogError(error.message);
+      }
+    }
+    return {
+      voices: this._voices,
+      fetchedAt: new Date(this._fetchedAt).toISOString(),
+      stale: Boolean(this._lastError),
+      error: this._lastError,
+    };
+  }
+
+  // Next list() fetches again, e.g. after a voice was added or deleted
+  invalidate() {
+    this._fetchedAt = 0;
+    this._failedAt = 0;
+  }
+
+  async find(voiceId) {
+    const { voices } = await this.list();
+    return voices.find(voice => voice.voice_id === voiceId) || null;
+  }
+
+  // Path of the cached preview clip of a voice, downloading it first if needed; null when it has none
+  async previewFile(voiceId) {
+    if (!VOICE_ID_PATTERN.test(voiceId)) return null;
+    const voice = await this.find(voiceId);
+    if (!voice?.preview_url) return null;
+
+    // The URL is part of the name, so a voice whose preview changes gets a new file
+    const hash = crypto.createHash('sha256').update(voice.preview_url).digest('hex').slice(0, 12);
+    const file = path.join(this.dir, 'previews', `${voiceId}-${hash}.mp3`);
+    if (fs.existsSync(file)) return file;
+
+    if (!this._previews.has(file)) {
+      const download = this._downloadPreview(voice.preview_url, file).finally(() => this._previews.delete(file));
+      this._previews.set(file, download);
+    }
+    await this._previews.get(file);
+    return file;
+  }
+
+  async _refresh() {
+    if (!this._refreshing) {
+      this._refreshing = (async () => {
+        try {
+          const voices = await this.fetchVoices();
+          this._voices = voices;
+          this._fetchedAt = Date.now();
+          this._lastError = null;
+          console.log(`🎙️ Voice catalog refreshed: ${voices.length} voices`);
+          await this._saveLastGood();
+        } catch (error) {
+          this._lastError = error.message;
+          this._failedAt = Date.now();
+          console.error(`❌ Voice catalog refresh failed${this._voices ? ' - serving the last good copy' : ''}:`, error.message);
+          throw error;
+        }
+      })().finally(() => { this._refreshing = null; });
+    }
+    return this._refreshing;
+  }
+
+  async _downloadPreview(url, file) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(15000) });
+    if (!response.ok) throw new CatalogError(`Preview download failed: ${response.status}`);
+    await writeFileAtomic(file, Buffer.from(await response.arrayBuffer()));
+  }
+
+  _loadLastGood() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (data.source !== this.source) return;
+      this._voices = data.voices || [];
+      this._fetchedAt = Date.parse(data.savedAt) || 0;
+      console.log(`💾 Loaded ${this._voices.length} cached voices from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`❌ Failed to read the voice catalog from ${this.filePath}:`, error.message);
+    }
+  }
+
+  async _saveLastGood() {
+    try {
+      await writeFileAtomic(this.filePath, JSON.stringify({ source: this.source, savedAt: new Date(this._fetchedAt).toISOString(), voices: this._voices }));
+    } catch (error) {
+      console.error(`❌ Failed to save the voice catalog to ${this.filePath}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  VoiceCatalog,
+  CatalogError,
+  FILTERS,
+  fetchElevenLabsVoices,
+  filterVoices,
+  filterOptions,
+  catalogDir,
+};
@@ -0,0 +1,124 @@
+// Instant voice clones from users' own recordings (ElevenLabs /voices/add)
+//
+// The browser records a few samples and uploads them as base64 WAV. They are checked here
+// (format, count, length) and sent to ElevenLabs in one request; the resulting voice ID is
+// stored in the user's profile (see voice-store.js), which is what makes the clone theirs.
+
+const { fetch } = require('undici');
+const { parseWav } = require('./audio');
+const { buildMultipart } = require('./providers/elevenlabs');
+
+const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
+const MAX_NAME_LENGTH = 50;
+
+class CloneError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'CloneError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function cloneLimits() {
+  return {
+    maxSamples: parseInt(process.env.CLONE_MAX_SAMPLES || '5', 10),
+    minTotalSeconds: parseFloat(process.env.CLONE_MIN_SECONDS || '20'),
+    maxSampleSeconds: parseFloat(process.env.CLONE_MAX_SAMPLE_SECONDS || '120'),
+    maxPerUser: parseInt(process.env.CLONE_MAX_PER_USER || '3', 10),
+  };
+}
+
+// Decode and check the uploaded samples; returns { files, seconds } or throws CloneError with the problems
+function validateSamples(samples, limits = cloneLimits()) {
+  if (!Array.isArray(samples) || samples.length === 0) {
+    throw new CloneError('samples must be a non-empty array of base64 WAV recordings');
+  }
+  if (samples.length > limits.maxSamples) {
+    throw new CloneError(`At most ${limits.maxSamples} samples per voice`);
+  }
+
+  const errors = [];
+  const files = [];
+  let totalMs = 0;
+  samples.forEach((sample, index) => {
+    const data = typeof sample === 'string' ? Buffer.from(sample, 'base64') : null;
+    const wav = data && parseWav(data);
+    if (!wav) {
+      errors.push(`sample ${index + 1} is not a PCM WAV file`);
+      return;
+    }
+    if (wav.durationMs > limits.maxSampleSeconds * 1000) {
+      errors.push(`sample ${index + 1} is longer than ${limits.maxSampleSeconds}s`);
+      return;
+    }
+    totalMs += wav.durationMs;
+    files.push({ name: 'files', filename: `sample-${index + 1}.wav`, contentType: 'audio/wav', data });
+  });
+
+  if (errors.length === 0 && totalMs < limits.minTotalSeconds * 1000) {
+    errors.push(`samples add up to ${(totalMs / 1000).toFixed(1)}s, record at least ${limits.minTotalSeconds}s in total`);
+  }
+  if (errors.length > 0) throw new CloneError('Invalid voice samples', 400, errors);
+  return { files, seconds: Math.round(totalMs / 100) / 10 };
+}
+
+function validateCloneName(name) {
+  if (typeof name !== 'string' || !name.trim()) return 'name is required';
+  if (name.trim().length > MAX_NAME_LENGTH) return `name must be at most ${MAX_NAME_LENGTH} characters`;
+  return null;
+}
+
+// Create the clone at ElevenLabs; returns the new voice ID
+async function createVoiceClone({ name, description, owner, files, apiKey = process.env.ELEVENLABS_API_KEY }) {
+  const boundary = `----lk-clone-${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+  const body = buildMultipart(boundary, {
+    name: name.trim(),
+    description: description || `Instant clone recorded by ${owner}`,
+    labels: JSON.stringify({ owner }),
+    remove_background_noise: 'true',
+  }, files);
+
+  const res = await fetch(`${ELEVENLABS_API_URL}/voices/add`, {
+    method: 'POST',
+    headers: {
+      'xi-api-key': apiKey,
+      'content-type': `multipart/form-data; boundary=${boundary}`,
+    },
+    body,
+    signal: AbortSignal.timeout(60000),
+  });
+
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    // 4xx from ElevenLabs are about the request (bad audio, no clone slots left, plan limits)
+    const status = res.status >= 400 && res.status < 500 && res.status !== 401 ? 422 : 502;
+    throw new CloneError(`ElevenLabs rejected the voice clone (${res.status})`, status, text.slice(0, 500));
+  }
+
+  const data = await res.json();
+  if (!data.voice_id) throw new CloneError('ElevenLabs returned no voice_id', 502);
+  return data.voice_id;
+}
+
+// Delete the clone at ElevenLabs; a voice that is already gone counts as deleted
+async function deleteVoiceClone(voiceId, apiKey = process.env.ELEVENLABS_API_KEY) {
+  const res = await fetch(`${ELEVENLABS_API_URL}/voices/${encodeURIComponent(voiceId)}`, {
+    method: 'DELETE',
+    headers: { 'xi-api-key': apiKey },
+    signal: AbortSignal.timeout(15000),
+  });
+  if (!res.ok && res.status !== 404) {
+    const text = await res.text().catch(() => '');
+    throw new CloneError(`ElevenLabs could not delete the voice (${res.status})`, 502, text.slice(0, 500));
+  }
+}
+
+module.exports = {
+  CloneError,
+  cloneLimits,
+  validateSamples,
+  validateCloneName,
+  createVoiceClone,
+  deleteVoiceClone,
+};
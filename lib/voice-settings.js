@@ -0,0 +1,164 @@
+// Per-user conversion settings sent with each Speech-to-Speech request
+//
+//   {
+//     model_id: 'eleven_multilingual_sts_v2',
+//     voice_settings: { stability, similarity_boost, style, use_speaker_boost },
+//     remove_background_noise: false,
+//     optimize_streaming_latency: 4
+//   }
+//
+// Every field is optional - missing fields fall back to the provider defaults.
+
+const VOICE_SETTING_RANGES = {
+  stability: [0, 1],
+  similarity_boost: [0, 1],
+  style: [0, 1],
+};
+
+const MAX_STREAMING_LATENCY = 4;
+
+// How a speaker's audio reaches listeners:
+//   convert   - speech-to-speech into the chosen voice, same language (default)
+//   translate - additionally transcribe, translate and synthesize one track per listener language
+const PIPELINE_MODES = ['convert', 'translate'];
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/; // "en", "pt-BR", "zh-Hans"
+
+// Validate user input, returns { settings, errors }. Only known fields are kept.
+function validateVoiceSettings(input = {}) {
+  const settings = {};
+  const errors = [];
+
+  if (input.model_id !== undefined) {
+    if (typeof input.model_id !== 'string' || !input.model_id.trim()) {
+      errors.push('model_id must be a non-empty string');
+    } else {
+      settings.model_id = input.model_id.trim();
+    }
+  }
+
+  if (input.voice_settings !== undefined) {
+    const vs = input.voice_settings;
+    if (typeof vs !== 'object' || vs === null || Array.isArray(vs)) {
+      errors.push('voice_settings must be an object');
+    } else {
+      settings.voice_settings = {};
+      for (const [key, [min, max]] of Object.entries(VOICE_SETTING_RANGES)) {
+        if (vs[key] === undefined) continue;
+        const value = Number(vs[key]);
+        if (!Number.isFinite(value) || value < min || value > max) {
+          errors.push(`voice_settings.${key} must be a number between ${min} and ${max}`);
+        } else {
+          settings.voice_settings[key] = value;
+        }
+      }
+      if (vs.use_speaker_boost !== undefined) {
+        if (typeof vs.use_speaker_boost !== 'boolean') {
+          errors.push('voice_settings.use_speaker_boost must be a boolean');
+        } else {
+          settings.voice_settings.use_speaker_boost = vs.use_speaker_boost;
+        }
+      }
+    }
+  }
+
+  if (input.remove_background_noise !== undefined) {
+    if (typeof input.remove_background_noise !== 'boolean') {
+      errors.push('remove_background_noise must be a boolean');
+    } else {
+      settings.remove_background_noise = input.remove_background_noise;
+    }
+  }
+
+  if (input.optimize_streaming_latency !== undefined) {
+    const level = Number(input.optimize_streaming_latency);
+    if (!Number.isInteger(level) || level < 0 || level > MAX_STREAMING_LATENCY) {
+      errors.push(`optimize_streaming_latency must be an integer between 0 and ${MAX_STREAMING_LATENCY}`);
+    } else {
+      settings.optimize_streaming_latency = level;
+    }
+  }
+
+  return { settings, errors };
+}
+
+// Validate the profile's pipeline mode and language, returns { options, errors }
+function validatePipelineOptions({ mode, language } = {}) {
+  const options = {};
+  const errors = [];
+
+  if (mode !== undefined) {
+    if (!PIPELINE_MODES.includes(mode)) {
+      errors.push(`mode must be one of: ${PIPELINE_MODES.join(', ')}`);
+    } else {
+      options.mode = mode;
+    }
+  }
+
+  if (language !== undefined) {
+    if (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language)) {
+      errors.push('language must be a language code such as "en" or "pt-BR"');
+    } else {
+      options.language = language;
+    }
+  }
+
+  return { options, errors };
+}
+
+// "pt-BR" and "pt" are the same language as far as translation is concerned
+function baseLanguage(language) {
+  return language ? language.split('-')[0].toLowerCase() : null;
+}
+
+// English language name -> ISO-639-1 code ("english" -> "en"), built from Intl on first use
+let languageNames = null;
+function languageCodeForName(name) {
+  if (!languageNames) {
+    languageNames = new Map();
+    const display = new Intl.DisplayNames(['en'], { type: 'language' });
+    const letters = 'abcdefghijklmnopqrstuvwxyz';
+    for (const a of letters) {
+      for (const b of letters) {
+        const code = a + b;
+        const label = display.of(code);
+        if (label && label !== code) languageNames.set(label.toLowerCase(), code);
+      }
+    }
+  }
+  return languageNames.get(name.toLowerCase()) || null;
+}
+
+// Language an STT provider reported, as a base ISO-639-1 code: "pt-BR" -> "pt", "eng" -> "en",
+// "english" (Whisper's verbose_json) -> "en". Anything it can't map is null.
+function normalizeLanguage(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const trimmed = value.trim();
+  if (LANGUAGE_PATTERN.test(trimmed.toLowerCase())) {
+    try {
+      const base = baseLanguage(Intl.getCanonicalLocales(trimmed)[0]);
+      if (base.length === 2) return base;
+    } catch {
+      // not a valid BCP 47 tag - try it as a name
+    }
+  }
+  return languageCodeForName(trimmed);
+}
+
+// Layer `patch` on top of `base`; nested voice_settings are merged field by field
+function mergeVoiceSettings(base = {}, patch = {}) {
+  const merged = { ...base, ...patch };
+  if (base.voice_settings || patch.voice_settings) {
+    merged.voice_settings = { ...(base.voice_settings || {}), ...(patch.voice_settings || {}) };
+  }
+  return merged;
+}
+
+module.exports = {
+  MAX_STREAMING_LATENCY,
+  PIPELINE_MODES,
+  validateVoiceSettings,
+  validatePipelineOptions,
+  baseLanguage,
+  normalizeLanguage,
+  mergeVoiceSettings,
+};
@@ -0,0 +1,188 @@
+// Voice-selection storage
+//
+// A profile per user:
+//   {
+//     userId,
+//     voiceId,                 // default voice for every room
+//     voiceSettings: {},       // default conversion settings (see voice-settings.js)
+//     mode,                    // 'convert' or 'translate' (see PIPELINE_MODES)
+//     language,                // spoken / preferred listening language, e.g. "en"
+//     roomOverrides: {         // per-room replacements for voiceId / voiceSettings / mode / language
+//       [roomName]: { voiceId, voiceSettings, mode, language, updatedAt }
+//     },
+//     clonedVoices: [          // instant clones made from the user's recordings, only usable by them
+//       { voiceId, name, samples, seconds, createdAt }
+//     ],
+//     updatedAt                // ISO timestamp of the last change
+//   }
+//
+// MemoryVoiceStore keeps profiles for the lifetime of the process, FileVoiceStore also
+// persists them to a JSON file so selections survive restarts.
+
+const fs = require('fs');
+const path = require('path');
+const { mergeVoiceSettings } = require('./voice-settings');
+const { writeFileAtomic } = require('./fs-util');
+
+const DEFAULT_VOICE_ID = 'pNInz6obpgDQGcFmaJgB'; // Adam
+
+// Room overrides are keyed by room name, so they live in a prototype-less object - a room called
+// "__proto__" must not reach Object.prototype
+function overridesObject(overrides = {}) {
+  return Object.assign(Object.create(null), overrides);
+}
+
+class MemoryVoiceStore {
+  constructor() {
+    this.profiles = new Map();
+  }
+
+  async get(userId) {
+    return this.profiles.get(userId) || null;
+  }
+
+  async list() {
+    return Array.from(this.profiles.values());
+  }
+
+  // Merge a change into the user's profile. With roomName the change becomes a room override.
+  async update(userId, { voiceId, voiceSettings, mode, language, roomName } = {}) {
+    const now = new Date().toISOString();
+    const profile = this.profiles.get(userId) || {
+      userId,
+      voiceId: null,
+      voiceSettings: {},
+      roomOverrides: overridesObject(),
+      updatedAt: now,
+    };
+
+    const target = roomName
+      ? (profile.roomOverrides[roomName] = profile.roomOverrides[roomName] || {})
+      : profile;
+    if (voiceId) target.voiceId = voiceId;
+    if (voiceSettings) target.voiceSettings = mergeVoiceSettings(target.voiceSettings, voiceSettings);
+    if (mode) target.mode = mode;
+    if (language) target.language = language;
+    if (roomName) target.updatedAt = now;
+    profile.updatedAt = now;
+
+    this.profiles.set(userId, profile);
+    await this._persist();
+    return profile;
+  }
+
+  // Record a clone made from the user's recordings
+  async addClonedVoice(userId, clone) {
+    const now = new Date().toISOString();
+    const profile = this.profiles.get(userId) || {
+      userId,
+      voiceId: null,
+      voiceSettings: {},
+      roomOverrides: overridesObject(),
+      updatedAt: now,
+    };
+    profile.clonedVoices = [...(profile.clonedVoices || []), { ...clone, createdAt: now }];
+    profile.updatedAt = now;
+
+    this.profiles.set(userId, profile);
+    await this._persist();
+    return profile;
+  }
+
+  // Forget a clone; selections that used it fall back to the default voice
+  async removeClonedVoice(userId, voiceId) {
+    const profile = this.profiles.get(userId);
+    if (!profile?.clonedVoices?.some(clone => clone.voiceId === voiceId)) return profile || null;
+    profile.clonedVoices = profile.clonedVoices.filter(clone => clone.voiceId !== voiceId);
+    if (profile.voiceId === voiceId) profile.voiceId = null;
+    for (const override of Object.values(profile.roomOverrides)) {
+      if (override.voiceId === voiceId) delete override.voiceId;
+    }
+    profile.updatedAt = new Date().toISOString();
+    await this._persist();
+    return profile;
+  }
+
+  // userId of the user a cloned voice belongs to, or null for voices that aren't clones
+  async cloneOwner(voiceId) {
+    for (const profile of this.profiles.values()) {
+      if (profile.clonedVoices?.some(clone => clone.voiceId === voiceId)) return profile.userId;
+    }
+    return null;
+  }
+
+  // Drop a room override; the profile default applies in that room again
+  async clearRoomOverride(userId, roomName) {
+    const profile = this.profiles.get(userId);
+    if (!profile || !Object.hasOwn(profile.roomOverrides, roomName)) return profile || null;
+    delete profile.roomOverrides[roomName];
+    profile.updatedAt = new Date().toISOString();
+    await this._persist();
+    return profile;
+  }
+
+  async _persist() {}
+}
+
+class FileVoiceStore extends MemoryVoiceStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this._writing = Promise.resolve();
+    this._load();
+  }
+
+  _load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const profile of data.profiles || []) {
+        profile.roomOverrides = overridesObject(profile.roomOverrides);
+        this.profiles.set(profile.userId, profile);
+      }
+      console.log(`💾 Loaded ${this.profiles.size} voice profiles from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Failed to read voice profiles from ${this.filePath}:`, error.message);
+      }
+    }
+  }
+
+  // Writes are serialized so an older snapshot never lands after a newer one
+  _persist() {
+    const snapshot = JSON.stringify({ version: 1, profiles: Array.from(this.profiles.values()) }, null, 2);
+    this._writing = this._writing.then(() => writeFileAtomic(this.filePath, snapshot)).catch(error => {
+      console.error(`❌ Failed to save voice profiles to ${this.filePath}:`, error.message);
+    });
+    return this._writing;
+  }
+}
+
+// Effective voice for a user in a room: room override first, then the profile default
+function resolveVoice(profile, roomName) {
+  const overrides = profile?.roomOverrides;
+  const override = roomName && overrides && Object.hasOwn(overrides, roomName) ? overrides[roomName] : null;
+  return {
+    voiceId: override?.voiceId || profile?.voiceId || DEFAULT_VOICE_ID,
+    voiceSettings: mergeVoiceSettings(profile?.voiceSettings, override?.voiceSettings),
+    mode: override?.mode || profile?.mode || 'convert',
+    language: override?.language || profile?.language || null,
+    isDefault: !override?.voiceId && !profile?.voiceId,
+  };
+}
+
+function createVoiceStore(type = process.env.VOICE_STORE || 'file') {
+  if (type === 'memory') return new MemoryVoiceStore();
+  if (type === 'file') {
+    const filePath = path.resolve(process.env.VOICE_STORE_PATH || path.join(__dirname, '..', 'data', 'voice-profiles.json'));
+    return new FileVoiceStore(filePath);
+  }
+  throw new Error(`Unknown VOICE_STORE "${type}" (expected "file" or "memory")`);
+}
+
+module.exports = {
+  DEFAULT_VOICE_ID,
+  MemoryVoiceStore,
+  FileVoiceStore,
+  resolveVoice,
+  createVoiceStore,
+};
@@ -0,0 +1,124 @@
+// Server → worker push channel over WebSocket
+//
+// The Express server hosts the endpoint and broadcasts JSON messages ({ type, ...payload })
+// to every connected worker process. Workers keep a client connection open and reconnect
+// when the server restarts. With a token set, workers must send `Authorization: Bearer <token>`.
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { secretsEqual } = require('./auth');
+
+const WORKER_CHANNEL_PATH = '/worker-channel';
+
+class WorkerChannelServer {
+  constructor(httpServer, { path = WORKER_CHANNEL_PATH, heartbeatMs = 30000, token = null } = {}) {
+    const verifyClient = token
+      ? ({ req }) => secretsEqual((req.headers.authorization || '').replace(/^Bearer\s+/i, ''), token)
+      : undefined;
+    this.wss = new WebSocket.WebSocketServer({ server: httpServer, path, verifyClient });
+
+    this.wss.on('connection', (ws, req) => {
+      ws.isAlive = true;
+      ws.on('pong', () => { ws.isAlive = true; });
+      ws.on('error', (error) => console.warn('⚠️ Worker channel socket error:', error.message));
+      console.log(`🔌 Worker connected to channel from ${req.socket.remoteAddress} (${this.wss.clients.size} connected)`);
+    });
+
+    // Drop workers that stopped answering pings
+    this._heartbeat = setInterval(() => {
+      for (const ws of this.wss.clients) {
+        if (!ws.isAlive) {
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, heartbeatMs);
+    this.wss.on('close', () => clearInterval(this._heartbeat));
+  }
+
+  get connectedWorkers() {
+    return this.wss.clients.size;
+  }
+
+  broadcast(type, payload = {}) {
+    const message = JSON.stringify({ type, ...payload, sentAt: Date.now() });
+    let delivered = 0;
+    for (const ws of this.wss.clients) {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(message);
+        delivered++;
+      }
+    }
+    return delivered;
+  }
+
+  close() {
+    clearInterval(this._heartbeat);
+    this.wss.close();
+  }
+}
+
+// Emits 'connected', 'disconnected' and one event per message type (e.g. 'voice-update')
+class WorkerChannelClient extends EventEmitter {
+  constructor(url, { reconnectMs = 3000, token = null } = {}) {
+    super();
+    this.url = url;
+    this.token = token;
+    this.reconnectMs = reconnectMs;
+    this.ws = null;
+    this._timer = null;
+    this._closed = false;
+  }
+
+  connect() {
+    this._closed = false;
+    const ws = new WebSocket(this.url, this.token ? { headers: { Authorization: `Bearer ${this.token}` } } : undefined);
+    this.ws = ws;
+
+    ws.on('open', () => {
+      console.log(`📡 Connected to server channel: ${this.url}`);
+      this.emit('connected');
+    });
+
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        console.warn('⚠️ Ignoring malformed server channel message');
+        return;
+      }
+      if (message && typeof message.type === 'string') {
+        this.emit(message.type, message);
+      }
+    });
+
+    ws.on('close', () => {
+      if (this.ws !== ws) return;
+      this.emit('disconnected');
+      if (!this._closed) {
+        this._timer = setTimeout(() => this.connect(), this.reconnectMs);
+      }
+    });
+
+    // 'close' follows every error, reconnect is handled there
+    ws.on('error', (error) => {
+      if (error.code !== 'ECONNREFUSED') console.warn('⚠️ Server channel error:', error.message);
+    });
+  }
+
+  close() {
+    this._closed = true;
+    if (this._timer) clearTimeout(this._timer);
+    this.ws?.close();
+    this.ws = null;
+  }
+}
+
+module.exports = {
+  WORKER_CHANNEL_PATH,
+  WorkerChannelServer,
+  WorkerChannelClient,
+};
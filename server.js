@@ -5,8 +5,11 @@ const dotenv = require('dotenv');
 // Load from .env file if it exists (for local development)
 dotenv.config({ path: path.resolve(process.cwd(), '.env') });
 
+const { createVoiceProvider, getProviderName } = require('./lib/providers');
+
 // Validate required environment variables
-const requiredEnvVars = ['LIVEKIT_WS_URL', 'LIVEKIT_API_KEY', 'LIVEKIT_API_SECRET', 'ELEVENLABS_API_KEY'];
+const requiredEnvVars = ['LIVEKIT_WS_URL', 'LIVEKIT_API_KEY', 'LIVEKIT_API_SECRET'];
+if (getProviderName() === 'elevenlabs') requiredEnvVars.push('ELEVENLABS_API_KEY'); // only the cloud provider needs it
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingVars.length > 0) {
@@ -31,45 +34,103 @@ requiredEnvVars.forEach(varName => {
 });
 
 const express = require('express');
-const { AccessToken } = require('livekit-server-sdk');
+const { AccessToken, WebhookReceiver } = require('livekit-server-sdk');
+const { WorkerChannelServer } = require('./lib/worker-channel');
+const { createVoiceStore, resolveVoice } = require('./lib/voice-store');
+const { validateVoiceSettings, validatePipelineOptions } = require('./lib/voice-settings');
+const { listSessions, readManifest, recordingFilePath } = require('./lib/recorder');
+const { Auth, AuthError, secretsEqual, identityError, corsMiddleware } = require('./lib/auth');
+const { Lobby, LobbyError, roomNameError } = require('./lib/lobby');
+const { VoiceCatalog, fetchElevenLabsVoices, filterVoices, filterOptions } = require('./lib/voice-catalog');
+const {
+  CloneError, cloneLimits, validateSamples, validateCloneName, createVoiceClone, deleteVoiceClone,
+} = require('./lib/voice-cloning');
+const { createRoomService } = require('./lib/room-service');
+const { createUsageLedger, usageReportError } = require('./lib/usage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
+// Voice clone uploads carry several recordings - they get a larger body limit than everything else
+app.use('/voices/clone', express.json({ limit: process.env.CLONE_UPLOAD_LIMIT || '40mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
-// CORS middleware for development
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-  if (req.method === 'OPTIONS') {
-    res.sendStatus(200);
-  } else {
-    next();
-  }
+// CORS only for the origins listed in CORS_ORIGINS - the bundled client is same-origin
+app.use(corsMiddleware());
+
+// Sessions and permissions (see lib/auth.js); auth is on when AUTH_SECRET is set
+const auth = new Auth();
+app.use(auth.authenticate);
+if (!auth.enabled) {
+  console.warn('⚠️ AUTH_SECRET is not set - anyone can get tokens and change any voice');
+} else if (!auth.workerToken) {
+  console.warn('⚠️ WORKER_API_TOKEN is not set - audio workers will not be able to read voice selections');
+}
+
+// Rooms, occupancy and unique display names (see lib/lobby.js)
+const lobby = new Lobby({ roomService: createRoomService(), allowedRooms: auth.allowedRooms });
+
+// Voice list, cached with a fallback to the last good copy (see lib/voice-catalog.js).
+// The local provider serves its own built-in voices so the app works without ElevenLabs.
+const voiceCatalog = new VoiceCatalog({
+  source: getProviderName(),
+  fetchVoices: getProviderName() === 'local'
+    ? async () => createVoiceProvider('local').listVoices()
+    : () => fetchElevenLabsVoices(),
 });
+// With a cloud provider the local DSP voices are offered too - they cost nothing and work offline
+const localVoices = getProviderName() === 'local' ? [] : createVoiceProvider('local').listVoices();
 
-// In-memory storage for user voice selections
-const userVoiceSelections = new Map();
+// Voice profiles (file-backed by default, see VOICE_STORE)
+const voiceStore = createVoiceStore();
+
+// Provider usage per user and room, reported by workers (see lib/usage.js)
+const usageLedger = createUsageLedger();
+
+// Push channel to running audio workers (attached once the HTTP server is listening)
+let workerChannel = null;
 
 // Serve index.html at root
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// LiveKit token generation endpoint
-app.get('/get-token', async (req, res) => {
+// Login: { identity, secret, claim } with the shared or admin secret, or { token } from your own app.
+// Secret logins take the name in the lobby, so two people can't log in under the same name.
+app.post('/auth/login', async (req, res, next) => {
   try {
-    const { roomName, identity } = req.query;
+    const { token, session } = auth.login(req.body);
+    const claimed = session.external ? null : await lobby.claimName(session.identity, req.body.claim);
+    auth.setSessionCookie(req, res, token);
+    console.log(`🔑 ${session.identity} logged in as ${session.role}`);
+    res.json({ success: true, token, session, claim: claimed?.claim || null });
+  } catch (error) {
+    if (!(error instanceof AuthError) && !(error instanceof LobbyError)) return next(error);
+    res.status(error.status).json({ error: error.message });
+  }
+});
+
+app.post('/auth/logout', (req, res) => {
+  auth.clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+app.get('/auth/session', (req, res) => {
+  res.json({ authEnabled: auth.enabled, session: req.auth?.identity ? req.auth : null });
+});
+
+// LiveKit token generation endpoint - identity comes from the session when auth is on
+app.get('/get-token', auth.guard('admin', 'user', 'listener'), async (req, res) => {
+  try {
+    const { roomName } = req.query;
+    const identity = auth.enabled ? req.auth.identity : req.query.identity;
     
     console.log('🔍 [BACKEND] Token request received:');
-    console.log('  - LIVEKIT_API_KEY:', process.env.LIVEKIT_API_KEY);
     console.log('  - LIVEKIT_WS_URL:', process.env.LIVEKIT_WS_URL);
     console.log('  - roomName:', roomName);
     console.log('  - identity:', identity);
@@ -80,6 +141,36 @@ app.get('/get-token', async (req, res) => {
       });
     }
 
+    // A session can only ever join as itself
+    if (req.query.identity && req.query.identity !== identity) {
+      return res.status(403).json({ 
+        error: 'Identity does not match the logged-in user' 
+      });
+    }
+
+    const identityProblem = identityError(identity);
+    if (identityProblem) {
+      return res.status(400).json({ error: identityProblem });
+    }
+
+    // Names are unique across rooms; the claim from an earlier request keeps ours across reloads
+    let claimed = null;
+    if (!req.auth?.external) {
+      try {
+        claimed = await lobby.claimName(identity, req.query.claim);
+      } catch (error) {
+        if (!(error instanceof LobbyError)) throw error;
+        return res.status(error.status).json({ error: error.message, identity });
+      }
+    }
+
+    if (!auth.isRoomAllowed(req.auth, roomName)) {
+      return res.status(403).json({ 
+        error: 'Room not allowed',
+        roomName 
+      });
+    }
+
     const apiKey = process.env.LIVEKIT_API_KEY;
     const apiSecret = process.env.LIVEKIT_API_SECRET;
     
@@ -89,14 +180,14 @@ app.get('/get-token', async (req, res) => {
       });
     }
 
-    // Create access token
-    const at = new AccessToken(apiKey, apiSecret, { identity });
-    at.addGrant({
-      room: roomName,
-      roomJoin: true,
-      canPublish: true,
-      canSubscribe: true,
+    // Create access token with a TTL and the grants of the user's role
+    const grants = auth.grantsFor(req.auth, roomName);
+    const at = new AccessToken(apiKey, apiSecret, {
+      identity,
+      ttl: auth.livekitTokenTtl,
+      attributes: auth.attributesFor(req.auth, roomName),
     });
+    at.addGrant(grants);
 
     const token = await at.toJwt();
     
@@ -104,7 +195,10 @@ app.get('/get-token', async (req, res) => {
       token,
       wsUrl: process.env.LIVEKIT_WS_URL,
       room: roomName,
-      identity
+      identity,
+      role: req.auth?.role || null,
+      grants,
+      claim: claimed?.claim || null
     });
   } catch (error) {
     console.error('Error generating LiveKit token:', error);
@@ -115,71 +209,222 @@ app.get('/get-token', async (req, res) => {
   }
 });
 
+// voiceId -> userId of every cloned voice
+async function clonedVoiceOwners() {
+  const owners = new Map();
+  for (const profile of await voiceStore.list()) {
+    for (const clone of profile.clonedVoices || []) owners.set(clone.voiceId, profile.userId);
+  }
+  return owners;
+}
+
+// Who is looking at the catalog: the session, or ?userId= when auth is off
+const catalogViewer = (req) => (auth.enabled ? req.auth?.identity : req.query.userId) || null;
+
 // ElevenLabs voices listing endpoint
-app.get('/voices', async (req, res) => {
+app.get('/voices', auth.guard(), async (req, res) => {
   try {
-    const apiKey = process.env.ELEVENLABS_API_KEY;
-    
-    if (!apiKey) {
-      return res.status(500).json({ 
-        error: 'ElevenLabs API key not configured' 
+    // ?refresh=true skips the cache (admins only, it costs an API call)
+    const refresh = req.query.refresh === 'true' && auth.isRoomAdmin(req.auth);
+    const { voices: catalog, fetchedAt, stale, error } = await voiceCatalog.list({ refresh });
+    // Cloned voices are only offered to the user they were recorded by
+    const owners = await clonedVoiceOwners();
+    const viewer = catalogViewer(req);
+    const voices = catalog
+      .filter(voice => !owners.has(voice.voice_id) || owners.get(voice.voice_id) === viewer)
+      .concat(localVoices);
+    const matching = filterVoices(voices, req.query);
+
+    res.json({
+      voices: matching.map(voice => ({
+        ...voice,
+        preview: voice.preview_url ? `/voices/${encodeURIComponent(voice.voice_id)}/preview` : null,
+        owned: owners.has(voice.voice_id),
+      })),
+      total: voices.length,
+      filters: filterOptions(voices),
+      fetchedAt,
+      stale,
+      ...(stale ? { staleReason: error } : {})
+    });
+  } catch (error) {
+    console.error('Error fetching voices:', error.message);
+    res.status(error.status || 500).json({ 
+      error: 'Failed to fetch voices',
+      details: error.message,
+      ...(error.hint ? { hint: error.hint } : {})
+    });
+  }
+});
+
+// Preview clip of a voice, downloaded once and then served from the cache
+app.get('/voices/:voiceId/preview', auth.guard(), async (req, res) => {
+  try {
+    const owner = (await clonedVoiceOwners()).get(req.params.voiceId);
+    const file = owner && owner !== catalogViewer(req) ? null : await voiceCatalog.previewFile(req.params.voiceId);
+    if (!file) {
+      return res.status(404).json({ error: 'No preview for this voice', voiceId: req.params.voiceId });
+    }
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.type('audio/mpeg').sendFile(file);
+  } catch (error) {
+    console.error('Error fetching voice preview:', error.message);
+    res.status(error.status || 502).json({ 
+      error: 'Failed to fetch voice preview',
+      details: error.message 
+    });
+  }
+});
+
+// Create an instant voice clone from the user's recordings:
+// { userId, name, description, samples: [base64 WAV], select } - select (default true) makes it their voice
+app.post('/voices/clone', auth.guard('admin', 'user'), async (req, res) => {
+  try {
+    if (getProviderName() !== 'elevenlabs') {
+      return res.status(501).json({ error: 'Voice cloning needs VOICE_PROVIDER=elevenlabs' });
+    }
+
+    const { userId, name, description, samples, select = true } = req.body;
+    if (!userId) {
+      return res.status(400).json({ error: 'Missing required parameter: userId' });
+    }
+    if (!auth.canManageVoice(req.auth, userId)) {
+      return res.status(403).json({ error: 'Not allowed to clone a voice for this user' });
+    }
+    const nameProblem = validateCloneName(name);
+    if (nameProblem) {
+      return res.status(400).json({ error: nameProblem });
+    }
+
+    const limits = cloneLimits();
+    const existing = (await voiceStore.get(userId))?.clonedVoices || [];
+    if (existing.length >= limits.maxPerUser) {
+      return res.status(409).json({ 
+        error: `You already have ${existing.length} cloned voices - delete one first`,
+        limit: limits.maxPerUser 
       });
     }
 
-    const response = await fetch('https://api.elevenlabs.io/v1/voices', {
-      method: 'GET',
-      headers: {
-        'xi-api-key': apiKey,
-        'Content-Type': 'application/json'
-      }
+    const { files, seconds } = validateSamples(samples, limits);
+    const voiceId = await createVoiceClone({ name, description, owner: userId, files });
+    let profile = await voiceStore.addClonedVoice(userId, { voiceId, name: name.trim(), samples: files.length, seconds });
+    voiceCatalog.invalidate();
+    console.log(`🧬 Voice clone "${name.trim()}" (${voiceId}) created for ${userId} from ${files.length} samples (${seconds}s)`);
+
+    let workersNotified = 0;
+    if (select) {
+      profile = await voiceStore.update(userId, { voiceId });
+      workersNotified = workerChannel ? workerChannel.broadcast('voice-update', { userId, roomName: null }) : 0;
+    }
+
+    res.status(201).json({
+      success: true,
+      voiceId,
+      profile,
+      workersNotified
     });
+  } catch (error) {
+    if (error instanceof CloneError) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+    console.error('Error cloning voice:', error);
+    res.status(500).json({ 
+      error: 'Failed to clone voice',
+      details: error.message 
+    });
+  }
+});
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => null);
-      
-      // Handle specific ElevenLabs API errors
-      if (response.status === 401) {
-        const errorMessage = errorData?.detail?.message || 'Unauthorized - check API key and permissions';
-        console.error('ElevenLabs API authentication error:', errorMessage);
-        return res.status(500).json({ 
-          error: 'ElevenLabs API authentication failed',
-          details: errorMessage,
-          hint: 'Please check your API key has voices_read permission at https://elevenlabs.io/app/settings'
-        });
-      }
-      
-      throw new Error(`ElevenLabs API error: ${response.status} ${response.statusText}`);
+// Delete a cloned voice, at ElevenLabs and from its owner's profile
+app.delete('/voices/clone/:voiceId', auth.guard('admin', 'user'), async (req, res) => {
+  try {
+    const { voiceId } = req.params;
+    const owner = await voiceStore.cloneOwner(voiceId);
+    if (!owner) {
+      return res.status(404).json({ error: 'Cloned voice not found', voiceId });
+    }
+    if (!auth.canManageVoice(req.auth, owner)) {
+      return res.status(403).json({ error: 'Not allowed to delete this voice' });
     }
 
-    const data = await response.json();
-    
-    // Return the raw JSON voice list from ElevenLabs
-    res.json(data);
+    await deleteVoiceClone(voiceId);
+    const profile = await voiceStore.removeClonedVoice(owner, voiceId);
+    voiceCatalog.invalidate();
+    console.log(`🗑️ Voice clone ${voiceId} of ${owner} deleted`);
+
+    // The owner may have been using it - workers fall back to the default voice
+    const workersNotified = workerChannel ? workerChannel.broadcast('voice-update', { userId: owner, roomName: null }) : 0;
+    res.json({ success: true, voiceId, profile, workersNotified });
   } catch (error) {
-    console.error('Error fetching ElevenLabs voices:', error);
+    if (error instanceof CloneError) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+    console.error('Error deleting cloned voice:', error);
     res.status(500).json({ 
-      error: 'Failed to fetch voices',
+      error: 'Failed to delete cloned voice',
       details: error.message 
     });
   }
 });
 
 // Voice selection endpoint
-app.post('/set-voice', (req, res) => {
+app.post('/set-voice', auth.guard('admin', 'user', 'listener'), async (req, res) => {
   try {
-    const { userId, voiceId } = req.body;
+    const { userId, voiceId, roomName } = req.body;
+
+    // Conversion settings may come nested in voiceSettings or as top-level ElevenLabs fields
+    const settingsInput = { ...(req.body.voiceSettings || {}) };
+    for (const key of ['model_id', 'voice_settings', 'remove_background_noise', 'optimize_streaming_latency']) {
+      if (req.body[key] !== undefined) settingsInput[key] = req.body[key];
+    }
+    const { settings, errors } = validateVoiceSettings(settingsInput);
+    const voiceSettings = Object.keys(settings).length > 0 ? settings : undefined;
+    const pipeline = validatePipelineOptions({ mode: req.body.mode, language: req.body.language });
+    errors.push(...pipeline.errors);
+    const { mode, language } = pipeline.options;
+    if (roomName !== undefined && roomName !== null) {
+      const problem = roomNameError(roomName);
+      if (problem) errors.push(`roomName: ${problem}`);
+    }
     
-    if (!userId || !voiceId) {
+    if (!userId || (!voiceId && !voiceSettings && !mode && !language && errors.length === 0)) {
       return res.status(400).json({ 
-        error: 'Missing required parameters: userId and voiceId' 
+        error: 'Missing required parameters: userId and voiceId (or voice settings, mode, language)' 
       });
     }
 
-    // Store voice selection in memory (simple userId -> voiceId mapping)
-    userVoiceSelections.set(userId, voiceId);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        error: 'Invalid voice settings',
+        details: errors 
+      });
+    }
+
+    // Only the user themselves, or an admin of the room, may change a voice
+    if (!auth.canManageVoice(req.auth, userId, roomName)) {
+      return res.status(403).json({ 
+        error: 'Not allowed to change this user\'s voice' 
+      });
+    }
+
+    // A cloned voice is only ever used by the person it was recorded from
+    const cloneOwner = voiceId ? await voiceStore.cloneOwner(voiceId) : null;
+    if (cloneOwner && cloneOwner !== userId) {
+      return res.status(403).json({ 
+        error: 'This cloned voice belongs to another user' 
+      });
+    }
+
+    // Save to the user's profile (room override when roomName is given)
+    const profile = await voiceStore.update(userId, { voiceId, voiceSettings, mode, language, roomName });
+
+    // Tell running workers so the change applies mid-session
+    const workersNotified = workerChannel ? workerChannel.broadcast('voice-update', { userId, roomName: roomName || null }) : 0;
 
     res.json({
-      success: true
+      success: true,
+      profile,
+      workersNotified
     });
   } catch (error) {
     console.error('Error setting voice selection:', error);
@@ -190,26 +435,62 @@ app.post('/set-voice', (req, res) => {
   }
 });
 
-// Get user's current voice selection
-app.get('/get-voice/:userId', (req, res) => {
+// Remove a user's override for one room, so their default voice applies there again
+app.delete('/set-voice/:userId/rooms/:roomName', auth.guard('admin', 'user', 'listener'), async (req, res) => {
+  try {
+    const { userId, roomName } = req.params;
+    const problem = roomNameError(roomName);
+    if (problem) return res.status(400).json({ error: problem });
+
+    if (!auth.canManageVoice(req.auth, userId, roomName)) {
+      return res.status(403).json({ 
+        error: 'Not allowed to change this user\'s voice' 
+      });
+    }
+
+    const profile = await voiceStore.clearRoomOverride(userId, roomName);
+    const workersNotified = workerChannel ? workerChannel.broadcast('voice-update', { userId, roomName }) : 0;
+
+    res.json({
+      success: true,
+      profile,
+      workersNotified
+    });
+  } catch (error) {
+    console.error('Error clearing room voice override:', error);
+    res.status(500).json({ 
+      error: 'Failed to clear room voice override',
+      details: error.message 
+    });
+  }
+});
+
+// Get user's current voice selection (optionally resolved for a room)
+app.get('/get-voice/:userId', auth.guard(), async (req, res) => {
   try {
     const { userId } = req.params;
-    
-    const voiceSelection = userVoiceSelections.get(userId);
-    
-    if (!voiceSelection) {
-      // Return default voice if none selected
-      return res.json({
-        success: true,
-        userId,
-        voiceSelection: 'pNInz6obpgDQGcFmaJgB' // Adam voice as default
+    const { roomName } = req.query;
+
+    if (!auth.canReadVoice(req.auth, userId, roomName)) {
+      return res.status(403).json({ 
+        error: 'Not allowed to read this user\'s voice' 
       });
     }
+    
+    const profile = await voiceStore.get(userId);
+    const { voiceId, voiceSettings, mode, language, isDefault } = resolveVoice(profile, roomName);
 
+    // voiceSelection stays a plain voice ID for existing clients; Adam is the default when none selected
     res.json({
       success: true,
       userId,
-      voiceSelection
+      roomName: roomName || null,
+      voiceSelection: voiceId,
+      voiceSettings,
+      mode,
+      language,
+      isDefault,
+      profile
     });
   } catch (error) {
     console.error('Error getting voice selection:', error);
@@ -220,6 +501,233 @@ app.get('/get-voice/:userId', (req, res) => {
   }
 });
 
+// Lobby: rooms with their occupancy, limited to the rooms the caller may join
+app.get('/lobby/rooms', auth.guard('admin', 'user', 'listener'), async (req, res) => {
+  try {
+    const rooms = (await lobby.listRooms()).filter(room => auth.isRoomAllowed(req.auth, room.name));
+    res.json({ success: true, rooms });
+  } catch (error) {
+    console.error('Error listing rooms:', error.message);
+    res.status(502).json({ 
+      error: 'Failed to list rooms',
+      details: error.message 
+    });
+  }
+});
+
+// Create a room: { name, maxParticipants, fallbackPolicy, floorPolicy }; creating an existing room just returns it
+app.post('/lobby/rooms', auth.guard('admin', 'user'), async (req, res) => {
+  try {
+    const { name, maxParticipants, fallbackPolicy, floorPolicy } = req.body;
+    if (name && !auth.isRoomAllowed(req.auth, name)) {
+      return res.status(403).json({ error: 'Room not allowed', roomName: name });
+    }
+    const options = {
+      ...(maxParticipants === undefined ? {} : { maxParticipants }),
+      ...(fallbackPolicy === undefined ? {} : { fallbackPolicy }),
+      ...(floorPolicy === undefined ? {} : { floorPolicy }),
+    };
+    const { room, created } = await lobby.createRoom(name, options);
+    res.status(created ? 201 : 200).json({ success: true, room, created });
+  } catch (error) {
+    if (error instanceof LobbyError) return res.status(error.status).json({ error: error.message });
+    console.error('Error creating room:', error.message);
+    res.status(502).json({ 
+      error: 'Failed to create room',
+      details: error.message 
+    });
+  }
+});
+
+// Change a room's settings (room admins): { fallbackPolicy: 'local' | 'passthrough' | 'silent',
+// floorPolicy: 'free' | 'single' | 'max-N' }, either may be left out
+app.put('/lobby/rooms/:room/settings', auth.guard('admin', 'user'), async (req, res) => {
+  try {
+    const roomName = req.params.room;
+    if (!auth.isRoomAllowed(req.auth, roomName) || !auth.isRoomAdmin(req.auth, roomName)) {
+      return res.status(403).json({ error: 'Only room admins can change room settings', roomName });
+    }
+    const room = await lobby.updateRoomSettings(roomName, {
+      fallbackPolicy: req.body?.fallbackPolicy,
+      floorPolicy: req.body?.floorPolicy,
+    });
+    res.json({ success: true, room });
+  } catch (error) {
+    if (error instanceof LobbyError) return res.status(error.status).json({ error: error.message });
+    console.error('Error updating room settings:', error.message);
+    res.status(502).json({ 
+      error: 'Failed to update room settings',
+      details: error.message 
+    });
+  }
+});
+
+// Take a display name before joining: { name, claim } -> { identity, claim }, 409 when taken
+app.post('/lobby/names', auth.guard('admin', 'user', 'listener'), async (req, res, next) => {
+  try {
+    const { name, claim } = req.body;
+    if (auth.enabled && name !== req.auth.identity) {
+      return res.status(403).json({ error: 'You can only take your own name' });
+    }
+    res.json({ success: true, ...(await lobby.claimName(name, claim)) });
+  } catch (error) {
+    if (!(error instanceof LobbyError)) return next(error);
+    res.status(error.status).json({ error: error.message });
+  }
+});
+
+// Give a name back when leaving for good: { claim }
+app.delete('/lobby/names/:name', auth.guard('admin', 'user', 'listener'), (req, res) => {
+  if (auth.enabled && req.params.name !== req.auth.identity) {
+    return res.status(403).json({ error: 'You can only give back your own name' });
+  }
+  res.json({ success: true, released: lobby.releaseName(req.params.name, req.body?.claim) });
+});
+
+// Worker status, proxied from the worker control API so the UI and ops can reach it through the server
+app.get('/worker/status', auth.guard('admin'), async (req, res) => {
+  try {
+    const controlUrl = process.env.WORKER_CONTROL_URL || 'http://127.0.0.1:3100';
+    const headers = process.env.WORKER_CONTROL_TOKEN ? { Authorization: `Bearer ${process.env.WORKER_CONTROL_TOKEN}` } : {};
+    const response = await fetch(`${controlUrl}/status`, { headers, signal: AbortSignal.timeout(5000) });
+    const data = await response.json().catch(() => null);
+    res.status(response.ok ? 200 : 502).json(data || { error: `Worker returned ${response.status}` });
+  } catch (error) {
+    console.error('Error fetching worker status:', error.message);
+    res.status(502).json({ 
+      error: 'Worker unreachable',
+      details: error.message 
+    });
+  }
+});
+
+// Usage report from a worker: { room, users: [present identities], entries: [{ user, seconds, characters }] }.
+// Answers which of the users, and whether the room, are over budget.
+app.post('/usage/report', auth.guard('worker'), async (req, res) => {
+  try {
+    const problem = usageReportError(req.body);
+    if (problem) return res.status(400).json({ error: problem });
+    const { room, users = [], entries } = req.body;
+    if (entries.length) await usageLedger.record(room, entries);
+    const reported = new Set([...users, ...entries.map(entry => entry.user)]);
+    res.json({
+      success: true,
+      blockedUsers: Array.from(reported).filter(user => usageLedger.overBudget('user', user)),
+      roomBlocked: usageLedger.overBudget('room', room),
+    });
+  } catch (error) {
+    console.error('Error recording usage:', error);
+    res.status(500).json({ 
+      error: 'Failed to record usage',
+      details: error.message 
+    });
+  }
+});
+
+// Usage of every user and room this month, with the budgets (admins)
+app.get('/usage', auth.guard('admin'), (req, res) => {
+  res.json({ success: true, ...usageLedger.summary() });
+});
+
+// One user's usage: their own, or anyone's for admins
+app.get('/usage/users/:userId', auth.guard('admin', 'user', 'listener'), (req, res) => {
+  const { userId } = req.params;
+  if (auth.enabled && req.auth.identity !== userId && req.auth.role !== 'admin') {
+    return res.status(403).json({ error: 'Not allowed to read this user\'s usage' });
+  }
+  res.json({ success: true, ...usageLedger.usage('user', userId) });
+});
+
+// One room's usage (room admins)
+app.get('/usage/rooms/:room', auth.guard('admin', 'user'), (req, res) => {
+  const roomName = req.params.room;
+  if (!auth.isRoomAllowed(req.auth, roomName) || !auth.isRoomAdmin(req.auth, roomName)) {
+    return res.status(403).json({ error: 'Only room admins can read room usage', roomName });
+  }
+  res.json({ success: true, ...usageLedger.usage('room', roomName) });
+});
+
+// Session recordings written by workers with RECORD_SESSIONS=true (same RECORDINGS_DIR on both sides).
+// Recordings hold participants' voices: admins only when auth is on, and scripts can use
+// `Authorization: Bearer <RECORDINGS_TOKEN>`.
+app.use('/recordings', (req, res, next) => {
+  const token = process.env.RECORDINGS_TOKEN;
+  if (token && secretsEqual((req.get('Authorization') || '').replace(/^Bearer\s+/i, ''), token)) return next();
+  if (auth.enabled) return auth.guard('admin')(req, res, next);
+  if (!token) return next();
+  res.status(401).json({ error: 'Unauthorized' });
+});
+
+app.get('/recordings', async (req, res) => {
+  try {
+    res.json({ success: true, sessions: await listSessions() });
+  } catch (error) {
+    console.error('Error listing recordings:', error);
+    res.status(500).json({ 
+      error: 'Failed to list recordings',
+      details: error.message 
+    });
+  }
+});
+
+app.get('/recordings/:sessionId', async (req, res) => {
+  try {
+    const manifest = await readManifest(req.params.sessionId);
+    if (!manifest) return res.status(404).json({ error: 'Recording not found', sessionId: req.params.sessionId });
+    res.json({ success: true, manifest });
+  } catch (error) {
+    console.error('Error reading recording:', error);
+    res.status(500).json({ 
+      error: 'Failed to read recording',
+      details: error.message 
+    });
+  }
+});
+
+app.get('/recordings/:sessionId/:file', async (req, res) => {
+  try {
+    const filePath = await recordingFilePath(req.params.sessionId, req.params.file);
+    if (!filePath) return res.status(404).json({ error: 'Recording file not found', file: req.params.file });
+    res.download(filePath, `${req.params.sessionId}-${req.params.file}`, (error) => {
+      // Speakers who never had audio converted have no output file
+      if (error && !res.headersSent) res.status(404).json({ error: 'Recording file not found', file: req.params.file });
+    });
+  } catch (error) {
+    console.error('Error downloading recording:', error);
+    res.status(500).json({ 
+      error: 'Failed to download recording',
+      details: error.message 
+    });
+  }
+});
+
+// LiveKit webhook receiver - room/participant events are forwarded to workers so the
+// room supervisor can start a worker as soon as someone joins
+const webhookReceiver = new WebhookReceiver(process.env.LIVEKIT_API_KEY, process.env.LIVEKIT_API_SECRET);
+
+app.post('/livekit/webhook', express.raw({ type: 'application/webhook+json' }), async (req, res) => {
+  try {
+    const body = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+    const event = await webhookReceiver.receive(body, req.get('Authorization'));
+    lobby.handleRoomEvent(event);
+
+    const workersNotified = workerChannel ? workerChannel.broadcast('room-event', {
+      event: event.event,
+      room: event.room ? { name: event.room.name } : null,
+      participant: event.participant ? { identity: event.participant.identity } : null,
+    }) : 0;
+
+    console.log(`📨 LiveKit webhook: ${event.event} ${event.room?.name || ''} (forwarded to ${workersNotified} workers)`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error handling LiveKit webhook:', error.message);
+    res.status(401).json({ 
+      error: 'Invalid webhook',
+      details: error.message 
+    });
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
@@ -249,6 +757,9 @@ const server = app.listen(PORT, () => {
   console.log(`🌍 Health check: http://localhost:${PORT}`);
 });
 
+// Workers connect here to receive live voice changes
+workerChannel = new WorkerChannelServer(server, { token: auth.workerToken });
+
 // Handle port already in use error
 server.on('error', (err) => {
   if (err.code === 'EADDRINUSE') {
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Resampler, PcmConverter, resample, downmix, convertPcmStream, encodeUpload, SPEECH_RATE } = require('../lib/audio-format');
+
+function sine(hz, rate, samples, amp = 10000) {
+  const out = new Int16Array(samples);
+  for (let i = 0; i < samples; i++) out[i] = Math.round(amp * Math.sin((2 * Math.PI * hz * i) / rate));
+  return out;
+}
+
+function rms(int16, from = 0, to = int16.length) {
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += int16[i] * int16[i];
+  return Math.sqrt(sum / (to - from));
+}
+
+function concat(parts) {
+  const out = new Int16Array(parts.reduce((n, p) => n + p.length, 0));
+  let o = 0;
+  for (const p of parts) { out.set(p, o); o += p.length; }
+  return out;
+}
+
+test('Resampler rejects invalid rates', () => {
+  assert.throws(() => new Resampler(0, 16000), /Invalid resampling rates/);
+  assert.throws(() => new Resampler(48000, -1), /Invalid resampling rates/);
+});
+
+test('equal rates pass samples through', () => {
+  const input = sine(440, 48000, 480);
+  assert.equal(resample(input, 48000, 48000), input);
+  const resampler = new Resampler(48000, 48000);
+  assert.deepEqual(resampler.push(input), input);
+  assert.equal(resampler.flush().length, 0);
+});
+
+test('one-shot resampling scales the length by the rate ratio', () => {
+  for (const [from, to] of [[48000, 16000], [16000, 48000], [44100, 48000], [48000, 22050]]) {
+    const out = resample(sine(300, from, from / 10), from, to);
+    assert.equal(out.length, Math.floor(((from / 10) * to) / from), `${from} -> ${to}`);
+  }
+});
+
+test('a tone below both Nyquist rates keeps its level', () => {
+  for (const [from, to] of [[48000, 16000], [16000, 48000], [24000, 48000]]) {
+    const out = resample(sine(1000, from, from / 5), from, to);
+    // Edges ramp in against silence; compare the middle
+    const ratio = rms(out, out.length / 4, (out.length * 3) / 4) / (10000 / Math.SQRT2);
+    assert.ok(Math.abs(ratio - 1) < 0.02, `${from} -> ${to}: level ratio ${ratio}`);
+  }
+});
+
+test('downsampling filters out tones above the new Nyquist', () => {
+  const out = resample(sine(12000, 48000, 9600), 48000, 16000);
+  const level = rms(out, out.length / 4, (out.length * 3) / 4);
+  assert.ok(level < 100, `12 kHz leaked through at RMS ${level}`);
+});
+
+test('streaming in pieces matches one-shot resampling', () => {
+  const input = sine(700, 48000, 4800);
+  const whole = resample(input, 48000, 16000);
+  const resampler = new Resampler(48000, 16000);
+  const parts = [];
+  for (let i = 0; i < input.length; i += 333) parts.push(resampler.push(input.subarray(i, i + 333)));
+  parts.push(resampler.flush());
+  assert.deepEqual(concat(parts), whole);
+});
+
+test('downmix averages interleaved channels', () => {
+  assert.deepEqual(downmix(Int16Array.from([100, 300, -50, 50, 7, 8]), 2), Int16Array.from([200, 0, 8]));
+  const mono = Int16Array.from([1, 2, 3]);
+  assert.equal(downmix(mono, 1), mono);
+});
+
+test('PcmConverter carries partial samples into the next push', () => {
+  const converter = new PcmConverter({ fromRate: 16000, toRate: 16000, channels: 2 });
+  const stereo = Buffer.from(Int16Array.from([1000, 3000, -2000, 2000]).buffer);
+  const first = converter.push(stereo.subarray(0, 3));
+  const second = converter.push(stereo.subarray(3));
+  const out = Buffer.concat([first, second]);
+  assert.deepEqual(new Int16Array(out.buffer, out.byteOffset, out.length / 2), Int16Array.from([2000, 0]));
+});
+
+test('convertPcmStream passes matching streams through untouched', async () => {
+  const chunks = [Buffer.from([1, 2]), Buffer.from([3, 4])];
+  async function* source() { yield* chunks; }
+  const out = [];
+  for await (const chunk of convertPcmStream(source(), { fromRate: 48000, toRate: 48000 })) out.push(chunk);
+  assert.deepEqual(out, chunks);
+});
+
+test('convertPcmStream resamples to the room rate', async () => {
+  const input = sine(500, 16000, 1600);
+  async function* source() {
+    const bytes = Buffer.from(input.buffer);
+    for (let i = 0; i < bytes.length; i += 101) yield bytes.subarray(i, i + 101);
+  }
+  let bytes = 0;
+  for await (const chunk of convertPcmStream(source(), { fromRate: 16000, toRate: 48000 })) bytes += chunk.length;
+  assert.equal(bytes, 4800 * 2);
+});
+
+test('encodeUpload builds WAV and raw PCM bodies', () => {
+  const input = sine(440, 48000, 4800);
+
+  const wav = encodeUpload(input, 48000, { format: 'wav', rate: 16000 });
+  assert.equal(wav.contentType, 'audio/wav');
+  assert.equal(wav.sampleRate, 16000);
+  assert.equal(wav.data.toString('ascii', 0, 4), 'RIFF');
+  assert.equal(wav.data.readUInt32LE(24), 16000);
+  assert.equal(wav.data.length, 44 + 1600 * 2);
+
+  const pcm = encodeUpload(input, 48000, { format: 'pcm' });
+  assert.equal(pcm.sampleRate, SPEECH_RATE);
+  assert.equal(pcm.data.length, 1600 * 2);
+
+  assert.throws(() => encodeUpload(input, 48000, { format: 'mp3' }), /Unknown upload format "mp3"/);
+});
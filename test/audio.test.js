@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PcmFramer, bufferToInt16, pcmToWavBuffer, pcm16ToWav, rmsDbFS } = require('../lib/audio');
+
+const bytesOf = (values) => Buffer.from(Int16Array.from(values).buffer);
+
+test('PcmFramer cuts a byte stream into whole frames, carrying odd bytes over', () => {
+  const framer = new PcmFramer(3);
+  const stream = bytesOf([1, 2, 3, 4, 5, 6, 7, 8]);
+  const frames = [
+    ...framer.push(stream.subarray(0, 5)),   // 2.5 samples - no frame yet
+    ...framer.push(stream.subarray(5, 13)),  // frames 1 and a half of 2
+    ...framer.push(stream.subarray(13)),
+  ];
+  assert.deepEqual(frames.map(frame => Array.from(frame)), [[1, 2, 3], [4, 5, 6]]);
+  assert.equal(framer.totalBytes, 16);
+  assert.deepEqual(Array.from(framer.flush()), [7, 8, 0], 'the last frame is padded with silence');
+  assert.equal(framer.flush(), null);
+  assert.deepEqual(framer.push(Buffer.alloc(0)), []);
+});
+
+test('PcmFramer drops a lone trailing byte', () => {
+  const framer = new PcmFramer(4);
+  framer.push(Buffer.from([1]));
+  assert.equal(framer.flush(), null);
+});
+
+test('PcmFramer frames don\'t share memory with the pushed chunk', () => {
+  const framer = new PcmFramer(2);
+  const chunk = bytesOf([1, 2, 3]);
+  const [frame] = framer.push(chunk);
+  chunk.fill(0);
+  assert.deepEqual(Array.from(frame), [1, 2]);
+});
+
+test('bufferToInt16 reads little-endian samples at any byte offset', () => {
+  const buf = Buffer.concat([Buffer.from([9]), bytesOf([-2, 300]), Buffer.from([7])]);
+  assert.deepEqual(Array.from(bufferToInt16(buf.subarray(1))), [-2, 300], 'unaligned view');
+  assert.deepEqual(Array.from(bufferToInt16(bytesOf([5, 6]))), [5, 6]);
+});
+
+test('WAV helpers write a 44-byte PCM header', () => {
+  const wav = pcmToWavBuffer(Int16Array.from([1, -1]), 16000);
+  assert.equal(wav.length, 48);
+  assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+  assert.equal(wav.readUInt32LE(24), 16000);
+  assert.equal(wav.readUInt32LE(40), 4);
+  assert.equal(wav.readInt16LE(46), -1);
+  assert.deepEqual(pcm16ToWav(bytesOf([1, -1]), 16000), wav);
+});
+
+test('rmsDbFS measures the level in dBFS', () => {
+  assert.equal(rmsDbFS(new Int16Array(0)), -120);
+  assert.equal(rmsDbFS(new Int16Array(10)), -120);
+  assert.ok(Math.abs(rmsDbFS(new Int16Array(10).fill(16384)) + 6.02) < 0.01);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Auth, AuthError, signJwt, verifyJwt, secretsEqual, identityError } = require('../lib/auth');
+
+const SECRET = 'session-secret';
+const JWT_SECRET = 'host-app-secret';
+const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+function auth(options = {}) {
+  return new Auth({
+    secret: SECRET,
+    sharedSecret: 'shared',
+    adminSecret: 'admin',
+    jwtSecret: JWT_SECRET,
+    workerToken: 'worker-token',
+    allowedRooms: [],
+    ...options,
+  });
+}
+
+// Just enough of an Express request for authenticate()
+const request = (headers = {}) => ({ get: (name) => headers[name] });
+
+function authenticate(instance, headers) {
+  const req = request(headers);
+  instance.authenticate(req, {}, () => {});
+  return req.auth;
+}
+
+test('verifyJwt accepts valid tokens only', () => {
+  const claims = { sub: 'alice', exp: inAnHour() };
+  assert.deepEqual(verifyJwt(signJwt(claims, SECRET), SECRET), claims);
+  assert.equal(verifyJwt(signJwt(claims, SECRET), 'other'), null, 'wrong secret');
+  assert.equal(verifyJwt(signJwt({ sub: 'alice', exp: 1 }, SECRET), SECRET), null, 'expired');
+  assert.equal(verifyJwt(signJwt({ sub: 'alice' }, SECRET), SECRET), null, 'no exp');
+  assert.equal(verifyJwt('not.a.jwt', SECRET), null);
+  assert.equal(verifyJwt(undefined, SECRET), null);
+  assert.equal(verifyJwt(signJwt(claims, SECRET), undefined), null, 'no secret configured');
+
+  // alg other than HS256 is refused even with a valid signature over it
+  const [, body] = signJwt(claims, SECRET).split('.');
+  const header = Buffer.from(JSON.stringify({ alg: 'HS512', typ: 'JWT' })).toString('base64url');
+  const signature = crypto.createHmac('sha256', SECRET).update(`${header}.${body}`).digest('base64url');
+  assert.equal(verifyJwt(`${header}.${body}.${signature}`, SECRET), null);
+});
+
+test('secretsEqual and identityError', () => {
+  assert.equal(secretsEqual('abc', 'abc'), true);
+  assert.equal(secretsEqual('abc', 'abd'), false);
+  assert.equal(secretsEqual('abc', undefined), false);
+  assert.equal(secretsEqual(undefined, 'abc'), false);
+
+  assert.equal(identityError('alice'), null);
+  assert.equal(identityError(' '), 'identity is required');
+  assert.match(identityError('x'.repeat(65)), /at most 64/);
+  assert.match(identityError('audio-worker-1'), /may not start with/);
+});
+
+test('shared-secret login gives user or admin sessions', () => {
+  const instance = auth();
+  const user = instance.login({ identity: 'alice', secret: 'shared' });
+  assert.equal(user.session.identity, 'alice');
+  assert.equal(user.session.role, 'user');
+  assert.equal(verifyJwt(user.token, SECRET).sub, 'alice');
+  assert.equal(instance.login({ identity: 'root', secret: 'admin' }).session.role, 'admin');
+
+  assert.throws(() => instance.login({ identity: 'alice', secret: 'nope' }), (error) => error instanceof AuthError && error.status === 401);
+  assert.throws(() => instance.login({ identity: '', secret: 'shared' }), (error) => error.status === 400);
+  assert.throws(() => auth({ secret: undefined }).login({ identity: 'alice', secret: 'shared' }), /not enabled/);
+});
+
+test('login with a host-app token keeps its rooms and needs an expiry', () => {
+  const instance = auth();
+  const token = signJwt({ sub: 'bob', role: 'listener', rooms: ['a'], admin_rooms: ['a'], exp: inAnHour() }, JWT_SECRET);
+  const { session } = instance.login({ token });
+  assert.deepEqual(
+    { identity: session.identity, role: session.role, rooms: session.rooms, adminRooms: session.adminRooms, external: session.external },
+    { identity: 'bob', role: 'listener', rooms: ['a'], adminRooms: ['a'], external: true },
+  );
+
+  assert.equal(instance.login({ token: signJwt({ sub: 'bob', role: 'owner', exp: inAnHour() }, JWT_SECRET) }).session.role, 'user');
+  assert.throws(() => instance.login({ token: signJwt({ sub: 'bob' }, JWT_SECRET) }), /Invalid or expired login token/);
+  assert.throws(() => instance.login({ token: signJwt({ sub: 'bob', exp: inAnHour() }, SECRET) }), /Invalid or expired login token/);
+});
+
+test('authenticate reads the session cookie, a bearer session or the worker token', () => {
+  const instance = auth();
+  const { token } = instance.login({ identity: 'alice', secret: 'shared' });
+  assert.equal(authenticate(instance, { Cookie: `other=1; voice_session=${token}` }).identity, 'alice');
+  assert.equal(authenticate(instance, { Authorization: `Bearer ${token}` }).identity, 'alice');
+  assert.deepEqual(authenticate(instance, { Authorization: 'Bearer worker-token' }), { worker: true });
+  assert.equal(authenticate(instance, { Authorization: 'Bearer forged' }), null);
+  assert.equal(authenticate(instance, {}), null);
+});
+
+test('guard answers 401 without a session and 403 for other roles', () => {
+  const instance = auth();
+  const run = (guard, reqAuth) => {
+    let status = null;
+    let passed = false;
+    const res = { status: (code) => { status = code; return { json: () => {} }; } };
+    guard({ auth: reqAuth }, res, () => { passed = true; });
+    return passed ? 'next' : status;
+  };
+  assert.equal(run(instance.guard(), null), 401);
+  assert.equal(run(instance.guard(), { role: 'listener' }), 'next');
+  assert.equal(run(instance.guard('admin', 'user'), { role: 'listener' }), 403);
+  assert.equal(run(instance.guard('worker'), { worker: true }), 'next');
+  assert.equal(run(auth({ secret: undefined }).guard('admin'), null), 'next', 'auth off lets everything through');
+});
+
+test('room access, room admins and voice permissions', () => {
+  const instance = auth({ allowedRooms: ['a', 'b'] });
+  const user = { identity: 'alice', role: 'user', rooms: ['a'], adminRooms: ['b'] };
+  assert.equal(instance.isRoomAllowed(user, 'a'), true);
+  assert.equal(instance.isRoomAllowed(user, 'b'), false);
+  assert.equal(instance.isRoomAllowed({ role: 'admin' }, 'c'), false, 'ALLOWED_ROOMS applies to admins too');
+
+  assert.equal(instance.isRoomAdmin(user, 'b'), true);
+  assert.equal(instance.isRoomAdmin(user, 'a'), false);
+  assert.equal(instance.canManageVoice(user, 'alice', 'a'), true);
+  assert.equal(instance.canManageVoice(user, 'bob', 'a'), false);
+  assert.equal(instance.canManageVoice(user, 'bob', 'b'), true);
+  assert.equal(instance.canManageVoice({ worker: true }, 'bob', 'a'), false);
+  assert.equal(instance.canReadVoice({ worker: true }, 'bob', 'a'), true);
+});
+
+test('LiveKit grants follow the role', () => {
+  const instance = auth();
+  assert.equal(instance.grantsFor({ role: 'listener' }, 'a').canPublish, false);
+  assert.equal(instance.grantsFor({ role: 'user' }, 'a').canPublish, true);
+  assert.equal(instance.grantsFor({ role: 'admin' }, 'a').roomAdmin, true);
+  assert.deepEqual(instance.attributesFor({ role: 'user', adminRooms: ['a'] }, 'a'), { role: 'user', roomAdmin: 'true' });
+  assert.equal(auth({ secret: undefined }).attributesFor(null, 'a'), undefined);
+});
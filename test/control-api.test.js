@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createControlApp } = require('../lib/control-api');
+
+class FakeWorker {
+  constructor() {
+    this.paused = new Set();
+    this.reloads = 0;
+    this.activeS2S = new Set(['alice']);
+  }
+
+  getRoomDetails() { return { speakers: ['alice'], paused: Array.from(this.paused) }; }
+  getSpeakerDetails(identity) { return identity === 'alice' ? { identity, paused: this.paused.has(identity) } : null; }
+  async reloadVoices() { this.reloads++; }
+
+  setSpeakerPaused(identity, paused) {
+    if (identity !== 'alice') return false;
+    if (paused) this.paused.add(identity); else this.paused.delete(identity);
+    return true;
+  }
+}
+
+async function serve(t, options = {}) {
+  const workers = new Map([['standup', new FakeWorker()]]);
+  const app = createControlApp({ getWorkers: () => workers, getStatus: () => ({ rooms: Array.from(workers.keys()) }), token: null, ...options });
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, path, headers = {}) => {
+    const res = await fetch(base + path, { method, headers });
+    const type = res.headers.get('content-type') || '';
+    return { status: res.status, body: type.includes('json') ? await res.json() : await res.text() };
+  };
+  return { workers, call };
+}
+
+test('reports status, rooms and speakers', async (t) => {
+  const { call } = await serve(t);
+  assert.deepEqual(await call('GET', '/status'), { status: 200, body: { rooms: ['standup'] } });
+  assert.deepEqual((await call('GET', '/rooms/standup')).body.speakers, ['alice']);
+  assert.deepEqual(await call('GET', '/rooms/standup/speakers/alice'), { status: 200, body: { identity: 'alice', paused: false } });
+  assert.equal((await call('GET', '/rooms/standup/speakers/bob')).status, 404);
+  assert.deepEqual((await call('GET', '/rooms/other')).body, { error: 'Room not served by this worker', room: 'other' });
+  assert.equal((await call('GET', '/nothing')).status, 404);
+});
+
+test('pauses and resumes speakers', async (t) => {
+  const { workers, call } = await serve(t);
+  const paused = await call('POST', '/rooms/standup/speakers/alice/pause');
+  assert.deepEqual(paused.body, { success: true, speaker: { identity: 'alice', paused: true } });
+  assert.ok(workers.get('standup').paused.has('alice'));
+  assert.equal((await call('POST', '/rooms/standup/speakers/alice/resume')).body.speaker.paused, false);
+  assert.equal((await call('POST', '/rooms/standup/speakers/bob/pause')).status, 404);
+});
+
+test('reloads voices in one room or all of them', async (t) => {
+  const { workers, call } = await serve(t);
+  assert.equal((await call('POST', '/rooms/standup/reload-voices')).body.success, true);
+  assert.deepEqual((await call('POST', '/reload-voices')).body, { success: true, rooms: 1 });
+  assert.equal(workers.get('standup').reloads, 2);
+});
+
+test('a failing worker call answers 500', async (t) => {
+  const { workers, call } = await serve(t);
+  t.mock.method(console, 'error', () => {});
+  workers.get('standup').reloadVoices = async () => { throw new Error('server unreachable'); };
+  assert.deepEqual(await call('POST', '/rooms/standup/reload-voices'), {
+    status: 500,
+    body: { error: 'Control request failed', details: 'server unreachable' },
+  });
+});
+
+test('with a token every request needs it', async (t) => {
+  const { call } = await serve(t, { token: 'sesame' });
+  assert.deepEqual(await call('GET', '/status'), { status: 401, body: { error: 'Unauthorized' } });
+  assert.equal((await call('GET', '/status', { Authorization: 'Bearer wrong' })).status, 401);
+  assert.equal((await call('GET', '/status', { Authorization: 'Bearer sesame' })).status, 200);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EFFECT_TYPES, applyEffect, applyEffects, pitchShift, formantShift, robot, radio, reverb } = require('../lib/effects');
+
+const RATE = 16000;
+
+function tone(hz, seconds = 0.5, amplitude = 8000) {
+  const pcm = new Int16Array(Math.round(RATE * seconds));
+  for (let i = 0; i < pcm.length; i++) pcm[i] = Math.round(amplitude * Math.sin((2 * Math.PI * hz * i) / RATE));
+  return pcm;
+}
+
+// Frequency estimate from the rising zero crossings of the middle of the signal
+function frequency(pcm) {
+  const from = Math.floor(pcm.length / 4);
+  const to = Math.floor((pcm.length * 3) / 4);
+  let crossings = 0;
+  for (let i = from + 1; i < to; i++) if (pcm[i - 1] < 0 && pcm[i] >= 0) crossings++;
+  return crossings / ((to - from) / RATE);
+}
+
+const peak = (pcm) => pcm.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+
+test('every effect keeps the input length and leaves the input alone', () => {
+  const input = tone(220);
+  const before = Int16Array.from(input);
+  for (const type of EFFECT_TYPES) {
+    for (const pcm of [input, input.subarray(0, 1), new Int16Array(0)]) {
+      const out = applyEffect(pcm, { type, semitones: 5, ratio: 1.2 }, RATE);
+      assert.ok(out instanceof Int16Array, type);
+      assert.equal(out.length, pcm.length, `${type} on ${pcm.length} samples`);
+    }
+  }
+  assert.deepEqual(input, before);
+});
+
+test('applyEffects runs a chain in order and returns a copy for an empty one', () => {
+  const input = tone(220);
+  const passthrough = applyEffects(input, [], RATE);
+  assert.deepEqual(passthrough, input);
+  assert.notEqual(passthrough.buffer, input.buffer);
+
+  const chain = [{ type: 'pitch', semitones: 3 }, { type: 'radio' }, { type: 'reverb', wet: 0.2 }];
+  const out = applyEffects(input, chain, RATE);
+  assert.equal(out.length, input.length);
+  assert.deepEqual(out, reverb(radio(pitchShift(input, 3, RATE), RATE), RATE, { wet: 0.2 }));
+});
+
+test('an unknown effect names the known ones', () => {
+  assert.throws(() => applyEffects(tone(220), [{ type: 'chorus' }], RATE),
+    /Unknown effect "chorus" \(expected one of: pitch, formant, robot, radio, reverb\)/);
+});
+
+test('pitchShift moves the pitch by the given semitones', () => {
+  const input = tone(200);
+  const up = frequency(pitchShift(input, 12, RATE));
+  const down = frequency(pitchShift(input, -12, RATE));
+  assert.ok(Math.abs(up - 400) < 40, `octave up measured ${up} Hz`);
+  assert.ok(Math.abs(down - 100) < 15, `octave down measured ${down} Hz`);
+  assert.deepEqual(pitchShift(input, 0, RATE), input);
+});
+
+test('formantShift keeps the pitch', () => {
+  const input = tone(200);
+  for (const ratio of [0.8, 1.25]) {
+    const measured = frequency(formantShift(input, ratio, RATE));
+    assert.ok(Math.abs(measured - 200) < 20, `ratio ${ratio} measured ${measured} Hz`);
+  }
+});
+
+test('robot and reverb stay silent on silence, radio only adds a faint hiss', () => {
+  const silence = new Int16Array(RATE / 4);
+  assert.equal(peak(robot(silence, RATE)), 0);
+  assert.equal(peak(reverb(silence, RATE)), 0);
+  const hiss = peak(radio(silence, RATE));
+  assert.ok(hiss > 0 && hiss < 500, `hiss peak ${hiss}`);
+  assert.deepEqual(radio(silence, RATE), radio(silence, RATE), 'the same input gives the same output');
+});
+
+test('reverb leaves a tail after an impulse', () => {
+  const impulse = new Int16Array(RATE / 2);
+  impulse[0] = 30000;
+  const out = reverb(impulse, RATE, { wet: 0.5 });
+  assert.ok(peak(out.subarray(RATE / 10)) > 0);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  FALLBACK_POLICIES,
+  defaultFallbackPolicy,
+  fallbackPolicyError,
+  parseRoomSettings,
+  fallbackVoiceFor,
+  fallbackNotice,
+} = require('../lib/fallback-policy');
+
+test('each policy plays the chunk in its own way', () => {
+  assert.equal(fallbackVoiceFor('local', 'local-deep'), 'local-deep');
+  assert.equal(fallbackVoiceFor('passthrough', 'local-deep'), 'local-passthrough');
+  assert.equal(fallbackVoiceFor('silent', 'local-deep'), null);
+});
+
+test('FALLBACK_POLICY sets the default, "local" without it', (t) => {
+  t.after(() => { delete process.env.FALLBACK_POLICY; });
+  delete process.env.FALLBACK_POLICY;
+  assert.equal(defaultFallbackPolicy(), 'local');
+  process.env.FALLBACK_POLICY = 'silent';
+  assert.equal(defaultFallbackPolicy(), 'silent');
+});
+
+test('fallbackPolicyError accepts the known policies only', () => {
+  for (const policy of FALLBACK_POLICIES) assert.equal(fallbackPolicyError(policy), null, policy);
+  for (const policy of ['Local', 'mute', '', undefined]) {
+    assert.equal(fallbackPolicyError(policy), 'fallbackPolicy must be one of: local, passthrough, silent');
+  }
+});
+
+test('parseRoomSettings reads the room metadata, defaults for anything missing or malformed', (t) => {
+  t.after(() => { delete process.env.FALLBACK_POLICY; });
+  process.env.FALLBACK_POLICY = 'passthrough';
+  assert.deepEqual(parseRoomSettings(JSON.stringify({ fallbackPolicy: 'silent', floorPolicy: 'single', topic: 'x' })), {
+    fallbackPolicy: 'silent',
+    floorPolicy: 'single',
+  });
+  const defaults = parseRoomSettings(null);
+  assert.equal(defaults.fallbackPolicy, 'passthrough');
+  assert.deepEqual(parseRoomSettings('not json'), defaults);
+  assert.deepEqual(parseRoomSettings('null'), defaults);
+  assert.deepEqual(parseRoomSettings(JSON.stringify({ fallbackPolicy: 'mute', floorPolicy: 'max-0' })), defaults);
+});
+
+test('fallbackNotice describes the reason and what listeners hear now', () => {
+  assert.deepEqual(fallbackNotice({ reason: 'quota', policy: 'local' }), {
+    type: 'fallback',
+    state: 'active',
+    reason: 'quota',
+    policy: 'local',
+    message: 'conversion paused: quota - using the local fallback voice',
+  });
+  assert.deepEqual(fallbackNotice({ reason: 'budget', policy: 'silent', speaker: 'ana' }), {
+    type: 'fallback',
+    state: 'active',
+    reason: 'budget',
+    policy: 'silent',
+    speaker: 'ana',
+    message: 'ana: conversion paused: usage budget used up - muted until it is back',
+  });
+  assert.equal(fallbackNotice({ reason: 'teapot', policy: 'passthrough' }).message, 'conversion failed - playing the original voice');
+  assert.deepEqual(fallbackNotice({ reason: null, policy: 'local' }), {
+    type: 'fallback',
+    state: 'resumed',
+    reason: null,
+    policy: 'local',
+    message: 'conversion resumed',
+  });
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FloorControl = require('../lib/floor-control');
+const { floorPolicyError, floorLimit } = FloorControl;
+
+test('validates policies and derives their seat limit', () => {
+  for (const policy of ['free', 'single', 'max-1', 'max-99']) assert.equal(floorPolicyError(policy), null, policy);
+  for (const policy of ['max-0', 'max-100', 'max-', 'Single', '', null]) assert.ok(floorPolicyError(policy), String(policy));
+  assert.equal(floorLimit('free'), Infinity);
+  assert.equal(floorLimit('single'), 1);
+  assert.equal(floorLimit('max-3'), 3);
+  assert.throws(() => new FloorControl('max-0'), /floorPolicy must be/);
+});
+
+test('free lets everyone talk without holding the floor', () => {
+  const floor = new FloorControl('free');
+  assert.equal(floor.has('alice'), true);
+  assert.deepEqual(floor.request('alice'), { granted: true, queued: false, preempted: null });
+  assert.deepEqual(floor.state(), { type: 'floor', policy: 'free', limit: null, holders: [], queue: [] });
+});
+
+test('single seats one speaker and queues the rest in order', () => {
+  const floor = new FloorControl('single');
+  assert.equal(floor.request('alice').granted, true);
+  assert.deepEqual(floor.request('bob'), { granted: false, queued: true, preempted: null });
+  floor.request('carol');
+  floor.request('bob'); // asking again doesn't queue twice
+  assert.equal(floor.has('alice'), true);
+  assert.equal(floor.has('bob'), false);
+  assert.deepEqual(floor.state().queue, ['bob', 'carol']);
+
+  assert.equal(floor.release('alice'), true);
+  assert.deepEqual(floor.state().holders, ['bob']);
+  assert.deepEqual(floor.state().queue, ['carol']);
+
+  assert.equal(floor.forget('carol'), true, 'leaving the room leaves the queue');
+  assert.equal(floor.release('nobody'), false);
+});
+
+test('priority speakers queue ahead and take the longest-held regular seat', () => {
+  const floor = new FloorControl('max-2');
+  floor.request('alice');
+  floor.request('bob');
+  floor.request('carol');
+  assert.deepEqual(floor.request('admin1', { priority: true }), { granted: true, queued: false, preempted: 'alice' });
+  assert.deepEqual(floor.state().holders, ['bob', 'admin1']);
+  // The preempted speaker goes to the front of the regular queue
+  assert.deepEqual(floor.state().queue, ['alice', 'carol']);
+
+  assert.deepEqual(floor.request('admin2', { priority: true }).preempted, 'bob');
+  // Only priority holders left - the next priority speaker waits, ahead of regular ones
+  assert.deepEqual(floor.request('admin3', { priority: true }), { granted: false, queued: true, preempted: null });
+  assert.deepEqual(floor.state().queue, ['admin3', 'bob', 'alice', 'carol']);
+
+  floor.release('admin1');
+  assert.deepEqual(floor.state().holders, ['admin2', 'admin3']);
+});
+
+test('shrinking the limit unseats the newest regular holders, growing it seats the queue', () => {
+  const floor = new FloorControl('max-3');
+  floor.request('alice');
+  floor.request('admin', { priority: true });
+  floor.request('bob');
+  floor.request('carol');
+
+  assert.equal(floor.setPolicy('single'), true);
+  assert.deepEqual(floor.state().holders, ['admin']);
+  assert.deepEqual(floor.state().queue, ['alice', 'bob', 'carol']);
+  assert.equal(floor.setPolicy('single'), false);
+
+  floor.setPolicy('max-3');
+  assert.deepEqual(floor.state().holders, ['admin', 'alice', 'bob']);
+  assert.deepEqual(floor.state().queue, ['carol']);
+
+  floor.setPolicy('free');
+  assert.deepEqual(floor.state(), { type: 'floor', policy: 'free', limit: null, holders: [], queue: [] });
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ListenerRouting = require('../lib/listener-routing');
+
+test('routes default to converted and only store other modes', () => {
+  const routing = new ListenerRouting();
+  assert.equal(routing.get('bob', 'alice'), 'converted');
+  assert.equal(routing.set('bob', 'alice', 'converted'), false);
+  assert.equal(routing.set('bob', 'alice', 'original'), true);
+  assert.equal(routing.set('bob', 'alice', 'original'), false);
+  assert.deepEqual(routing.routesOf('bob'), { alice: 'original' });
+
+  routing.set('bob', 'alice', 'converted');
+  assert.deepEqual(routing.routesOf('bob'), {});
+  assert.equal(routing.prefs.size, 0);
+  assert.throws(() => routing.set('bob', 'alice', 'loud'), /Unknown route mode "loud"/);
+});
+
+test('forget drops a participant as listener and as speaker', () => {
+  const routing = new ListenerRouting();
+  routing.set('bob', 'alice', 'mute');
+  routing.set('alice', 'bob', 'original');
+  routing.set('carol', 'bob', 'mute');
+  routing.set('carol', 'alice', 'mute');
+  routing.forget('alice');
+  assert.deepEqual(routing.routesOf('alice'), {});
+  assert.deepEqual(routing.routesOf('carol'), { bob: 'mute' });
+  assert.equal(routing.prefs.has('bob'), false);
+});
+
+test('wantsConverted is true while any listener hears the speaker converted', () => {
+  const routing = new ListenerRouting();
+  routing.set('bob', 'alice', 'original');
+  routing.set('carol', 'alice', 'mute');
+  assert.equal(routing.wantsConverted('alice', ['bob', 'carol']), false);
+  assert.equal(routing.wantsConverted('alice', ['bob', 'carol', 'dave']), true);
+  assert.equal(routing.wantsConverted('alice', []), false);
+});
+
+const speakers = [
+  { identity: 'alice', originalSids: ['TR_a_mic'], convertedSid: 'TR_a_conv', translatedSids: { de: 'TR_a_de', fr: 'TR_a_fr' } },
+  { identity: 'bob', originalSids: ['TR_b_mic'], convertedSid: 'TR_b_conv' },
+];
+
+test('plan subscribes each route mode to the right track', () => {
+  const routing = new ListenerRouting();
+  routing.set('carol', 'alice', 'original');
+  routing.set('carol', 'bob', 'mute');
+  const { subscribe, unsubscribe } = routing.plan('carol', speakers);
+  assert.deepEqual(subscribe, ['TR_a_mic']);
+  assert.deepEqual(unsubscribe.sort(), ['TR_a_conv', 'TR_a_de', 'TR_a_fr', 'TR_b_conv', 'TR_b_mic']);
+});
+
+test('plan gives converted listeners their language track, falling back to the converted one', () => {
+  const routing = new ListenerRouting();
+  const german = routing.plan('carol', speakers, 'de');
+  assert.deepEqual(german.subscribe, ['TR_a_de', 'TR_b_conv']);
+  assert.deepEqual(german.unsubscribe.sort(), ['TR_a_conv', 'TR_a_fr', 'TR_a_mic', 'TR_b_mic']);
+
+  const spanish = routing.plan('carol', speakers, 'es');
+  assert.deepEqual(spanish.subscribe, ['TR_a_conv', 'TR_b_conv']);
+
+  // Inherited property names are not languages
+  assert.deepEqual(routing.plan('carol', speakers, 'constructor').subscribe, ['TR_a_conv', 'TR_b_conv']);
+});
+
+test('plan leaves the listener\'s own tracks alone', () => {
+  const routing = new ListenerRouting();
+  const { subscribe, unsubscribe } = routing.plan('alice', speakers, 'de');
+  assert.deepEqual(subscribe, ['TR_b_conv']);
+  assert.deepEqual(unsubscribe, ['TR_b_mic']);
+});
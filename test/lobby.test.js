@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Lobby, LobbyError, roomNameError, displayNameError } = require('../lib/lobby');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+// In-memory stand-in for LiveKit's RoomServiceClient: { roomName: [identities] }
+function fakeRoomService(occupancy = {}) {
+  const rooms = new Map(Object.entries(occupancy).map(([name, identities]) => [name, { name, identities, metadata: '' }]));
+  return {
+    calls: 0,
+    async listRooms(names) {
+      this.calls++;
+      return [...rooms.values()]
+        .filter(room => !names || names.includes(room.name))
+        .map(room => ({ name: room.name, numParticipants: room.identities.length, maxParticipants: 0, metadata: room.metadata, creationTime: 1700000000 }));
+    },
+    async listParticipants(name) {
+      return rooms.get(name).identities.map(identity => ({ identity }));
+    },
+    async createRoom({ name, metadata }) {
+      rooms.set(name, { name, identities: [], metadata: metadata || '' });
+    },
+    async updateRoomMetadata(name, metadata) {
+      rooms.get(name).metadata = metadata;
+    },
+    rooms,
+  };
+}
+
+const expectLobbyError = (status, pattern) => (error) => error instanceof LobbyError && error.status === status && pattern.test(error.message);
+
+test('roomNameError and displayNameError explain bad names', () => {
+  assert.equal(roomNameError('team-a.1'), null);
+  assert.equal(roomNameError(''), 'room name is required');
+  assert.match(roomNameError('a b'), /may only use letters/);
+  assert.match(roomNameError('x'.repeat(65)), /at most 64 characters/);
+
+  assert.equal(displayNameError('Ana'), null);
+  assert.equal(displayNameError(' Ana'), 'name may not start or end with spaces');
+  assert.equal(displayNameError('A\u0007na'), 'name may not contain control characters');
+});
+
+test('a display name can be claimed once, compared case-insensitively', async () => {
+  const lobby = new Lobby({ roomService: fakeRoomService() });
+  const { identity, claim } = await lobby.claimName('Ana');
+  assert.equal(identity, 'Ana');
+  assert.match(claim, /^[0-9a-f]{32}$/);
+
+  await assert.rejects(lobby.claimName('ana'), expectLobbyError(409, /The name "Ana" is already taken/));
+  await assert.rejects(lobby.claimName('ANA', 'wrong-claim'), expectLobbyError(409, /already taken/));
+  await assert.rejects(lobby.claimName(''), LobbyError);
+});
+
+test('presenting the claim again keeps the name and the claim', async () => {
+  const lobby = new Lobby({ roomService: fakeRoomService() });
+  const first = await lobby.claimName('Ana');
+  assert.deepEqual(await lobby.claimName('Ana', first.claim), first);
+});
+
+test('a released name is free again, but only its claim can release it', async () => {
+  const lobby = new Lobby({ roomService: fakeRoomService() });
+  const { claim } = await lobby.claimName('Ana');
+
+  assert.equal(lobby.releaseName('ana', 'wrong-claim'), false);
+  assert.equal(lobby.releaseName('ANA', claim), true);
+  assert.equal(lobby.releaseName('Ana', claim), false);
+
+  const again = await lobby.claimName('ana');
+  assert.equal(again.identity, 'ana');
+  assert.notEqual(again.claim, claim);
+});
+
+test('a claim that expired can be taken by someone else', async () => {
+  const lobby = new Lobby({ roomService: fakeRoomService(), claimTtlMs: -1 });
+  const first = await lobby.claimName('Ana');
+  const second = await lobby.claimName('ana');
+  assert.notEqual(second.claim, first.claim);
+});
+
+test('names of people already in a room are taken, audio workers are not counted', async () => {
+  const roomService = fakeRoomService({ standup: ['Bo', 'audio-worker-standup'] });
+  const lobby = new Lobby({ roomService });
+
+  await assert.rejects(lobby.claimName('bo'), expectLobbyError(409, /already taken in room "standup"/));
+  const rooms = await lobby.listRooms();
+  assert.equal(rooms.length, 1);
+  assert.equal(rooms[0].participants, 1);
+  assert.deepEqual(rooms[0].identities, ['Bo']);
+});
+
+test('names stay unique among claims when LiveKit is unreachable', async () => {
+  const lobby = new Lobby({ roomService: { listRooms: async () => { throw new Error('connection refused'); } } });
+  await lobby.claimName('Ana');
+  await assert.rejects(lobby.claimName('ana'), expectLobbyError(409, /already taken/));
+});
+
+test('the room list is cached until a webhook reports a change', async () => {
+  const roomService = fakeRoomService({ standup: ['Bo'] });
+  const lobby = new Lobby({ roomService, cacheMs: 60000 });
+
+  await lobby.listRooms();
+  await lobby.listRooms();
+  assert.equal(roomService.calls, 1);
+
+  lobby.handleRoomEvent({ event: 'track_published' });
+  await lobby.listRooms();
+  assert.equal(roomService.calls, 1);
+
+  lobby.handleRoomEvent({ event: 'participant_joined' });
+  await lobby.listRooms();
+  assert.equal(roomService.calls, 2);
+});
+
+test('allowed rooms are always listed and the only ones that may be created', async () => {
+  const lobby = new Lobby({ roomService: fakeRoomService(), allowedRooms: ['main'], maxParticipants: 8 });
+  const [room] = await lobby.listRooms();
+  assert.equal(room.name, 'main');
+  assert.equal(room.maxParticipants, 8);
+  assert.equal(room.createdAt, null);
+
+  await assert.rejects(lobby.createRoom('other'), expectLobbyError(403, /Room not allowed/));
+  const { created } = await lobby.createRoom('main');
+  assert.equal(created, true);
+  assert.equal((await lobby.createRoom('main')).created, false);
+});
+
+test('createRoom validates its options', async () => {
+  const lobby = new Lobby({ roomService: fakeRoomService() });
+  await assert.rejects(lobby.createRoom('bad name'), expectLobbyError(400, /may only use letters/));
+  await assert.rejects(lobby.createRoom('ok', { maxParticipants: -1 }), expectLobbyError(400, /non-negative integer/));
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const metrics = require('../lib/metrics');
+const { createControlApp } = require('../lib/control-api');
+
+const series = async (name) => (await metrics.register.getSingleMetric(name).get()).values;
+
+test('forgetSpeaker removes every series of a speaker who left', async () => {
+  const labels = { room: 'r1', speaker: 'alice', provider: 'local' };
+  metrics.chunks.inc({ room: 'r1', speaker: 'alice', result: 'converted' });
+  metrics.chunks.inc({ room: 'r1', speaker: 'alice', result: 'skipped' });
+  metrics.chunks.inc({ room: 'r1', speaker: 'bob', result: 'converted' });
+  metrics.conversionLatency.observe(labels, 0.4);
+  metrics.responseBytes.observe(labels, 20000);
+  metrics.framesPublished.inc({ room: 'r1', speaker: 'alice' }, 50);
+
+  metrics.forgetSpeaker('r1', 'alice', 'local');
+
+  assert.deepEqual((await series('voice_worker_chunks_total')).filter(v => v.labels.room === 'r1').map(v => v.labels.speaker), ['bob']);
+  for (const name of ['voice_worker_s2s_first_frame_seconds', 'voice_worker_s2s_response_bytes', 'voice_worker_frames_published_total']) {
+    assert.ok((await series(name)).every(v => v.labels.speaker !== 'alice'), name);
+  }
+});
+
+test('the control API serves metrics with live stream gauges', async (t) => {
+  const workers = new Map([['r2', { activeS2S: new Set(['alice', 'bob']) }]]);
+  const app = createControlApp({ getWorkers: () => workers, getStatus: () => ({}), token: null });
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  t.after(() => server.close());
+  metrics.chunks.inc({ room: 'r2', speaker: 'alice', result: 'converted' }, 3);
+
+  const res = await fetch(`http://127.0.0.1:${server.address().port}/metrics`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/plain/);
+  const text = await res.text();
+  assert.match(text, /voice_worker_active_streams\{room="r2"\} 2/);
+  assert.match(text, /voice_worker_chunks_total\{room="r2",speaker="alice",result="converted"\} 3/);
+  assert.match(text, /voice_worker_process_cpu_seconds_total/);
+});
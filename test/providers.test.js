@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createVoiceProvider, ConversionError, ElevenLabsProvider, LocalProvider } = require('../lib/providers');
+const { responseError, retryAfterMs, timeoutError } = require('../lib/providers/errors');
+
+const speech = () => Int16Array.from({ length: 4800 }, (_, i) => Math.round(8000 * Math.sin(i / 10)));
+
+test('createVoiceProvider builds the named provider', () => {
+  assert.ok(createVoiceProvider('local') instanceof LocalProvider);
+  assert.throws(() => createVoiceProvider('acme'), /Unknown VOICE_PROVIDER "acme" \(expected one of: elevenlabs, local\)/);
+  assert.throws(() => createVoiceProvider('elevenlabs', { apiKey: '' }), /ELEVENLABS_API_KEY is required/);
+});
+
+test('ElevenLabsProvider checks its upload and output formats', () => {
+  assert.equal(new ElevenLabsProvider({ apiKey: 'k', uploadFormat: 'pcm', uploadRate: 16000, outputRate: 24000 }).outputRate, 24000);
+  assert.equal(new ElevenLabsProvider({ apiKey: 'k', uploadFormat: 'wav', uploadRate: 22050 }).uploadRate, 22050);
+  assert.throws(() => new ElevenLabsProvider({ apiKey: 'k', uploadFormat: 'mp3' }), /Unknown S2S_UPLOAD_FORMAT "mp3"/);
+  assert.throws(() => new ElevenLabsProvider({ apiKey: 'k', outputRate: 32000 }), /S2S_OUTPUT_RATE must be one of/);
+  assert.throws(() => new ElevenLabsProvider({ apiKey: 'k', uploadFormat: 'pcm', uploadRate: 22050 }), /must be 16000 with S2S_UPLOAD_FORMAT=pcm/);
+});
+
+test('buildMultipart writes fields, skips empty ones and appends the file', () => {
+  const body = ElevenLabsProvider.buildMultipart('XX', { model_id: 'm1', voice_settings: undefined }, {
+    name: 'audio', filename: 'a.wav', contentType: 'audio/wav', data: Buffer.from('RIFF'),
+  }).toString();
+  assert.equal(body, [
+    '--XX', 'Content-Disposition: form-data; name="model_id"', '', 'm1',
+    '--XX', 'Content-Disposition: form-data; name="audio"; filename="a.wav"', 'Content-Type: audio/wav', '', 'RIFF',
+    '--XX--', '',
+  ].join('\r\n'));
+});
+
+test('LocalProvider passthrough returns the input and streams it in odd-sized pieces', async () => {
+  const provider = new LocalProvider({ effect: 'passthrough' });
+  const input = speech();
+  assert.deepEqual(await provider.convert(input, 'local-passthrough', { sampleRate: 48000 }), input);
+
+  const pieces = [];
+  for await (const piece of provider.convertStream(input, 'local-passthrough', { sampleRate: 48000 })) pieces.push(piece);
+  assert.ok(pieces.length > 1);
+  assert.ok(pieces[0].length % 2 === 1, 'pieces split samples');
+  const joined = Buffer.concat(pieces);
+  assert.deepEqual(new Int16Array(joined.buffer, joined.byteOffset, joined.length / 2), input);
+});
+
+test('LocalProvider voices keep the chunk length, unknown ids get the default effect', async () => {
+  const provider = new LocalProvider({ effect: 'robot' });
+  assert.ok(provider.listVoices().every(voice => voice.category === 'local' && voice.voice_id.startsWith('local-')));
+  for (const { voice_id } of provider.listVoices()) {
+    assert.equal((await provider.convert(speech(), voice_id, { sampleRate: 48000 })).length, 4800, voice_id);
+  }
+  assert.notDeepEqual(await provider.convert(speech(), 'pNInz6obpgDQGcFmaJgB', { sampleRate: 48000 }), speech());
+  assert.throws(() => new LocalProvider({ effect: 'chorus' }), /Unknown LOCAL_VOICE_EFFECT "chorus"/);
+});
+
+// Just enough of a fetch Response for responseError()
+const response = (status, body, retryAfter) => ({
+  status,
+  headers: new Map(retryAfter === undefined ? [] : [['retry-after', retryAfter]]),
+  text: async () => body,
+});
+
+test('responseError tells quota, rate limits and other failures apart per provider', async () => {
+  const cases = [
+    ['ElevenLabs', 401, '{"detail":{"status":"quota_exceeded"}}', 'quota', 'ElevenLabs quota exhausted'],
+    ['ElevenLabs', 429, 'too_many_concurrent_requests', 'rate_limit', 'Rate limited by ElevenLabs'],
+    ['ElevenLabs', 401, 'invalid_api_key', 'error', 'ElevenLabs S2S error 401'],
+    ['OpenAI', 429, '{"error":{"code":"insufficient_quota"}}', 'quota', 'OpenAI quota exhausted'],
+    ['OpenAI', 429, 'slow down', 'rate_limit', 'Rate limited by OpenAI'],
+    ['DeepL', 456, '', 'quota', 'DeepL quota exhausted'],
+    ['DeepL', 500, 'oops', 'error', 'DeepL S2S error 500'],
+  ];
+  for (const [provider, status, body, kind, message] of cases) {
+    const error = await responseError(response(status, body), provider, 'S2S');
+    assert.ok(error instanceof ConversionError);
+    assert.deepEqual([error.kind, error.message, error.status, error.body], [kind, message, status, body]);
+  }
+});
+
+test('Retry-After is read as seconds or an HTTP date', async () => {
+  assert.equal((await responseError(response(429, '', '2.5'), 'OpenAI', 'STT')).retryAfterMs, 2500);
+  assert.equal(retryAfterMs(response(429, '', 'Wed, 21 Oct 2015 07:28:10 GMT'), Date.parse('Wed, 21 Oct 2015 07:28:00 GMT')), 10000);
+  assert.equal(retryAfterMs(response(429, '', 'soon')), null);
+  assert.equal(retryAfterMs(response(429, '')), null);
+});
+
+test('timeoutError turns timeouts into kind "timeout" and leaves other errors alone', () => {
+  const timedOut = timeoutError(new DOMException('The operation was aborted due to timeout', 'TimeoutError'), 'ElevenLabs', 'S2S');
+  assert.ok(timedOut instanceof ConversionError);
+  assert.equal(timedOut.kind, 'timeout');
+  assert.equal(timedOut.message, 'ElevenLabs S2S request timed out');
+  assert.equal(timeoutError(Object.assign(new Error('connect'), { code: 'ETIMEDOUT' }), 'OpenAI', 'STT').kind, 'timeout');
+
+  const other = new Error('ECONNRESET');
+  assert.equal(timeoutError(other, 'OpenAI', 'STT'), other);
+});
+
+test('ConversionError defaults to kind "error"', () => {
+  const error = new ConversionError('nope');
+  assert.deepEqual([error.name, error.kind, error.status, error.body, error.retryAfterMs], ['ConversionError', 'error', null, '', null]);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { reconnectCeiling, reconnectDelay } = require('../lib/reconnect');
+
+const LIMITS = { baseMs: 1000, maxMs: 30000 };
+
+test('the ceiling doubles with every attempt up to maxMs', () => {
+  const schedule = [1, 2, 3, 4, 5, 6, 7, 20].map(attempt => reconnectCeiling(attempt, LIMITS));
+  assert.deepEqual(schedule, [1000, 2000, 4000, 8000, 16000, 30000, 30000, 30000]);
+  assert.equal(reconnectCeiling(0, LIMITS), 1000);
+});
+
+test('the delay is drawn uniformly between 0 and the ceiling', () => {
+  assert.equal(reconnectDelay(3, LIMITS, () => 0), 0);
+  assert.equal(reconnectDelay(3, LIMITS, () => 0.5), 2000);
+  assert.equal(reconnectDelay(3, LIMITS, () => 0.99999), 4000);
+  assert.equal(reconnectDelay(10, LIMITS, () => 0.25), 7500);
+});
+
+test('real delays stay within the ceiling', () => {
+  for (let attempt = 1; attempt <= 8; attempt++) {
+    for (let i = 0; i < 50; i++) {
+      const delay = reconnectDelay(attempt, LIMITS);
+      assert.ok(Number.isInteger(delay) && delay >= 0 && delay <= reconnectCeiling(attempt, LIMITS), `attempt ${attempt}: ${delay}`);
+    }
+  }
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SessionRecorder, WavWriter, listSessions, readManifest, recordingFilePath } = require('../lib/recorder');
+
+const RATE = 48000;
+
+// The recorder announces every session on stdout, which the test runner reads too
+test.mock.method(console, 'log', () => {});
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const samples = (count, value = 1000) => new Int16Array(count).fill(value);
+
+test('WavWriter pads gaps with silence and patches the header on close', async (t) => {
+  const file = path.join(tempDir(t), 'a.wav');
+  const writer = new WavWriter(file, RATE);
+  writer.write(samples(480), 0);
+  writer.write(samples(480), 50);   // within the gap tolerance - appended as is
+  writer.write(samples(480), 1000); // a second later - silence up to 1 s first
+  await writer.close();
+  writer.write(samples(480), 2000); // ignored after close
+
+  const wav = fs.readFileSync(file);
+  const dataBytes = (RATE + 480) * 2;
+  assert.equal(wav.length, 44 + dataBytes);
+  assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+  assert.equal(wav.readUInt32LE(4), 36 + dataBytes);
+  assert.equal(wav.readUInt32LE(24), RATE);
+  assert.equal(wav.readUInt32LE(40), dataBytes);
+
+  const pcm = new Int16Array(wav.buffer, wav.byteOffset + 44, dataBytes / 2);
+  assert.equal(pcm[959], 1000);
+  assert.equal(pcm[960], 0, 'silence after the first two writes');
+  assert.equal(pcm[RATE - 1], 0);
+  assert.equal(pcm[RATE], 1000, 'third write lands at 1 s');
+});
+
+test('records a session, lists it and reads it back', async (t) => {
+  const dir = tempDir(t);
+  const recorder = new SessionRecorder({ roomName: 'standup', dir, sampleRate: RATE });
+  recorder.writeInput('alice', samples(960));
+  recorder.writeOutput('alice', samples(960));
+  const chunk = recorder.startChunk('alice', 0, { samples: 4800, voiceId: 'v1' });
+  assert.equal(recorder.getChunk('alice', 0), chunk);
+  recorder.markChunk(chunk, 'sent');
+  recorder.finishChunk(chunk, 'converted', { outputMs: 100 });
+  assert.equal(recorder.getChunk('alice', 0), null);
+  recorder.startChunk('alice', 1, { samples: 4800, voiceId: 'v1' });
+  await recorder.close();
+
+  const [session] = await listSessions(dir);
+  assert.equal(session.sessionId, recorder.sessionId);
+  assert.equal(session.roomName, 'standup');
+  assert.deepEqual(session.speakers, ['alice']);
+  assert.equal(session.chunks, 2);
+
+  const manifest = await readManifest(recorder.sessionId, dir);
+  assert.ok(manifest.endedAt);
+  assert.deepEqual(manifest.speakers.alice.voices.map(v => v.voiceId), ['v1']);
+  assert.equal(manifest.chunks[0].durationMs, 100);
+  assert.deepEqual(manifest.chunks.map(c => c.result), ['converted', 'dropped']);
+  assert.ok(fs.statSync(path.join(dir, recorder.sessionId, 'alice.input.wav')).size > 44);
+});
+
+test('a long room name still gives a session that can be listed and downloaded', async (t) => {
+  const dir = tempDir(t);
+  const roomName = 'quarterly-planning-for-the-whole-engineering-org';
+  const recorder = new SessionRecorder({ roomName, dir, sampleRate: RATE });
+  recorder.writeInput('alice', samples(960));
+  await recorder.close();
+
+  assert.ok(recorder.sessionId.length <= 64, `${recorder.sessionId.length} characters`);
+  assert.ok(recorder.sessionId.startsWith('quarterly-planning'));
+  assert.equal((await listSessions(dir)).length, 1);
+  assert.equal((await readManifest(recorder.sessionId, dir)).roomName, roomName);
+  assert.ok(await recordingFilePath(recorder.sessionId, 'alice.input.wav', dir));
+});
+
+test('identities that sanitize to the same name get their own files', async (t) => {
+  const dir = tempDir(t);
+  const recorder = new SessionRecorder({ roomName: 'room', dir, sampleRate: RATE });
+  for (const speaker of ['a.b', 'a_b', 'a b']) recorder.writeInput(speaker, samples(960));
+  await recorder.close();
+
+  const { speakers } = await readManifest(recorder.sessionId, dir);
+  assert.deepEqual(Object.values(speakers).map(s => s.input), ['a_b.input.wav', 'a_b-2.input.wav', 'a_b-3.input.wav']);
+  assert.equal(fs.readdirSync(path.join(dir, recorder.sessionId)).filter(f => f.endsWith('.input.wav')).length, 3);
+});
+
+test('recordingFilePath only serves the files a session lists', async (t) => {
+  const dir = tempDir(t);
+  const recorder = new SessionRecorder({ roomName: 'room', dir, sampleRate: RATE });
+  recorder.writeInput('alice', samples(960));
+  await recorder.close();
+  const id = recorder.sessionId;
+
+  assert.equal(await recordingFilePath(id, 'alice.input.wav', dir), path.join(dir, id, 'alice.input.wav'));
+  assert.equal(await recordingFilePath(id, 'manifest.json', dir), path.join(dir, id, 'manifest.json'));
+  assert.equal(await recordingFilePath(id, 'bob.input.wav', dir), null);
+  assert.equal(await recordingFilePath(id, '../../etc/passwd', dir), null);
+  assert.equal(await recordingFilePath('../room', 'manifest.json', dir), null);
+  assert.equal(await readManifest('..', dir), null);
+  assert.equal(await readManifest('missing', dir), null);
+  assert.deepEqual(await listSessions(path.join(dir, 'nothing-here')), []);
+});
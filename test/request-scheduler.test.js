@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RequestScheduler } = require('../lib/request-scheduler');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('holds requests beyond the concurrency limit until a slot is released', async () => {
+  const scheduler = new RequestScheduler({ name: 'test', concurrency: 2 });
+  const first = await scheduler.acquire();
+  const second = await scheduler.acquire();
+  let third = null;
+  const waiting = scheduler.acquire().then(release => { third = release; });
+
+  await sleep(5);
+  assert.equal(third, null);
+  assert.equal(scheduler.state().queued, 1);
+
+  first();
+  first(); // releasing twice doesn't free a second slot
+  await waiting;
+  assert.equal(typeof third, 'function');
+  assert.equal(scheduler.inFlight, 2);
+  second();
+  third();
+  assert.equal(scheduler.inFlight, 0);
+});
+
+test('grants slots in arrival order', async () => {
+  const scheduler = new RequestScheduler({ name: 'test', concurrency: 1 });
+  const release = await scheduler.acquire();
+  const order = [];
+  const waiting = [1, 2, 3].map(n => scheduler.acquire().then(r => { order.push(n); r(); }));
+  release();
+  await Promise.all(waiting);
+  assert.deepEqual(order, [1, 2, 3]);
+});
+
+test('drops a request that is still waiting at its deadline', async () => {
+  const scheduler = new RequestScheduler({ name: 'test', concurrency: 1 });
+  const release = await scheduler.acquire();
+  const started = Date.now();
+  assert.equal(await scheduler.acquire({ deadline: Date.now() + 20 }), null);
+  assert.ok(Date.now() - started >= 15);
+  assert.equal(await scheduler.acquire({ deadline: Date.now() - 1 }), null);
+  assert.equal(scheduler.counts.dropped, 2);
+  release();
+});
+
+test('a 429 holds new requests back until its Retry-After', async () => {
+  const scheduler = new RequestScheduler({ name: 'test' });
+  assert.equal(scheduler.noteRateLimit(40), 40);
+  assert.equal(scheduler.limited(), 'rate_limit');
+
+  // Can't be sent before its deadline - dropped straight away instead of after waiting
+  let dropped = false;
+  scheduler.acquire({ deadline: Date.now() + 10 }).then(release => { dropped = release === null; });
+  await null;
+  assert.equal(dropped, true);
+
+  const started = Date.now();
+  const release = await scheduler.acquire({ deadline: Date.now() + 1000 });
+  assert.ok(Date.now() - started >= 30, 'granted during the hold');
+  assert.equal(scheduler.limited(), null);
+  release();
+});
+
+test('backoff doubles per hold window, not per 429 of the same burst', () => {
+  const scheduler = new RequestScheduler({ name: 'test', backoffBaseMs: 1000, backoffMaxMs: 3000 });
+  assert.equal(scheduler.noteRateLimit(), 1000);
+  assert.equal(scheduler.noteRateLimit(), 1000);
+  assert.equal(scheduler.noteRateLimit(), 1000);
+  assert.equal(scheduler.counts.rateLimited, 3);
+
+  scheduler.pausedUntil = 0; // the hold window is over
+  assert.equal(scheduler.noteRateLimit(), 2000);
+  scheduler.pausedUntil = 0;
+  assert.equal(scheduler.noteRateLimit(), 3000, 'capped at backoffMaxMs');
+
+  scheduler.noteSuccess();
+  scheduler.pausedUntil = 0;
+  assert.equal(scheduler.noteRateLimit(), 1000, 'a success resets the backoff');
+});
+
+test('quota exhaustion marks the provider unavailable until a success', () => {
+  const scheduler = new RequestScheduler({ name: 'test', quotaRetryMs: 60000 });
+  assert.equal(scheduler.noteSuccess(), false);
+  assert.equal(scheduler.noteQuotaExhausted(), 60000);
+  assert.equal(scheduler.limited(), 'quota');
+  assert.ok(scheduler.state().quotaExhaustedUntil);
+  assert.equal(scheduler.noteQuotaExhausted(5000), 5000);
+  assert.equal(scheduler.noteSuccess(), true);
+  assert.equal(scheduler.limited(), null);
+  assert.equal(scheduler.state().quotaExhaustedUntil, null);
+});
+
+test('the token bucket spaces requests out past the burst', async () => {
+  // 3000 a minute = one every 20 ms
+  const scheduler = new RequestScheduler({ name: 'test', concurrency: 5, requestsPerMinute: 3000, burst: 2 });
+  const started = Date.now();
+  const releases = [];
+  for (let i = 0; i < 4; i++) releases.push(await scheduler.acquire());
+  const elapsed = Date.now() - started;
+  assert.ok(elapsed >= 35, `4 requests in ${elapsed} ms`);
+  assert.equal(scheduler.state().requestsPerMinute, 3000);
+  releases.forEach(release => release());
+});
+
+test('state reports the counters for the control API', async () => {
+  const scheduler = new RequestScheduler({ name: 'elevenlabs', concurrency: 2 });
+  const release = await scheduler.acquire();
+  assert.deepEqual(scheduler.state(), {
+    name: 'elevenlabs',
+    concurrency: 2,
+    requestsPerMinute: null,
+    inFlight: 1,
+    queued: 0,
+    tokens: null,
+    rateLimitedUntil: null,
+    quotaExhaustedUntil: null,
+    granted: 1,
+    dropped: 0,
+    rateLimited: 0,
+    quotaExhausted: 0,
+  });
+  release();
+});
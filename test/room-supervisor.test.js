@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RoomSupervisor = require('../lib/room-supervisor');
+
+// Every start and stop is logged
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+class FakeWorker {
+  constructor(roomName, { failConnect = false } = {}) {
+    this.roomName = roomName;
+    this.failConnect = failConnect;
+    this.humans = ['alice'];
+    this.reconnecting = false;
+    this.reconnectFailed = false;
+    this.connects = 0;
+    this.cleanedUp = false;
+  }
+
+  async connectToRoom() {
+    this.connects++;
+    await new Promise(resolve => setImmediate(resolve));
+    if (this.failConnect) throw new Error('no route to LiveKit');
+  }
+
+  async cleanup() { this.cleanedUp = true; }
+  getHumanParticipants() { return this.humans; }
+  getRoomStatus() { return { reconnecting: this.reconnecting, participants: this.humans.length }; }
+}
+
+function supervisor({ rooms = [], failConnect = false, ...options } = {}) {
+  const created = [];
+  const roomService = { listRooms: async () => rooms };
+  const s = new RoomSupervisor({
+    roomService,
+    createWorker: (roomName) => {
+      const worker = new FakeWorker(roomName, { failConnect });
+      created.push(worker);
+      return worker;
+    },
+    emptyGraceMs: 1000,
+    ...options,
+  });
+  return { s, created, rooms };
+}
+
+test('a human joining starts one worker for the room, even when events race', async () => {
+  const { s, created } = supervisor();
+  await Promise.all([
+    s.handleRoomEvent({ event: 'participant_joined', room: { name: 'a' }, participant: { identity: 'alice' } }),
+    s.handleRoomEvent({ event: 'participant_joined', room: { name: 'a' }, participant: { identity: 'bob' } }),
+  ]);
+  assert.equal(created.length, 1);
+  assert.deepEqual(s.getStatus().map(room => room.roomName), ['a']);
+
+  await s.handleRoomEvent({ event: 'participant_joined', room: { name: 'b' }, participant: { identity: 'audio-worker-a' } });
+  assert.equal(created.length, 1, 'workers joining don\'t start workers');
+
+  await s.handleRoomEvent({ event: 'room_finished', room: { name: 'a' } });
+  assert.equal(created[0].cleanedUp, true);
+  assert.equal(s.workers.size, 0);
+});
+
+test('roomFilter limits the rooms that get a worker', async () => {
+  const { s, created } = supervisor({ roomFilter: (name) => name.startsWith('team-') });
+  await s.handleRoomEvent({ event: 'participant_joined', room: { name: 'random' }, participant: { identity: 'alice' } });
+  await s.handleRoomEvent({ event: 'participant_joined', room: { name: 'team-1' }, participant: { identity: 'alice' } });
+  assert.deepEqual(created.map(w => w.roomName), ['team-1']);
+});
+
+test('a worker that fails to connect is cleaned up and not kept', async () => {
+  const { s, created } = supervisor({ failConnect: true });
+  assert.equal(await s.startRoom('a'), null);
+  assert.equal(created[0].cleanedUp, true);
+  assert.equal(s.workers.size, 0);
+});
+
+test('reconcile starts occupied rooms and stops closed ones', async () => {
+  const { s, created, rooms } = supervisor({ rooms: [{ name: 'a', numParticipants: 2 }, { name: 'b', numParticipants: 0 }] });
+  await s.reconcile();
+  assert.deepEqual(created.map(w => w.roomName), ['a']);
+
+  rooms.length = 0;
+  await s.reconcile();
+  assert.equal(created[0].cleanedUp, true);
+  assert.equal(s.workers.size, 0);
+});
+
+test('an empty room keeps its worker for the grace period', async () => {
+  const { s, created } = supervisor({ rooms: [{ name: 'a', numParticipants: 1 }], emptyGraceMs: 40 });
+  await s.reconcile();
+  const [worker] = created;
+
+  worker.humans = [];
+  await s.handleRoomEvent({ event: 'participant_left', room: { name: 'a' }, participant: { identity: 'alice' } });
+  assert.ok(s.getStatus()[0].emptySince);
+  await s.reconcile();
+  assert.equal(worker.cleanedUp, false, 'still within the grace period');
+
+  // Someone came back in time
+  worker.humans = ['alice'];
+  await s.reconcile();
+  assert.equal(s.getStatus()[0].emptySince, null);
+
+  worker.humans = [];
+  await s.reconcile();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await s.reconcile();
+  assert.equal(worker.cleanedUp, true);
+});
+
+test('stopAll stops every worker and later starts are refused', async () => {
+  const { s, created } = supervisor();
+  await s.startRoom('a');
+  await s.startRoom('b');
+  await s.stopAll();
+  assert.ok(created.every(worker => worker.cleanedUp));
+  assert.equal(await s.startRoom('c'), null);
+});
+
+test('a reconnecting worker is not marked empty while it can\'t see anyone', async () => {
+  const { s, created } = supervisor({ rooms: [{ name: 'a', numParticipants: 1 }] });
+  await s.reconcile();
+  const [worker] = created;
+
+  worker.reconnecting = true;
+  worker.humans = [];
+  await s.handleRoomEvent({ event: 'participant_left', room: { name: 'a' }, participant: { identity: 'alice' } });
+  await s.reconcile();
+  assert.equal(s.getStatus()[0].emptySince, null);
+  assert.equal(worker.cleanedUp, false);
+});
+
+test('a worker that gave up reconnecting is replaced on a later poll', async () => {
+  const { s, created } = supervisor({ rooms: [{ name: 'a', numParticipants: 1 }] });
+  await s.reconcile();
+  const [first] = created;
+
+  first.reconnectFailed = true;
+  await s.reconcile();
+  assert.equal(first.cleanedUp, true);
+  assert.equal(s.workers.size, 0);
+
+  await s.reconcile();
+  assert.equal(created.length, 2);
+  assert.equal(s.workers.get('a').worker, created[1]);
+});
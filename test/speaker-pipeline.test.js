@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SpeakerPipeline = require('../lib/speaker-pipeline');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A conversion that can be finished from the test: frames are the chunk's values
+function controlledConvert() {
+  const calls = [];
+  const convert = (pcm, onFrame, seq) => new Promise(resolve => {
+    calls.push({ seq, finish: () => { for (const v of pcm) onFrame(v); resolve(); } });
+  });
+  return { calls, convert };
+}
+
+function pipeline(options) {
+  const played = [];
+  const p = new SpeakerPipeline({
+    speaker: 'alice',
+    frameMs: 2,
+    jitterMs: 0,
+    publishFrame: async (frame) => { played.push(frame); return true; },
+    ...options,
+  });
+  return { p, played };
+}
+
+test('plays chunks in capture order when conversions finish out of order', async (t) => {
+  const { calls, convert } = controlledConvert();
+  const { p, played } = pipeline({ convert, maxParallel: 3 });
+  t.after(() => p.stop());
+
+  assert.equal(p.nextSeq, 0);
+  assert.equal(p.enqueue([1, 2]), 0);
+  assert.equal(p.enqueue([3]), 1);
+  assert.equal(p.enqueue([4, 5]), 2);
+  assert.equal(p.nextSeq, 3);
+  assert.equal(p.inFlightCount, 3);
+
+  calls[2].finish();
+  calls[1].finish();
+  await sleep(20);
+  assert.deepEqual(played, [], 'later chunks wait for the first one');
+  calls[0].finish();
+  await p.close();
+  assert.deepEqual(played, [1, 2, 3, 4, 5]);
+});
+
+test('runs at most maxParallel conversions at once', async (t) => {
+  const { calls, convert } = controlledConvert();
+  const { p } = pipeline({ convert, maxParallel: 2 });
+  t.after(() => p.stop());
+
+  for (let i = 0; i < 4; i++) p.enqueue([i]);
+  assert.equal(calls.length, 2);
+  assert.equal(p.pendingCount, 2);
+  calls[0].finish();
+  await sleep(0);
+  assert.equal(calls.length, 3);
+  assert.equal(calls[2].seq, 2);
+});
+
+test('a full queue drops its oldest unstarted chunk and reports it', async (t) => {
+  const { calls, convert } = controlledConvert();
+  const dropped = [];
+  const { p, played } = pipeline({ convert, maxParallel: 1, maxPending: 2, onDrop: (seq) => dropped.push(seq) });
+  t.after(() => p.stop());
+
+  for (let i = 0; i < 5; i++) p.enqueue([i]);
+  assert.deepEqual(dropped, [1, 2]);
+  assert.equal(p.pendingCount, 2);
+
+  calls[0].finish();
+  await sleep(0);
+  calls[1].finish();
+  await sleep(0);
+  calls[2].finish();
+  await p.close();
+  assert.deepEqual(calls.map(c => c.seq), [0, 3, 4]);
+  assert.deepEqual(played, [0, 3, 4]);
+});
+
+test('a failed conversion is skipped and playback goes on', async (t) => {
+  const { p, played } = pipeline({
+    convert: async (pcm, onFrame, seq) => {
+      if (seq === 1) throw new Error('boom');
+      for (const v of pcm) onFrame(v);
+    },
+  });
+  t.after(() => p.stop());
+  p.enqueue([1]);
+  p.enqueue([2]);
+  p.enqueue([3]);
+  await p.close();
+  assert.deepEqual(played, [1, 3]);
+});
+
+test('publishFrame returning false drops the rest of that chunk', async (t) => {
+  const played = [];
+  const p = new SpeakerPipeline({
+    speaker: 'alice',
+    frameMs: 2,
+    jitterMs: 0,
+    convert: async (pcm, onFrame) => { for (const v of pcm) onFrame(v); },
+    publishFrame: async (frame) => { played.push(frame); return frame !== 'a2'; },
+  });
+  t.after(() => p.stop());
+  p.enqueue(['a1', 'a2', 'a3']);
+  p.enqueue(['b1']);
+  await p.close();
+  assert.deepEqual(played, ['a1', 'a2', 'b1']);
+});
+
+test('passes seq and capture time to convert', async (t) => {
+  const seen = [];
+  const { p } = pipeline({ convert: async (pcm, onFrame, seq, queuedAt) => { seen.push({ seq, queuedAt }); } });
+  t.after(() => p.stop());
+  const before = Date.now();
+  p.enqueue([1]);
+  assert.equal(seen[0].seq, 0);
+  assert.ok(seen[0].queuedAt >= before && seen[0].queuedAt <= Date.now());
+});
+
+test('stop discards everything and later chunks are refused', async () => {
+  const { calls, convert } = controlledConvert();
+  const { p, played } = pipeline({ convert });
+  p.enqueue([1]);
+  p.stop();
+  calls[0].finish();
+  await sleep(10);
+  assert.deepEqual(played, []);
+  assert.equal(p.enqueue([2]), -1);
+  assert.equal(p.bufferedMs, 0);
+});
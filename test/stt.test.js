@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createSttProvider, getSttProviderName, OpenAiStt, ElevenLabsStt } = require('../lib/stt');
+const { ConversionError } = require('../lib/providers');
+
+// Stand-in for an OpenAI-compatible server: `handle(req, body, res)` answers each request
+async function stubServer(t, handle) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const parts = [];
+    req.on('data', part => parts.push(part));
+    req.on('end', () => {
+      const body = Buffer.concat(parts);
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handle(req, body, res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return { requests, baseUrl: `http://127.0.0.1:${server.address().port}/v1/` };
+}
+
+const json = (res, status, data, headers = {}) => {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+};
+
+const utterance = () => new Int16Array(4800).fill(1000);
+
+test('STT is off unless STT_PROVIDER names a provider', (t) => {
+  t.after(() => { delete process.env.STT_PROVIDER; });
+  delete process.env.STT_PROVIDER;
+  assert.equal(getSttProviderName(), null);
+  assert.equal(createSttProvider(), null);
+  process.env.STT_PROVIDER = 'None';
+  assert.equal(getSttProviderName(), null);
+  process.env.STT_PROVIDER = 'OpenAI';
+  assert.equal(getSttProviderName(), 'openai');
+
+  assert.throws(() => createSttProvider('acme'), /Unknown STT_PROVIDER "acme" \(expected one of: off, elevenlabs, openai\)/);
+  assert.throws(() => new OpenAiStt({ apiKey: '' }), /OPENAI_API_KEY is required/);
+  assert.throws(() => new ElevenLabsStt({ apiKey: '' }), /ELEVENLABS_API_KEY is required/);
+  assert.ok(createSttProvider('elevenlabs', { apiKey: 'k' }) instanceof ElevenLabsStt);
+});
+
+test('OpenAI STT uploads 16 kHz WAV and normalizes the reported language', async (t) => {
+  const { requests, baseUrl } = await stubServer(t, (req, body, res) => json(res, 200, { text: ' Hello there ', language: 'english' }));
+  const stt = new OpenAiStt({ apiKey: 'sk-test', baseUrl, model: 'whisper-1' });
+
+  assert.deepEqual(await stt.transcribe(utterance(), { sampleRate: 48000, language: 'en' }), { text: 'Hello there', language: 'en' });
+
+  const [request] = requests;
+  assert.equal(request.url, '/v1/audio/transcriptions');
+  assert.equal(request.headers.authorization, 'Bearer sk-test');
+  const body = request.body.toString('latin1');
+  assert.match(body, /name="model"\r\n\r\nwhisper-1\r\n/);
+  assert.match(body, /name="language"\r\n\r\nen\r\n/);
+  assert.match(body, /filename="utterance.wav"\r\nContent-Type: audio\/wav\r\n\r\nRIFF/);
+  // 100 ms at 16 kHz
+  const wav = request.body.subarray(request.body.indexOf('RIFF'));
+  assert.equal(wav.readUInt32LE(24), 16000);
+  assert.equal(wav.readUInt32LE(40), 1600 * 2);
+});
+
+test('OpenAI STT keeps the hint when the reported language can\'t be mapped', async (t) => {
+  const { baseUrl } = await stubServer(t, (req, body, res) => json(res, 200, { text: 'hm', language: 'klingon' }));
+  const stt = new OpenAiStt({ apiKey: 'k', baseUrl });
+  assert.equal((await stt.transcribe(utterance(), { language: 'de' })).language, 'de');
+  assert.equal((await stt.transcribe(utterance())).language, null);
+});
+
+test('OpenAI STT failures come back as ConversionError', async (t) => {
+  const { baseUrl } = await stubServer(t, (req, body, res) => json(res, 429, { error: { code: 'rate_limit_exceeded' } }, { 'retry-after': '3' }));
+  const stt = new OpenAiStt({ apiKey: 'k', baseUrl });
+  await assert.rejects(stt.transcribe(utterance()), (error) => error instanceof ConversionError && error.kind === 'rate_limit' && error.retryAfterMs === 3000);
+});
+
+test('an STT request that takes too long fails as kind "timeout"', async (t) => {
+  const { baseUrl } = await stubServer(t, () => {}); // never answers
+  const stt = new OpenAiStt({ apiKey: 'k', baseUrl, timeoutMs: 50 });
+  await assert.rejects(stt.transcribe(utterance()), (error) => error instanceof ConversionError && error.kind === 'timeout');
+});
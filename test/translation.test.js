@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createTranslator, getTranslatorName, OpenAiTranslator, DeepLTranslator } = require('../lib/translation');
+const { ConversionError } = require('../lib/providers');
+
+// Stand-in for the translation API: `handle(req, body, res)` answers each request
+async function stubServer(t, handle) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const parts = [];
+    req.on('data', part => parts.push(part));
+    req.on('end', () => {
+      const body = Buffer.concat(parts).toString();
+      requests.push({ url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      handle(req, body, res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return { requests, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+const json = (res, status, data) => {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+test('translation is off unless TRANSLATE_PROVIDER names a provider', (t) => {
+  t.after(() => { delete process.env.TRANSLATE_PROVIDER; });
+  delete process.env.TRANSLATE_PROVIDER;
+  assert.equal(getTranslatorName(), null);
+  assert.equal(createTranslator(), null);
+  process.env.TRANSLATE_PROVIDER = 'DeepL';
+  assert.equal(getTranslatorName(), 'deepl');
+
+  assert.throws(() => createTranslator('babel'), /Unknown TRANSLATE_PROVIDER "babel" \(expected one of: off, openai, deepl\)/);
+  assert.throws(() => new OpenAiTranslator({ apiKey: '' }), /OPENAI_API_KEY is required/);
+  assert.throws(() => new DeepLTranslator({ apiKey: '' }), /DEEPL_API_KEY is required/);
+});
+
+test('DeepL free-plan keys use the api-free host', () => {
+  assert.equal(createTranslator('deepl', { apiKey: 'abc:fx' }).baseUrl, 'https://api-free.deepl.com/v2');
+  assert.equal(createTranslator('deepl', { apiKey: 'abc' }).baseUrl, 'https://api.deepl.com/v2');
+});
+
+test('OpenAI translator sends the sentence and returns the trimmed reply', async (t) => {
+  const { requests, baseUrl } = await stubServer(t, (req, body, res) => json(res, 200, {
+    choices: [{ message: { content: ' Hallo zusammen \n' } }],
+  }));
+  const translator = new OpenAiTranslator({ apiKey: 'sk-test', baseUrl: `${baseUrl}/v1/`, model: 'tiny' });
+
+  assert.equal(await translator.translate('Hello everyone', { from: 'en', to: 'de' }), 'Hallo zusammen');
+
+  const [request] = requests;
+  assert.equal(request.url, '/v1/chat/completions');
+  assert.equal(request.headers.authorization, 'Bearer sk-test');
+  assert.equal(request.body.model, 'tiny');
+  assert.match(request.body.messages[0].content, /from en into the language with code "de"/);
+  assert.deepEqual(request.body.messages[1], { role: 'user', content: 'Hello everyone' });
+
+  await translator.translate('Hello', { from: null, to: 'fr' });
+  assert.match(requests[1].body.messages[0].content, /sentence into the language with code "fr"/);
+});
+
+test('DeepL translator sends base source languages and maps 456 to a quota error', async (t) => {
+  let status = 200;
+  const { requests, baseUrl } = await stubServer(t, (req, body, res) => json(res, status, { translations: [{ text: 'Olá' }] }));
+  const translator = new DeepLTranslator({ apiKey: 'key:fx' });
+  translator.baseUrl = baseUrl;
+
+  assert.equal(await translator.translate('Hi', { from: 'en-US', to: 'pt-br' }), 'Olá');
+  assert.equal(requests[0].headers.authorization, 'DeepL-Auth-Key key:fx');
+  assert.deepEqual(requests[0].body, { text: ['Hi'], target_lang: 'PT-BR', source_lang: 'EN' });
+
+  status = 456;
+  await assert.rejects(translator.translate('Hi', { from: null, to: 'de' }), (error) => error instanceof ConversionError && error.kind === 'quota');
+});
+
+test('a translation that takes too long fails as kind "timeout"', async (t) => {
+  const { baseUrl } = await stubServer(t, () => {}); // never answers
+  const translator = new OpenAiTranslator({ apiKey: 'k', baseUrl, timeoutMs: 50 });
+  await assert.rejects(translator.translate('Hello', { from: 'en', to: 'de' }), (error) => error instanceof ConversionError && error.kind === 'timeout');
+});
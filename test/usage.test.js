@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UsageMeter, UsageLedger, usagePeriods, usageReportError } = require('../lib/usage');
+
+const rates = { perMinute: 1000, perCharacter: 1 };
+const noBudgets = { user: { daily: 0, monthly: 0 }, room: { daily: 0, monthly: 0 } };
+const june = new Date('2024-06-15T12:00:00Z');
+
+test('usagePeriods uses UTC days and months', () => {
+  assert.deepEqual(usagePeriods(new Date('2024-06-30T23:59:59Z')), { day: '2024-06-30', month: '2024-06' });
+});
+
+test('UsageMeter hands out its counts once and takes failed reports back', () => {
+  const meter = new UsageMeter();
+  meter.add('alice', { seconds: 1.2346 });
+  meter.add('alice', { seconds: 1, characters: 10 });
+  meter.add('bob', { characters: 5 });
+
+  const entries = meter.take();
+  assert.deepEqual(entries, [
+    { user: 'alice', seconds: 2.235, characters: 10 },
+    { user: 'bob', seconds: 0, characters: 5 },
+  ]);
+  assert.deepEqual(meter.take(), []);
+
+  meter.restore(entries);
+  meter.add('bob', { characters: 1 });
+  assert.deepEqual(meter.take().find(e => e.user === 'bob'), { user: 'bob', seconds: 0, characters: 6 });
+});
+
+test('UsageMeter applies the server\'s budget answer', () => {
+  const meter = new UsageMeter();
+  assert.deepEqual(meter.applyStatus({ blockedUsers: ['alice'] }), ['alice']);
+  assert.equal(meter.blocked('alice'), true);
+  assert.equal(meter.blocked('bob'), false);
+  assert.deepEqual(meter.applyStatus({ blockedUsers: ['bob'] }).sort(), ['alice', 'bob']);
+  assert.deepEqual(meter.applyStatus({ blockedUsers: ['bob'], roomBlocked: true }), []);
+  assert.equal(meter.blocked('alice'), true, 'the room budget blocks everyone');
+});
+
+test('UsageLedger prices and totals reports per user and room', async () => {
+  const ledger = new UsageLedger({ rates, budgets: noBudgets });
+  assert.equal(ledger.credits({ seconds: 30, characters: 20 }), 520);
+
+  await ledger.record('lobby', [{ user: 'alice', seconds: 60 }, { user: 'bob', characters: 100 }], june);
+  await ledger.record('lobby', [{ user: 'alice', seconds: 30 }], new Date('2024-06-16T08:00:00Z'));
+
+  const alice = ledger.usage('user', 'alice', june);
+  assert.deepEqual(alice.day, { period: '2024-06-15', seconds: 60, characters: 0, credits: 1000, budget: null, remaining: null });
+  assert.equal(alice.month.credits, 1500);
+  assert.equal(alice.overBudget, false);
+  assert.equal(ledger.usage('room', 'lobby', june).month.credits, 1600);
+  assert.equal(ledger.usage('user', 'nobody', june).month.credits, 0);
+  assert.throws(() => ledger.usage('team', 'x', june), /Unknown usage kind "team"/);
+
+  const summary = ledger.summary(june);
+  assert.deepEqual(summary.users.map(u => u.user), ['alice', 'bob']);
+  assert.deepEqual(summary.rooms.map(r => r.room), ['lobby']);
+});
+
+test('UsageLedger reports users and rooms over their daily or monthly budget', async () => {
+  const budgets = { user: { daily: 1000, monthly: 0 }, room: { daily: 0, monthly: 5000 } };
+  const ledger = new UsageLedger({ rates, budgets });
+  await ledger.record('lobby', [{ user: 'alice', seconds: 45 }], june);
+  assert.equal(ledger.usage('user', 'alice', june).day.remaining, 250);
+  assert.equal(ledger.overBudget('user', 'alice', june), false);
+
+  await ledger.record('lobby', [{ user: 'alice', seconds: 15 }, { user: 'bob', characters: 4000 }], june);
+  assert.equal(ledger.overBudget('user', 'alice', june), true);
+  assert.equal(ledger.overBudget('user', 'alice', new Date('2024-06-16T00:00:00Z')), false, 'a new day starts over');
+  assert.equal(ledger.overBudget('room', 'lobby', june), true);
+});
+
+test('UsageLedger keeps only the current and previous month', async () => {
+  const ledger = new UsageLedger({ rates, budgets: noBudgets });
+  await ledger.record('lobby', [{ user: 'alice', seconds: 60 }], new Date('2024-04-30T12:00:00Z'));
+  await ledger.record('lobby', [{ user: 'bob', seconds: 60 }], new Date('2024-05-01T12:00:00Z'));
+  await ledger.record('lobby', [{ user: 'bob', seconds: 60 }], june);
+  assert.equal(ledger.totals.user.has('alice'), false);
+  assert.deepEqual(Object.keys(ledger.totals.user.get('bob')).sort(), ['2024-05', '2024-05-01', '2024-06', '2024-06-15']);
+});
+
+test('UsageLedger saves to its file and loads it back', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'nested', 'usage.json');
+
+  const ledger = new UsageLedger({ filePath, rates, budgets: noBudgets });
+  await ledger.record('lobby', [{ user: 'alice', seconds: 6 }], june);
+  assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+
+  const reloaded = new UsageLedger({ filePath, rates, budgets: noBudgets });
+  assert.equal(reloaded.usage('user', 'alice', june).month.credits, 100);
+  assert.equal(reloaded.usage('room', 'lobby', june).day.seconds, 6);
+});
+
+test('usageReportError checks a worker report', () => {
+  assert.equal(usageReportError({ room: 'lobby', entries: [] }), null);
+  assert.equal(usageReportError({ room: 'lobby', users: ['alice'], entries: [{ user: 'alice', seconds: 1.5, characters: 0 }] }), null);
+  assert.equal(usageReportError({ entries: [] }), 'room is required');
+  assert.equal(usageReportError({ room: 'lobby', users: 'alice', entries: [] }), 'users must be an array of identities');
+  assert.equal(usageReportError({ room: 'lobby' }), 'entries must be an array');
+  for (const entry of [null, { seconds: 1 }, { user: 'alice', seconds: -1 }, { user: 'alice', characters: Infinity }]) {
+    assert.equal(usageReportError({ room: 'lobby', entries: [entry] }), 'each entry needs a user and non-negative seconds / characters');
+  }
+});
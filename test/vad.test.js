@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { VoiceActivityDetector, UtteranceSegmenter, frameFeatures } = require('../lib/vad');
+
+const RATE = 48000;
+const FRAME = 960; // 20 ms
+
+// 20 ms frame of a sine at the given level (dBFS of its RMS)
+function tone(db, hz = 200) {
+  const amp = Math.pow(10, db / 20) * Math.SQRT2 * 32767;
+  const out = new Int16Array(FRAME);
+  for (let i = 0; i < FRAME; i++) out[i] = Math.round(amp * Math.sin((2 * Math.PI * hz * i) / RATE));
+  return out;
+}
+
+const silence = () => new Int16Array(FRAME);
+
+test('frameFeatures measures level and zero crossings', () => {
+  assert.deepEqual(frameFeatures(new Int16Array(0)), { db: -120, zcr: 0 });
+  const { db, zcr } = frameFeatures(tone(-20));
+  assert.ok(Math.abs(db + 20) < 0.1, `level ${db}`);
+  // 200 Hz crosses zero 400 times a second, 8 times in 20 ms
+  assert.ok(Math.abs(zcr * FRAME - 8) <= 1, `zcr ${zcr}`);
+});
+
+test('speech starts after onsetFrames loud frames', () => {
+  const vad = new VoiceActivityDetector({ sampleRate: RATE });
+  for (let i = 0; i < 10; i++) assert.equal(vad.isSpeech(silence()).speech, false);
+  assert.equal(vad.isSpeech(tone(-20)).speech, false);
+  assert.equal(vad.isSpeech(tone(-20)).speech, true);
+  assert.equal(vad.isSpeech(silence()).speech, false);
+});
+
+test('frames below silenceDb are never speech', () => {
+  const vad = new VoiceActivityDetector({ sampleRate: RATE });
+  for (let i = 0; i < 20; i++) assert.equal(vad.isSpeech(tone(-60)).speech, false);
+});
+
+test('noise floor rises under steady background noise', () => {
+  const vad = new VoiceActivityDetector({ sampleRate: RATE });
+  let speechFrames = 0;
+  // 10 s of a steady hum well above silenceDb
+  for (let i = 0; i < 500; i++) if (vad.isSpeech(tone(-40)).speech) speechFrames++;
+  assert.ok(vad.noiseFloorDb > -45, `floor stayed at ${vad.noiseFloorDb}`);
+  const tail = [];
+  for (let i = 0; i < 50; i++) tail.push(vad.isSpeech(tone(-40)).speech);
+  assert.ok(tail.every(speech => !speech), 'hum still detected as speech');
+  assert.ok(speechFrames < 500);
+
+  // Speech clearly above the hum is still detected
+  vad.isSpeech(tone(-15));
+  assert.equal(vad.isSpeech(tone(-15)).speech, true);
+});
+
+test('speech with pauses keeps the floor down', () => {
+  const vad = new VoiceActivityDetector({ sampleRate: RATE });
+  for (let i = 0; i < 300; i++) vad.isSpeech(i % 10 < 8 ? tone(-20) : silence());
+  assert.ok(vad.noiseFloorDb < -50, `floor rose to ${vad.noiseFloorDb}`);
+});
+
+function segmenter(opts = {}) {
+  return new UtteranceSegmenter({
+    sampleRate: RATE,
+    minUtterMs: 100,
+    silenceHangMs: 200,
+    maxUtterMs: 2000,
+    detector: new VoiceActivityDetector({ sampleRate: RATE }),
+    ...opts,
+  });
+}
+
+function feed(seg, frames) {
+  const out = [];
+  for (const frame of frames) out.push(...seg.push(frame));
+  return out;
+}
+
+test('segmenter emits an utterance after a pause, with pre-roll', () => {
+  const seg = segmenter();
+  const frames = [
+    ...Array.from({ length: 20 }, silence),
+    ...Array.from({ length: 25 }, () => tone(-20)),  // 500 ms of speech
+    ...Array.from({ length: 10 }, silence),           // 200 ms hang
+  ];
+  const out = feed(seg, frames);
+  assert.equal(out.length, 1);
+  // 500 ms speech + 200 ms hang + 140 ms pre-roll, which already holds the first speech frame
+  assert.equal((out[0].length / RATE) * 1000, 820);
+  assert.equal(seg.active, false);
+  assert.equal(seg.flush(), null);
+});
+
+test('segmenter drops utterances shorter than minUtterMs', () => {
+  const seg = segmenter();
+  const out = feed(seg, [
+    ...Array.from({ length: 10 }, silence),
+    ...Array.from({ length: 3 }, () => tone(-20)),
+    ...Array.from({ length: 10 }, silence),
+  ]);
+  assert.deepEqual(out, []);
+});
+
+test('segmenter cuts long utterances at maxUtterMs', () => {
+  const seg = segmenter({ maxUtterMs: 1000 });
+  const out = feed(seg, Array.from({ length: 150 }, (_, i) => tone(i % 17 === 0 ? -30 : -20)));
+  assert.ok(out.length >= 2, `${out.length} utterances`);
+  for (const utterance of out) assert.ok(utterance.length <= RATE, 'longer than maxUtterMs');
+  assert.ok(seg.flush() !== null, 'speech left at end of stream is flushed');
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { VoiceCatalog, CatalogError, filterVoices, filterOptions } = require('../lib/voice-catalog');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const VOICES = [
+  { voice_id: 'v1', name: 'Rachel', category: 'premade', labels: { gender: 'female', accent: 'American', language: 'en' } },
+  { voice_id: 'v2', name: 'Hugo', category: 'cloned', labels: { gender: 'male', accent: 'parisian' }, verified_languages: [{ language: 'fr-FR' }, { language: 'en-GB' }] },
+  { voice_id: 'v3', name: 'Ines', category: 'Premade', labels: { gender: 'female', language: 'pt-BR' } },
+];
+
+const ids = (voices) => voices.map(voice => voice.voice_id);
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-catalog-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('filterVoices matches every filter, case-insensitively and by base language', () => {
+  assert.deepEqual(ids(filterVoices(VOICES)), ['v1', 'v2', 'v3']);
+  assert.deepEqual(ids(filterVoices(VOICES, { category: 'PREMADE' })), ['v1', 'v3']);
+  assert.deepEqual(ids(filterVoices(VOICES, { gender: 'female', accent: 'american' })), ['v1']);
+  assert.deepEqual(ids(filterVoices(VOICES, { language: 'en-US' })), ['v1', 'v2']);
+  assert.deepEqual(ids(filterVoices(VOICES, { language: 'fr, pt' })), ['v2', 'v3']);
+  assert.deepEqual(ids(filterVoices(VOICES, { accent: 'british' })), []);
+  assert.deepEqual(ids(filterVoices(VOICES, { gender: '', speed: 'fast' })), ['v1', 'v2', 'v3'], 'empty and unknown filters are ignored');
+});
+
+test('filterOptions lists the values present for each filter', () => {
+  assert.deepEqual(filterOptions(VOICES), {
+    category: ['cloned', 'premade'],
+    gender: ['female', 'male'],
+    accent: ['american', 'parisian'],
+    language: ['en', 'fr', 'pt'],
+  });
+  assert.deepEqual(filterOptions([]), { category: [], gender: [], accent: [], language: [] });
+});
+
+test('list() fetches once per ttl and shares a refresh in flight', async (t) => {
+  let calls = 0;
+  const catalog = new VoiceCatalog({ fetchVoices: async () => { calls++; return VOICES; }, dir: tempDir(t), ttlMs: 60000 });
+
+  const [first, second] = await Promise.all([catalog.list(), catalog.list()]);
+  assert.equal(calls, 1);
+  assert.equal(first.voices, second.voices);
+  assert.equal(first.stale, false);
+  assert.equal(first.error, null);
+
+  await catalog.list();
+  assert.equal(calls, 1);
+  await catalog.list({ refresh: true });
+  assert.equal(calls, 2);
+  catalog.invalidate();
+  await catalog.list();
+  assert.equal(calls, 3);
+});
+
+test('a failed refresh serves the last good copy as stale and backs off', async (t) => {
+  let calls = 0;
+  let failing = false;
+  const fetchVoices = async () => {
+    calls++;
+    if (failing) throw new Error('ElevenLabs API error: 503');
+    return VOICES;
+  };
+  const catalog = new VoiceCatalog({ fetchVoices, dir: tempDir(t), ttlMs: 0, retryMs: 60000 });
+
+  await catalog.list();
+  failing = true;
+  const stale = await catalog.list();
+  assert.equal(calls, 2);
+  assert.deepEqual(stale.voices, VOICES);
+  assert.equal(stale.stale, true);
+  assert.equal(stale.error, 'ElevenLabs API error: 503');
+
+  // Backing off: no new request until retryMs has passed
+  await catalog.list();
+  assert.equal(calls, 2);
+
+  catalog.retryMs = 0;
+  failing = false;
+  const recovered = await catalog.list();
+  assert.equal(calls, 3);
+  assert.equal(recovered.stale, false);
+});
+
+test('without any good copy a failure is thrown as CatalogError', async (t) => {
+  const catalog = new VoiceCatalog({ fetchVoices: async () => { throw new Error('offline'); }, dir: tempDir(t) });
+  await assert.rejects(catalog.list(), (error) => error instanceof CatalogError && error.status === 502 && error.message === 'offline');
+
+  const auth = new CatalogError('ElevenLabs API key not configured', { status: 500 });
+  const unconfigured = new VoiceCatalog({ fetchVoices: async () => { throw auth; }, dir: tempDir(t) });
+  await assert.rejects(unconfigured.list(), (error) => error === auth);
+});
+
+test('the last good copy survives a restart, but only for the same source', async (t) => {
+  const dir = tempDir(t);
+  await new VoiceCatalog({ fetchVoices: async () => VOICES, dir }).list();
+
+  const offline = async () => { throw new Error('offline'); };
+  const restarted = await new VoiceCatalog({ fetchVoices: offline, dir, ttlMs: 0 }).list();
+  assert.deepEqual(restarted.voices, VOICES);
+  assert.equal(restarted.stale, true);
+
+  await assert.rejects(new VoiceCatalog({ fetchVoices: offline, dir, source: 'local' }).list(), CatalogError);
+});
+
+test('preview clips are downloaded once and served from the cache directory', async (t) => {
+  let downloads = 0;
+  const server = http.createServer((req, res) => {
+    downloads++;
+    res.end(Buffer.from('ID3-preview'));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const previewUrl = `http://127.0.0.1:${server.address().port}/rachel.mp3`;
+
+  const voices = [{ ...VOICES[0], preview_url: previewUrl }, VOICES[1]];
+  const dir = tempDir(t);
+  const catalog = new VoiceCatalog({ fetchVoices: async () => voices, dir });
+
+  const [file, same] = await Promise.all([catalog.previewFile('v1'), catalog.previewFile('v1')]);
+  assert.equal(file, same);
+  assert.equal(path.dirname(file), path.join(dir, 'previews'));
+  assert.equal(fs.readFileSync(file, 'utf8'), 'ID3-preview');
+  await catalog.previewFile('v1');
+  assert.equal(downloads, 1);
+
+  assert.equal(await catalog.previewFile('v2'), null, 'voice without a preview');
+  assert.equal(await catalog.previewFile('nope'), null, 'unknown voice');
+  assert.equal(await catalog.previewFile('../v1'), null, 'invalid id');
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CloneError, cloneLimits, validateSamples, validateCloneName } = require('../lib/voice-cloning');
+const { parseWav, pcm16ToWav } = require('../lib/audio');
+const { MemoryVoiceStore } = require('../lib/voice-store');
+
+const LIMITS = { maxSamples: 3, minTotalSeconds: 2, maxSampleSeconds: 5, maxPerUser: 3 };
+
+// Silent 8 kHz mono WAV of the given length, base64 like the browser uploads it
+const wav = (seconds) => pcm16ToWav(Buffer.alloc(Math.round(seconds * 8000) * 2), 8000);
+const sample = (seconds) => wav(seconds).toString('base64');
+
+test('parseWav reads the format of a PCM WAV', () => {
+  assert.deepEqual(parseWav(wav(1.5)), {
+    sampleRate: 8000,
+    channels: 1,
+    bitsPerSample: 16,
+    dataOffset: 44,
+    dataBytes: 24000,
+    durationMs: 1500,
+  });
+});
+
+test('parseWav skips extra chunks and takes a streamed data size as what is there', () => {
+  const plain = wav(1);
+  const list = Buffer.alloc(8 + 5);
+  list.write('LIST', 0);
+  list.writeUInt32LE(5, 4);
+  // odd-sized chunks are padded to a word
+  const withList = Buffer.concat([plain.subarray(0, 36), list, Buffer.alloc(1), plain.subarray(36)]);
+  assert.equal(parseWav(withList).dataOffset, 44 + 14);
+  assert.equal(parseWav(withList).durationMs, 1000);
+
+  const streamed = Buffer.from(plain);
+  streamed.writeUInt32LE(0xffffffff, 40);
+  assert.equal(parseWav(streamed).durationMs, 1000);
+});
+
+test('parseWav rejects anything that is not a PCM WAV', () => {
+  assert.equal(parseWav(Buffer.from('not a wav file at all, just some text that is long enough')), null);
+  assert.equal(parseWav('RIFF'), null);
+  assert.equal(parseWav(wav(1).subarray(0, 40)), null);
+
+  const float = Buffer.from(wav(1));
+  float.writeUInt16LE(3, 20); // IEEE float
+  assert.equal(parseWav(float), null);
+});
+
+test('validateSamples accepts enough WAV audio and adds up its length', () => {
+  const { files, seconds } = validateSamples([sample(1.25), sample(1)], LIMITS);
+  assert.equal(seconds, 2.3);
+  assert.deepEqual(files.map(file => [file.name, file.filename, file.contentType]), [
+    ['files', 'sample-1.wav', 'audio/wav'],
+    ['files', 'sample-2.wav', 'audio/wav'],
+  ]);
+  assert.ok(Buffer.isBuffer(files[0].data));
+  assert.equal(parseWav(files[0].data).durationMs, 1250);
+});
+
+test('validateSamples reports every bad sample', () => {
+  assert.throws(() => validateSamples([], LIMITS), /non-empty array/);
+  assert.throws(() => validateSamples('abc', LIMITS), /non-empty array/);
+  assert.throws(() => validateSamples([sample(1), sample(1), sample(1), sample(1)], LIMITS), /At most 3 samples per voice/);
+
+  assert.throws(() => validateSamples([42, Buffer.from('nope').toString('base64'), sample(6)], LIMITS), (error) => {
+    assert.ok(error instanceof CloneError);
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.details, [
+      'sample 1 is not a PCM WAV file',
+      'sample 2 is not a PCM WAV file',
+      'sample 3 is longer than 5s',
+    ]);
+    return true;
+  });
+
+  assert.throws(() => validateSamples([sample(0.5), sample(1)], LIMITS), (error) => {
+    assert.deepEqual(error.details, ['samples add up to 1.5s, record at least 2s in total']);
+    return true;
+  });
+});
+
+test('cloneLimits reads the environment', (t) => {
+  t.after(() => { delete process.env.CLONE_MAX_SAMPLES; });
+  process.env.CLONE_MAX_SAMPLES = '8';
+  assert.deepEqual(cloneLimits(), { maxSamples: 8, minTotalSeconds: 20, maxSampleSeconds: 120, maxPerUser: 3 });
+});
+
+test('validateCloneName wants a short, non-blank name', () => {
+  assert.equal(validateCloneName(' My voice '), null);
+  assert.equal(validateCloneName('   '), 'name is required');
+  assert.equal(validateCloneName(undefined), 'name is required');
+  assert.equal(validateCloneName('x'.repeat(51)), 'name must be at most 50 characters');
+});
+
+test('cloned voices belong to the user who recorded them', async () => {
+  const store = new MemoryVoiceStore();
+  assert.equal(await store.cloneOwner('c1'), null);
+
+  const profile = await store.addClonedVoice('alice', { voiceId: 'c1', name: 'Me', samples: 2, seconds: 24.5 });
+  await store.addClonedVoice('alice', { voiceId: 'c2', name: 'Me, whispering', samples: 1, seconds: 20 });
+  assert.equal(profile.voiceId, null);
+  assert.deepEqual(profile.clonedVoices.map(clone => clone.voiceId), ['c1', 'c2']);
+  assert.ok(profile.clonedVoices[0].createdAt);
+
+  assert.equal(await store.cloneOwner('c2'), 'alice');
+  assert.equal(await store.cloneOwner('premade'), null);
+});
+
+test('removing a clone drops the selections that used it', async () => {
+  const store = new MemoryVoiceStore();
+  await store.addClonedVoice('alice', { voiceId: 'c1', name: 'Me' });
+  await store.update('alice', { voiceId: 'c1' });
+  await store.update('alice', { voiceId: 'c1', roomName: 'standup' });
+  await store.update('alice', { voiceId: 'premade', roomName: 'retro' });
+
+  const profile = await store.removeClonedVoice('alice', 'c1');
+  assert.deepEqual(profile.clonedVoices, []);
+  assert.equal(profile.voiceId, null);
+  assert.equal(profile.roomOverrides.standup.voiceId, undefined);
+  assert.equal(profile.roomOverrides.retro.voiceId, 'premade');
+  assert.equal(await store.cloneOwner('c1'), null);
+
+  assert.equal(await store.removeClonedVoice('alice', 'c1'), profile, 'unknown clones leave the profile alone');
+  assert.equal(await store.removeClonedVoice('bob', 'c1'), null);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateVoiceSettings,
+  validatePipelineOptions,
+  baseLanguage,
+  normalizeLanguage,
+  mergeVoiceSettings,
+} = require('../lib/voice-settings');
+
+test('validateVoiceSettings keeps known, valid fields only', () => {
+  const { settings, errors } = validateVoiceSettings({
+    model_id: ' eleven_english_sts_v2 ',
+    voice_settings: { stability: '0.4', similarity_boost: 1, use_speaker_boost: true, loudness: 11 },
+    remove_background_noise: false,
+    optimize_streaming_latency: 2,
+    speed: 3,
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(settings, {
+    model_id: 'eleven_english_sts_v2',
+    voice_settings: { stability: 0.4, similarity_boost: 1, use_speaker_boost: true },
+    remove_background_noise: false,
+    optimize_streaming_latency: 2,
+  });
+  assert.deepEqual(validateVoiceSettings(), { settings: {}, errors: [] });
+});
+
+test('validateVoiceSettings explains every invalid field', () => {
+  const { settings, errors } = validateVoiceSettings({
+    model_id: '',
+    voice_settings: { stability: 2, style: 'loud', use_speaker_boost: 'yes' },
+    remove_background_noise: 'no',
+    optimize_streaming_latency: 1.5,
+  });
+  assert.deepEqual(errors, [
+    'model_id must be a non-empty string',
+    'voice_settings.stability must be a number between 0 and 1',
+    'voice_settings.style must be a number between 0 and 1',
+    'voice_settings.use_speaker_boost must be a boolean',
+    'remove_background_noise must be a boolean',
+    'optimize_streaming_latency must be an integer between 0 and 4',
+  ]);
+  assert.deepEqual(settings, { voice_settings: {} });
+  assert.deepEqual(validateVoiceSettings({ voice_settings: [] }).errors, ['voice_settings must be an object']);
+});
+
+test('mergeVoiceSettings layers a patch over the base, voice_settings field by field', () => {
+  const base = { model_id: 'a', voice_settings: { stability: 0.2, style: 0.1 } };
+  assert.deepEqual(mergeVoiceSettings(base, { voice_settings: { style: 0.9 }, optimize_streaming_latency: 3 }), {
+    model_id: 'a',
+    voice_settings: { stability: 0.2, style: 0.9 },
+    optimize_streaming_latency: 3,
+  });
+  assert.deepEqual(mergeVoiceSettings(undefined, { model_id: 'b' }), { model_id: 'b' });
+  assert.deepEqual(base.voice_settings, { stability: 0.2, style: 0.1 }, 'base is not modified');
+});
+
+test('validatePipelineOptions accepts the known modes and language tags', () => {
+  assert.deepEqual(validatePipelineOptions({ mode: 'translate', language: 'pt-BR' }), {
+    options: { mode: 'translate', language: 'pt-BR' },
+    errors: [],
+  });
+  assert.deepEqual(validatePipelineOptions(), { options: {}, errors: [] });
+  assert.deepEqual(validatePipelineOptions({ mode: 'echo', language: 'Portuguese' }), {
+    options: {},
+    errors: [
+      'mode must be one of: convert, translate',
+      'language must be a language code such as "en" or "pt-BR"',
+    ],
+  });
+});
+
+test('baseLanguage and normalizeLanguage reduce tags and names to base codes', () => {
+  assert.equal(baseLanguage('pt-BR'), 'pt');
+  assert.equal(baseLanguage(null), null);
+
+  assert.equal(normalizeLanguage('pt-BR'), 'pt');
+  assert.equal(normalizeLanguage('eng'), 'en');
+  assert.equal(normalizeLanguage('English'), 'en');
+  assert.equal(normalizeLanguage(' german '), 'de');
+  assert.equal(normalizeLanguage('klingon'), null);
+  assert.equal(normalizeLanguage(''), null);
+  assert.equal(normalizeLanguage(42), null);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryVoiceStore, FileVoiceStore, resolveVoice, createVoiceStore, DEFAULT_VOICE_ID } = require('../lib/voice-store');
+
+// The file store announces what it loaded
+test.mock.method(console, 'log', () => {});
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'data', 'voice-profiles.json');
+}
+
+test('update creates a profile and merges later changes into it', async () => {
+  const store = new MemoryVoiceStore();
+  assert.equal(await store.get('alice'), null);
+
+  await store.update('alice', { voiceId: 'v1', voiceSettings: { voice_settings: { stability: 0.3 } } });
+  const profile = await store.update('alice', { voiceSettings: { voice_settings: { style: 0.5 } }, mode: 'translate', language: 'de' });
+  assert.equal(profile.voiceId, 'v1');
+  assert.deepEqual(profile.voiceSettings, { voice_settings: { stability: 0.3, style: 0.5 } });
+  assert.equal(profile.mode, 'translate');
+  assert.equal(profile.language, 'de');
+  assert.deepEqual((await store.list()).map(p => p.userId), ['alice']);
+});
+
+test('room overrides apply in their room only and can be cleared', async () => {
+  const store = new MemoryVoiceStore();
+  await store.update('alice', { voiceId: 'v1' });
+  const profile = await store.update('alice', { voiceId: 'v2', language: 'fr', roomName: 'paris' });
+  assert.equal(profile.voiceId, 'v1');
+  assert.equal(resolveVoice(profile, 'paris').voiceId, 'v2');
+  assert.equal(resolveVoice(profile, 'paris').language, 'fr');
+  assert.equal(resolveVoice(profile, 'berlin').voiceId, 'v1');
+
+  await store.clearRoomOverride('alice', 'paris');
+  assert.equal(resolveVoice(await store.get('alice'), 'paris').voiceId, 'v1');
+  assert.equal(await store.clearRoomOverride('nobody', 'paris'), null);
+});
+
+test('a room called __proto__ stays an ordinary override', async () => {
+  const store = new MemoryVoiceStore();
+  const profile = await store.update('alice', { voiceId: 'evil', roomName: '__proto__' });
+  assert.equal({}.voiceId, undefined, 'Object.prototype untouched');
+  assert.equal(resolveVoice(profile, '__proto__').voiceId, 'evil');
+  assert.equal(resolveVoice(profile, 'constructor').voiceId, DEFAULT_VOICE_ID);
+  await store.clearRoomOverride('alice', '__proto__');
+  assert.deepEqual(Object.keys((await store.get('alice')).roomOverrides), []);
+});
+
+test('resolveVoice falls back to the defaults', () => {
+  assert.deepEqual(resolveVoice(null, 'room'), {
+    voiceId: DEFAULT_VOICE_ID,
+    voiceSettings: {},
+    mode: 'convert',
+    language: null,
+    isDefault: true,
+  });
+});
+
+test('the file store survives a restart', async (t) => {
+  const file = tempFile(t);
+  const store = new FileVoiceStore(file);
+  await store.update('alice', { voiceId: 'v1' });
+  await store.update('alice', { voiceId: 'v2', roomName: '__proto__' });
+  assert.equal(fs.existsSync(`${file}.tmp`), false);
+
+  const reloaded = new FileVoiceStore(file);
+  const profile = await reloaded.get('alice');
+  assert.equal(profile.voiceId, 'v1');
+  assert.equal(Object.getPrototypeOf(profile.roomOverrides), null);
+  assert.equal(resolveVoice(profile, '__proto__').voiceId, 'v2');
+});
+
+test('createVoiceStore picks the store from VOICE_STORE', () => {
+  assert.ok(createVoiceStore('memory') instanceof MemoryVoiceStore);
+  assert.throws(() => createVoiceStore('redis'), /Unknown VOICE_STORE "redis"/);
+});
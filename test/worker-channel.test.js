@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { WorkerChannelServer, WorkerChannelClient, WORKER_CHANNEL_PATH } = require('../lib/worker-channel');
+
+// Both sides log every connection and refusal
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+async function listen(t, options, port = 0) {
+  const httpServer = http.createServer();
+  const channel = new WorkerChannelServer(httpServer, options);
+  await new Promise(resolve => httpServer.listen(port, '127.0.0.1', resolve));
+  t.after(() => {
+    channel.close();
+    httpServer.closeAllConnections();
+    httpServer.close();
+  });
+  return { channel, url: `ws://127.0.0.1:${httpServer.address().port}${WORKER_CHANNEL_PATH}` };
+}
+
+function client(t, url, options) {
+  const c = new WorkerChannelClient(url, { reconnectMs: 20, ...options });
+  t.after(() => c.close());
+  return c;
+}
+
+test('broadcasts reach connected workers as typed events', async (t) => {
+  const { channel, url } = await listen(t);
+  const worker = client(t, url);
+  worker.connect();
+  await once(worker, 'connected');
+  while (channel.connectedWorkers === 0) await new Promise(resolve => setTimeout(resolve, 5));
+
+  const received = once(worker, 'voice-update');
+  assert.equal(channel.broadcast('voice-update', { userId: 'alice', voiceId: 'v1' }), 1);
+  const [message] = await received;
+  assert.equal(message.type, 'voice-update');
+  assert.equal(message.userId, 'alice');
+  assert.equal(typeof message.sentAt, 'number');
+});
+
+test('a channel with a token turns away workers without it', async (t) => {
+  const { channel, url } = await listen(t, { token: 'secret' });
+  const stranger = client(t, url, { reconnectMs: 60000 });
+  stranger.connect();
+  await once(stranger, 'disconnected');
+  assert.equal(channel.connectedWorkers, 0);
+
+  const worker = client(t, url, { token: 'secret' });
+  worker.connect();
+  await once(worker, 'connected');
+});
+
+test('workers reconnect once the server is back', async (t) => {
+  // Find a free port, then start the worker before anything listens on it
+  const probe = http.createServer().listen(0, '127.0.0.1');
+  await once(probe, 'listening');
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+
+  const worker = client(t, `ws://127.0.0.1:${port}${WORKER_CHANNEL_PATH}`);
+  worker.connect();
+  await once(worker, 'disconnected');
+  await listen(t, {}, port);
+  await once(worker, 'connected');
+});
@@ -5,9 +5,36 @@ const dotenv = require('dotenv');
 // Load from .env file if it exists (for local development)
 dotenv.config({ path: path.resolve(process.cwd(), '.env') });
 
+const { createVoiceProvider, getProviderName, ConversionError, LocalProvider } = require('./lib/providers');
+const { isLocalVoice } = LocalProvider;
+const { FALLBACK_TOPIC, fallbackPolicyError, defaultFallbackPolicy, parseRoomSettings, fallbackVoiceFor, fallbackNotice } = require('./lib/fallback-policy');
+const { createSttProvider, getSttProviderName } = require('./lib/stt');
+const { createTranslator, getTranslatorName } = require('./lib/translation');
+const { baseLanguage } = require('./lib/voice-settings');
+const ListenerRouting = require('./lib/listener-routing');
+const { ROUTING_TOPIC, ROUTE_MODES } = ListenerRouting;
+const FloorControl = require('./lib/floor-control');
+const { FLOOR_TOPIC, defaultFloorPolicy, floorPolicyError } = FloorControl;
+const { reconnectDelay } = require('./lib/reconnect');
+
 // Validate required environment variables
-const requiredEnvVars = ['LIVEKIT_WS_URL', 'LIVEKIT_API_KEY', 'LIVEKIT_API_SECRET', 'ELEVENLABS_API_KEY'];
+const requiredEnvVars = ['LIVEKIT_WS_URL', 'LIVEKIT_API_KEY', 'LIVEKIT_API_SECRET'];
+if (getProviderName() === 'elevenlabs' || getSttProviderName() === 'elevenlabs') requiredEnvVars.push('ELEVENLABS_API_KEY'); // only the cloud providers need it
+if (getSttProviderName() === 'openai' || getTranslatorName() === 'openai') requiredEnvVars.push('OPENAI_API_KEY');
+if (getTranslatorName() === 'deepl') requiredEnvVars.push('DEEPL_API_KEY');
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+if (process.env.FALLBACK_VOICE && !isLocalVoice(process.env.FALLBACK_VOICE)) {
+  console.error(`❌ FALLBACK_VOICE must be a local voice (e.g. local-deep), got "${process.env.FALLBACK_VOICE}"`);
+  process.exit(1);
+}
+if (fallbackPolicyError(defaultFallbackPolicy())) {
+  console.error(`❌ FALLBACK_POLICY: ${fallbackPolicyError(defaultFallbackPolicy())}`);
+  process.exit(1);
+}
+if (floorPolicyError(defaultFloorPolicy())) {
+  console.error(`❌ FLOOR_POLICY: ${floorPolicyError(defaultFloorPolicy())}`);
+  process.exit(1);
+}
 
 if (missingVars.length > 0) {
   console.error('❌ Missing required environment variables:');
@@ -31,72 +58,93 @@ requiredEnvVars.forEach(varName => {
 });
 
 const { AccessToken } = require('livekit-server-sdk');
-const { Room, RoomEvent, ConnectionState, AudioStream, AudioSource, LocalAudioTrack, TrackPublishOptions, TrackSource, AudioFrame } = require('@livekit/rtc-node');
+const { Room, RoomEvent, ConnectionState, DisconnectReason, AudioStream, AudioSource, LocalAudioTrack, TrackPublishOptions, TrackSource, AudioFrame } = require('@livekit/rtc-node');
 const WebSocket = require('ws');
 const { fetch } = require('undici');
 const { Readable, PassThrough } = require('stream');
 const { request } = require('undici');
 const { Writable } = require('node:stream');
 const Wav = require('wav');
-
-const VOICE_SAMPLE_RATE = 48000; // LiveKit PCM is 48k mono Int16
+const { VOICE_SAMPLE_RATE, rmsDbFS, PcmFramer } = require('./lib/audio');
+const { downmix } = require('./lib/audio-format');
+const { VoiceActivityDetector, UtteranceSegmenter } = require('./lib/vad');
+const SpeakerPipeline = require('./lib/speaker-pipeline');
+const { WorkerChannelClient, WORKER_CHANNEL_PATH } = require('./lib/worker-channel');
+const RoomSupervisor = require('./lib/room-supervisor');
+const { WORKER_IDENTITY_PREFIX } = RoomSupervisor;
+const { createRoomService } = require('./lib/room-service');
+const { startControlApi } = require('./lib/control-api');
+const metrics = require('./lib/metrics');
+const { SessionRecorder, isRecordingEnabled } = require('./lib/recorder');
+const { UsageMeter } = require('./lib/usage');
+const { providerScheduler } = require('./lib/request-scheduler');
+
+const SAMPLES_PER_FRAME = Math.floor(VOICE_SAMPLE_RATE * 0.02); // 20ms output frames (960 samples at 48kHz)
 const S2S_CHUNK_MS = parseInt(process.env.S2S_CHUNK_MS || '1000', 10); // chunk size for multipart S2S - increased to reduce API calls
 
-// make a tiny WAV from Int16Array mono PCM
-function pcmToWavBuffer(int16, sampleRate = VOICE_SAMPLE_RATE) {
-  const numChannels = 1, bitsPerSample = 16;
-  const byteRate = sampleRate * numChannels * bitsPerSample/8;
-  const blockAlign = numChannels * bitsPerSample/8;
-  const dataSize = int16.length * 2;
-  const buffer = Buffer.alloc(44 + dataSize);
-  let o = 0;
-  buffer.write('RIFF', o); o+=4;
-  buffer.writeUInt32LE(36 + dataSize, o); o+=4;
-  buffer.write('WAVE', o); o+=4;
-  buffer.write('fmt ', o); o+=4;
-  buffer.writeUInt32LE(16, o); o+=4;                // PCM fmt chunk
-  buffer.writeUInt16LE(1, o); o+=2;                 // PCM
-  buffer.writeUInt16LE(numChannels, o); o+=2;
-  buffer.writeUInt32LE(sampleRate, o); o+=4;
-  buffer.writeUInt32LE(byteRate, o); o+=4;
-  buffer.writeUInt16LE(blockAlign, o); o+=2;
-  buffer.writeUInt16LE(bitsPerSample, o); o+=2;
-  buffer.write('data', o); o+=4;
-  buffer.writeUInt32LE(dataSize, o); o+=4;
-  Buffer.from(int16.buffer, int16.byteOffset, int16.byteLength).copy(buffer, 44);
-  return buffer;
-}
-
-function pcm16ToWav(pcmBuf, sampleRate = 16000, channels = 1) {
-  const blockAlign = channels * 2, byteRate = sampleRate * blockAlign;
-  const h = Buffer.alloc(44);
-  h.write('RIFF', 0); h.writeUInt32LE(36 + pcmBuf.length, 4);
-  h.write('WAVE', 8); h.write('fmt ', 12); h.writeUInt32LE(16, 16);
-  h.writeUInt16LE(1, 20); h.writeUInt16LE(channels, 22);
-  h.writeUInt32LE(sampleRate, 24); h.writeUInt32LE(byteRate, 28);
-  h.writeUInt16LE(blockAlign, 32); h.writeUInt16LE(16, 34);
-  h.write('data', 36); h.writeUInt32LE(pcmBuf.length, 40);
-  return Buffer.concat([h, pcmBuf]);
-}
-
-// naive VAD timer thresholds
+// Per-speaker pipeline: parallel conversions, reordering and paced playout
+const S2S_MAX_PARALLEL = parseInt(process.env.S2S_MAX_PARALLEL || '2', 10);   // conversions in flight per speaker
+const S2S_MAX_PENDING = parseInt(process.env.S2S_MAX_PENDING || '10', 10);    // queued chunks before the oldest is dropped
+
+// Live captions (STT_PROVIDER): transcripts go out as data messages on this topic
+const CAPTIONS_TOPIC = 'captions';
+const STT_MAX_PARALLEL = parseInt(process.env.STT_MAX_PARALLEL || '2', 10);   // transcriptions in flight per speaker
+const JITTER_BUFFER_MS = parseInt(process.env.JITTER_BUFFER_MS || '100', 10); // audio buffered before playback (re)starts
+
+// Local DSP voice for rooms with the 'local' fallback policy (see lib/fallback-policy.js)
+const FALLBACK_VOICE = process.env.FALLBACK_VOICE || 'local-deep';
+const FALLBACK_NOTICE_MS = 10000; // at most one "conversion failed" notice per speaker in this time
+const PROVIDER_DOWN_AFTER = parseInt(process.env.PROVIDER_DOWN_AFTER || '3', 10);   // consecutive failures before the provider counts as down
+const PROVIDER_DOWN_MS = parseInt(process.env.PROVIDER_DOWN_MS || '30000', 10);     // how long to stay on the fallback before trying it again
+// Cloud requests go through a process-wide scheduler (see lib/request-scheduler.js); a chunk that can't
+// be sent within this long of being captured is played through the fallback policy instead
+const PROVIDER_MAX_CHUNK_AGE_MS = parseInt(process.env.PROVIDER_MAX_CHUNK_AGE_MS || '3000', 10);
+const RATE_LIMIT_MAX_ATTEMPTS = 3;       // requests per chunk while the provider answers 429
+const RATE_LIMIT_RETRY_MS = 1000;        // wait between them when there is no scheduler to hold them
+
+// Floor control (see lib/floor-control.js): roles that go ahead of everyone else; room admins always do
+const FLOOR_PRIORITY_ROLES = (process.env.FLOOR_PRIORITY_ROLES || 'admin').split(',').map(r => r.trim()).filter(Boolean);
+
+// Provider usage is reported to the server this often; its answer says who is over budget (see lib/usage.js)
+const USAGE_REPORT_MS = parseInt(process.env.USAGE_REPORT_MS || '5000', 10);
+
+// Reconnection after a lost connection: exponential backoff with full jitter
+const RECONNECT_MAX_ATTEMPTS = parseInt(process.env.RECONNECT_MAX_ATTEMPTS || '10', 10); // 0 keeps trying forever
+const RECONNECT_BASE_MS = parseInt(process.env.RECONNECT_BASE_MS || '1000', 10);        // ceiling of the first delay
+const RECONNECT_MAX_MS = parseInt(process.env.RECONNECT_MAX_MS || '30000', 10);         // ceiling of any delay
+// Disconnects that mean "you are not wanted here" - rejoining would only fight the server
+const FINAL_DISCONNECTS = new Set([
+  DisconnectReason.CLIENT_INITIATED,
+  DisconnectReason.DUPLICATE_IDENTITY,
+  DisconnectReason.PARTICIPANT_REMOVED,
+  DisconnectReason.ROOM_DELETED,
+  DisconnectReason.ROOM_CLOSED,
+]);
+
+// Join token lifetime; a new one is generated this long before the current one expires
+const WORKER_TOKEN_TTL_S = parseInt(process.env.WORKER_TOKEN_TTL_S || '3600', 10);
+const TOKEN_REFRESH_MARGIN_MS = Math.min(5 * 60 * 1000, (WORKER_TOKEN_TTL_S * 1000) / 2);
+
+// VAD segmentation thresholds
+const SEGMENT_MODE = (process.env.SEGMENT_MODE || 'vad').toLowerCase(); // 'vad' (cut on pauses) or 'fixed' (every S2S_CHUNK_MS)
 const SILENCE_DB = -55;          // speak above this
-const MIN_UTTER_MS = 700;        // min chunk length
-const SILENCE_HANG_MS = 500;     // end chunk after this much silence
+const MIN_UTTER_MS = parseInt(process.env.MIN_UTTER_MS || '700', 10);         // min speech per utterance
+const SILENCE_HANG_MS = parseInt(process.env.SILENCE_HANG_MS || '500', 10);   // end utterance after this much silence
+const MAX_UTTER_MS = parseInt(process.env.MAX_UTTER_MS || '4000', 10);        // hard cap so conversion latency stays bounded
 
 // No additional helper functions needed - core functionality is in the class
 
-// Helper function to calculate RMS dBFS level for voice activity detection
-function rmsDbFS(int16) {
-  if (!int16 || int16.length === 0) return -120;
-  let sum = 0;
-  for (let i = 0; i < int16.length; i++) {
-    const s = int16[i] / 32768; // normalize to -1..1
-    sum += s * s;
-  }
-  const rms = Math.sqrt(sum / int16.length);
-  const db = 20 * Math.log10(rms + 1e-12);
-  return Math.max(-120, db);
+// Base URL of the Express server (voice selections, push channel)
+const SERVER_URL = process.env.SERVER_URL || `http://localhost:${process.env.PORT || 3000}`;
+const WORKER_API_TOKEN = process.env.WORKER_API_TOKEN || null;   // must match the server's when auth is on
+
+// Helper function to get mono Int16 samples out of an AudioStream frame
+function frameToInt16(frame) {
+  const src = frame?.data instanceof Int16Array
+    ? frame.data
+    : (frame?.data && frame?.data.buffer ? new Int16Array(frame.data.buffer) : null);
+  if (!src || src.length === 0) return null;
+  return frame.channels > 1 ? downmix(src, frame.channels) : src;
 }
 
 // Helper function to map track kind (handles string or numeric enum from @livekit/rtc-node)
@@ -172,94 +220,99 @@ function logRoomStatus(room, label = 'Room Status') {
 }
 
 class LiveKitAudioWorker {
-  constructor() {
+  // provider, stt, translator and roomService can be shared between the workers of several rooms
+  // (see RoomSupervisor); pass null to turn captions / translation off regardless of STT_PROVIDER / TRANSLATE_PROVIDER
+  // onReconnectFailed is called once RECONNECT_MAX_ATTEMPTS attempts to rejoin have failed;
+  // scheduler replaces the process-wide request scheduler of the provider (null to send requests unscheduled)
+  constructor({ provider = null, stt, translator, roomService = null, onReconnectFailed = null, scheduler } = {}) {
     this.room = null;
     this.roomName = null;
     this._reconnectTimer = null;
-    this._reconnectAttempts = 0;
+    this._reconnectAttempts = 0; // failed attempts since the connection was lost, reset once back in
+    this._reconnecting = false; // true while an attempt is running
+    this.reconnectFailed = false; // gave up - the supervisor replaces the worker
+    this.onReconnectFailed = onReconnectFailed;
+    this._token = null; // { jwt, refreshAt } for the current room
+    this._tokenTimer = null;
+    this._routeSetups = new Set(); // speakers whose output track is being published
     this.participantVoices = new Map(); // Store voice selections for participants
     this.routes = new Map(); // Speaker routes with voice and output info
     this._subs = new Set(); // pub.sid we've subscribed to
     this.activeS2S = new Set(); // Track active speech-to-speech conversions
-    this.quotaExhausted = null; // Track quota exhaustion timestamp
+    this.pipelines = new Map(); // speaker -> SpeakerPipeline (conversion queue + paced playout)
+    this.speakerStats = new Map(); // speaker -> counters exposed through the control API
+    this.pausedSpeakers = new Set(); // speakers whose conversion is paused via the control API
     this.lastSuccessfulCall = Date.now(); // Track when we last had a successful call
     this.recentlyRecreated = new Set(); // Track recently recreated routes to avoid immediate retry
-    this.setupProcess();
-    this.setupQuotaResetTimer();
-  }
-
-  setupQuotaResetTimer() {
-    // Check quota status every minute and reset if enough time has passed
-    setInterval(() => {
-      if (this.quotaExhausted) {
-        const timeSinceExhaustion = Date.now() - this.quotaExhausted;
-        if (timeSinceExhaustion > 60000) { // 1 minute
-          console.log('🔄 Quota reset timer - attempting to resume ElevenLabs processing');
-          this.quotaExhausted = null;
-        }
-      }
-    }, 30000); // Check every 30 seconds
+    this.provider = provider || createVoiceProvider(); // Voice conversion backend (VOICE_PROVIDER)
+    // Local DSP voices (local-*) always run here, and stand in for the cloud while it is unavailable
+    this.localProvider = this.provider.name === 'local' ? this.provider : new LocalProvider();
+    this.fallbackVoiceId = FALLBACK_VOICE;
+    this.fallbackPolicy = defaultFallbackPolicy(); // local | passthrough | silent, from the room metadata once connected
+    // Concurrency, token bucket, Retry-After and quota for the cloud provider, shared by every worker in the process
+    this.scheduler = scheduler !== undefined ? scheduler : (this.provider.name === 'local' ? null : providerScheduler(this.provider.name));
+    this._providerFailures = 0; // consecutive failed cloud conversions
+    this.providerDownUntil = null; // timestamp while the cloud provider counts as down
+    this._announcedReason = null; // provider problem the room was last told about
+    this._speakerNoticeAt = new Map(); // speaker -> last "conversion failed" notice
+    this.stt = stt !== undefined ? stt : createSttProvider(); // Caption transcription (STT_PROVIDER), null when off
+    this._sttInFlight = new Map(); // speaker -> transcriptions in flight
+    this._transcripts = new WeakMap(); // chunk pcm -> Promise<{ text, language } | null>, shared by captions and translations
+    this.translator = translator !== undefined ? translator : createTranslator(); // TRANSLATE_PROVIDER, null when off
+    this.translationRoutes = new Map(); // `${speaker}@${language}` -> { key, speaker, language, source, track, pipeline }
+    this._translationSync = Promise.resolve();
+    this.listenerRouting = new ListenerRouting(); // what each listener hears from each speaker
+    this._routedListeners = new Set(); // listeners who sent routing messages - only their subscriptions are managed
+    this.floor = new FloorControl(); // who may be converted right now, policy from the room metadata once connected
+    this.roomService = roomService; // RoomServiceClient for server-side subscriptions, created on first use
+    this._stopped = false; // set by cleanup() so a deliberate stop never triggers a reconnect
+    this._channel = null;
+    this._channelHandlers = null;
+    this.recorder = null; // SessionRecorder when RECORD_SESSIONS is on
+    this.usage = new UsageMeter(); // cloud seconds / characters per speaker until the next report
+    this._usageReportFailing = false;
+    this._usageTimer = setInterval(() => this.reportUsage(), USAGE_REPORT_MS);
+    console.log(`🧩 Voice conversion provider: ${this.provider.name}`);
+    if (this.stt) console.log(`💬 Caption transcription provider: ${this.stt.name}`);
+    if (this.translator) console.log(`🌐 Translation provider: ${this.translator.name}`);
   }
 
-  setupProcess() {
-    // Handle uncaught exceptions to prevent crashes
-    process.on('uncaughtException', (error) => {
-      console.error('🚨 Uncaught Exception:', error.message);
-      if (error.message.includes('InvalidState') && error.message.includes('failed to capture frame')) {
-        console.log('🔌 AudioSource InvalidState detected - cleaning up and continuing...');
-        // Clean up all active S2S processing
-        this.activeS2S.clear();
-        // Don't exit - let the worker continue
-        return;
-      }
-      // For other uncaught exceptions, exit gracefully
-      console.error('🚨 Fatal error, shutting down...');
-      this.cleanup();
-      process.exit(1);
-    });
-    
-    // Handle unhandled promise rejections
-    process.on('unhandledRejection', (reason, promise) => {
-      if (reason && reason.message && reason.message.includes('InvalidState')) {
-        // Don't spam logs for InvalidState - we handle this gracefully
-        return;
-      }
-      console.error('🚨 Unhandled Promise Rejection:', reason);
-    });
-
-    // Graceful shutdown
-    process.on('SIGINT', () => {
-      console.log('🛑 Shutting down gracefully...');
-      this.cleanup();
-      process.exit(0);
-    });
-
-    process.on('SIGTERM', () => {
-      console.log('🛑 Shutting down gracefully...');
-      this.cleanup();
-      process.exit(0);
-    });
+  // Called by the process-level handler when an AudioSource went invalid
+  onAudioSourceInvalid() {
+    // Clean up all active S2S processing
+    this.activeS2S.clear();
   }
 
   async cleanup() {
+    this._stopped = true;
     try {
       // Clear timers
       if (this._reconnectTimer) clearTimeout(this._reconnectTimer);
+      if (this._tokenTimer) clearTimeout(this._tokenTimer);
+      if (this._usageTimer) clearInterval(this._usageTimer);
+      await this.reportUsage(); // what was counted since the last report
+      this.detachServerChannel();
       
       // Clear active processing
       this.activeS2S.clear();
+      for (const pipeline of this.pipelines.values()) pipeline.stop();
+      this.pipelines.clear();
+      for (const key of Array.from(this.translationRoutes.keys())) await this._removeTranslationRoute(key);
       
       // Clean up any active routes
       for (const [key, route] of this.routes) {
         try {
-          if (route.track && this.room?.localParticipant) {
-            await this.room.localParticipant.unpublishTrack(route.track);
-          }
+          await this._unpublishTrack(route.track);
         } catch (error) {
           console.warn(`Failed to cleanup route ${key}:`, error.message);
         }
       }
       this.routes.clear();
+
+      if (this.recorder) {
+        await this.recorder.close();
+        this.recorder = null;
+      }
       
       if (this.room) {
         await this.room.disconnect();
@@ -270,7 +323,13 @@ class LiveKitAudioWorker {
     }
   }
 
-  generateToken(roomName, identity) {
+  // Tracks are unpublished by SID; a track that never got one was never published
+  async _unpublishTrack(track) {
+    if (!track?.sid || !this.room?.localParticipant) return;
+    await this.room.localParticipant.unpublishTrack(track.sid);
+  }
+
+  generateToken(roomName, identity, ttlSeconds = WORKER_TOKEN_TTL_S) {
     const apiKey = process.env.LIVEKIT_API_KEY;
     const apiSecret = process.env.LIVEKIT_API_SECRET;
 
@@ -280,7 +339,7 @@ class LiveKitAudioWorker {
 
     const token = new AccessToken(apiKey, apiSecret, {
       identity: identity,
-      ttl: '1h', // Token valid for 1 hour
+      ttl: ttlSeconds,
     });
 
     token.addGrant({
@@ -295,6 +354,27 @@ class LiveKitAudioWorker {
     return token.toJwt();
   }
 
+  // Join token for this worker's room. A fresh one is generated TOKEN_REFRESH_MARGIN_MS before the
+  // current one expires, so a reconnect hours into the session never presents an expired token.
+  async _joinToken(identity) {
+    if (!this._token || Date.now() >= this._token.refreshAt) await this._refreshToken(identity);
+    return this._token.jwt;
+  }
+
+  async _refreshToken(identity) {
+    if (this._tokenTimer) clearTimeout(this._tokenTimer);
+    const jwt = await this.generateToken(this.roomName, identity);
+    const refreshIn = WORKER_TOKEN_TTL_S * 1000 - TOKEN_REFRESH_MARGIN_MS;
+    this._token = { jwt, refreshAt: Date.now() + refreshIn };
+    this._tokenTimer = setTimeout(() => {
+      this._tokenTimer = null;
+      if (this._stopped) return;
+      this._refreshToken(identity)
+        .then(() => console.log(`🔑 Refreshed the join token for ${this.roomName}`))
+        .catch(error => console.warn('⚠️ Failed to refresh the join token:', error.message));
+    }, refreshIn);
+  }
+
   async connectToRoom(roomName = 'default-room') {
     const wsUrl = process.env.LIVEKIT_URL || process.env.LIVEKIT_WS_URL;
     
@@ -303,8 +383,9 @@ class LiveKitAudioWorker {
     }
 
     const identity = `audio-worker`;
+    if (roomName !== this.roomName) this._token = null;
     this.roomName = roomName;
-    const token = await this.generateToken(roomName, identity);
+    const token = await this._joinToken(identity);
 
     console.log(`🔗 Connecting to LiveKit room: ${roomName}`);
     console.log(`👤 Identity: ${identity}`);
@@ -330,6 +411,8 @@ class LiveKitAudioWorker {
       });
 
       console.log(`✅ Connected to room: ${roomRef.name}`);
+      this.applyRoomSettings(roomRef.metadata);
+      if (isRecordingEnabled() && !this.recorder) this.recorder = new SessionRecorder({ roomName });
       logRoomStatus(roomRef, 'After connect');
       
       // Handle existing participants - MUST happen before any track subscriptions
@@ -350,6 +433,84 @@ class LiveKitAudioWorker {
     }
   }
 
+  // Rejoin after a lost connection, with exponential backoff and jitter between attempts
+  _scheduleReconnect() {
+    if (this._stopped || this._reconnectTimer || this._reconnecting) return;
+    if (RECONNECT_MAX_ATTEMPTS > 0 && this._reconnectAttempts >= RECONNECT_MAX_ATTEMPTS) {
+      console.error(`❌ Giving up on room ${this.roomName} after ${this._reconnectAttempts} reconnect attempts`);
+      metrics.reconnects.inc({ room: this.roomName, result: 'gave_up' });
+      this.reconnectFailed = true;
+      if (this.onReconnectFailed) this.onReconnectFailed(this);
+      return;
+    }
+
+    const attempt = this._reconnectAttempts + 1;
+    const delay = reconnectDelay(attempt, { baseMs: RECONNECT_BASE_MS, maxMs: RECONNECT_MAX_MS });
+    const of = RECONNECT_MAX_ATTEMPTS > 0 ? `/${RECONNECT_MAX_ATTEMPTS}` : '';
+    console.log(`🔁 Reconnecting to ${this.roomName} in ${delay}ms (attempt ${attempt}${of})`);
+
+    this._reconnectTimer = setTimeout(async () => {
+      this._reconnectTimer = null;
+      if (this._stopped) return;
+      this._reconnecting = true;
+      try {
+        await this._reconnect();
+        console.log(`✅ Reconnected to ${this.roomName} after ${attempt} attempt${attempt === 1 ? '' : 's'}`);
+        metrics.reconnects.inc({ room: this.roomName, result: 'success' });
+        this._reconnectAttempts = 0;
+      } catch (error) {
+        console.error(`❌ Reconnect attempt ${attempt} failed:`, error.message);
+        metrics.reconnects.inc({ room: this.roomName, result: 'failed' });
+        this._reconnectAttempts = attempt;
+      } finally {
+        this._reconnecting = false;
+      }
+      // A failed attempt, or a connection that dropped again while it was being rebuilt
+      if (this._reconnectAttempts > 0 || (this.room && this.room.state !== ConnectionState.Connected)) {
+        this._scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  // Drop everything tied to the old connection and join again. connectToRoom rebuilds routes,
+  // voices and streams from the participants present now; whoever left meanwhile is forgotten.
+  async _reconnect() {
+    const before = new Set(this.participantVoices.keys());
+    await this._resetRoomState();
+    await this.connectToRoom(this.roomName);
+
+    const present = new Set(safeParticipants(this.room).list);
+    for (const identity of before) {
+      if (!present.has(identity)) await this.handleParticipantDisconnected({ identity });
+    }
+    // Subscriptions were enforced against the old track SIDs
+    await this.applyListenerRoutes();
+  }
+
+  // Our tracks left with the old session, so routes and pipelines go without unpublishing anything.
+  // Voices, listener routes, pauses and stats are kept - they belong to the people, not the connection.
+  async _resetRoomState() {
+    const oldRoom = this.room;
+    this.room = null;
+    this.activeS2S.clear();
+    for (const pipeline of this.pipelines.values()) pipeline.stop();
+    this.pipelines.clear();
+    for (const route of this.translationRoutes.values()) route.pipeline.stop();
+    this.translationRoutes.clear();
+    for (const route of this.routes.values()) route.source = null;
+    this.routes.clear();
+    this._routeSetups.clear();
+    this._subs.clear();
+    if (oldRoom) {
+      try {
+        await oldRoom.disconnect();
+      } catch (error) {
+        console.warn('⚠️ Failed to close the old connection:', error.message);
+      }
+      oldRoom.removeAllListeners();
+    }
+  }
+
   setupRoomEventListeners(roomRef) {
     roomRef.on(RoomEvent.Connected, () => {
       try {
@@ -362,35 +523,38 @@ class LiveKitAudioWorker {
 
     roomRef.on(RoomEvent.Disconnected, (reason) => {
       try {
+        // A room we already replaced (or are replacing) says goodbye too - only the current one counts
+        if (roomRef !== this.room || this._reconnecting) return;
         console.log(`❌ Disconnected from room. Reason: ${reason}`);
         
         // Clear all active processing
         this.activeS2S.clear();
         
-        // Only reconnect for network issues, not for server-side disconnects
-        if (reason === 1) { // Only reconnect for connection lost
-          if (this._reconnectTimer) clearTimeout(this._reconnectTimer);
-          
-          // Simple retry with fixed delay to avoid overwhelming the server
-          this._reconnectTimer = setTimeout(() => {
-            console.log(`🔁 Attempting to reconnect worker...`);
-            this.connectToRoom(this.roomName)
-              .then(() => {
-                console.log('✅ Reconnection successful');
-              })
-              .catch(err => {
-                console.error('❌ Reconnect failed:', err.message);
-                // Don't keep retrying indefinitely
-              });
-          }, 5000); // Fixed 5 second delay
-        } else {
-          console.log('🛑 Not reconnecting - server initiated disconnect');
+        if (this._stopped) {
+          console.log('🛑 Not reconnecting - worker was stopped');
+          return;
+        }
+
+        if (FINAL_DISCONNECTS.has(reason)) {
+          console.log('🛑 Not reconnecting - the server ended this session');
+          return;
         }
+        this._scheduleReconnect();
       } catch (error) {
         console.error('❌ Error in Disconnected event handler:', error);
       }
     });
 
+    // Short signal outages are resumed by the SDK itself; tracks and subscriptions survive those
+    roomRef.on(RoomEvent.Reconnecting, () => {
+      console.log(`📶 Connection to ${this.roomName} interrupted - the SDK is resuming it`);
+    });
+
+    roomRef.on(RoomEvent.Reconnected, () => {
+      console.log(`📶 Connection to ${this.roomName} resumed`);
+      this.applyListenerRoutes().catch(error => console.warn('⚠️ Failed to apply listener routes:', error.message));
+    });
+
     roomRef.on(RoomEvent.ParticipantConnected, (participant) => {
       try {
         console.log('🔍 [WORKER] participantConnected:', participant?.identity);
@@ -438,11 +602,31 @@ class LiveKitAudioWorker {
         
         // Start chunked S2S processing for this audio track
         this._startAudioStream(track, participant.identity);
+
+        // A new mic track must follow the listeners' routes too
+        this.applyListenerRoutes().catch(error => console.warn('⚠️ Failed to apply listener routes:', error.message));
       } catch (e) {
         console.error('❌ TrackSubscribed handler error', e.message);
       }
     });
 
+    // Room settings (fallback policy) live in the room metadata
+    roomRef.on(RoomEvent.RoomMetadataChanged, (metadata) => {
+      this.applyRoomSettings(metadata);
+    });
+
+    // Listener routing requests ('routing' topic, see lib/listener-routing.js) and floor requests ('floor' topic)
+    roomRef.on(RoomEvent.DataReceived, (payload, participant, kind, topic) => {
+      if (!participant?.identity) return;
+      if (topic === ROUTING_TOPIC) {
+        this.handleRoutingMessage(participant.identity, payload)
+          .catch(error => console.warn(`⚠️ Routing message from ${participant.identity} failed:`, error.message));
+      } else if (topic === FLOOR_TOPIC) {
+        this.handleFloorMessage(participant.identity, payload)
+          .catch(error => console.warn(`⚠️ Floor message from ${participant.identity} failed:`, error.message));
+      }
+    });
+
     roomRef.on(RoomEvent.TrackUnsubscribed, (track, pub, participant) => {
       console.log(`🔇 Track unsubscribed from ${participant?.identity}`);
     });
@@ -454,30 +638,47 @@ class LiveKitAudioWorker {
     
     // Set up route for this participant
     await this.setupRouteForParticipant(participant.identity);
+
+    // A new listener may need another language, a new speaker may translate
+    await this.syncTranslationRoutes();
+
+    // Show newcomers who has the floor
+    if (!this.floor.free) await this._publishData(FLOOR_TOPIC, this.floor.state(), [participant.identity]);
   }
 
   async loadParticipantVoice(participantIdentity) {
     try {
       console.log(`🔍 Loading voice selection for: ${participantIdentity}`);
       
-      // Try to get voice selection from server
-      const port = process.env.PORT || 3000;
-      const res = await fetch(`http://localhost:${port}/get-voice/${encodeURIComponent(participantIdentity)}`).catch(() => null);
+      // Try to get voice selection from server (resolved for this room's overrides)
+      const query = this.roomName ? `?roomName=${encodeURIComponent(this.roomName)}` : '';
+      const res = await fetch(`${SERVER_URL}/get-voice/${encodeURIComponent(participantIdentity)}${query}`, {
+        headers: WORKER_API_TOKEN ? { Authorization: `Bearer ${WORKER_API_TOKEN}` } : {},
+      }).catch(() => null);
       
       let voiceId = 'pNInz6obpgDQGcFmaJgB'; // Default Adam voice
       let voiceName = 'Adam (Default)';
+      let voiceSettings = {};
+      let mode = 'convert';
+      let language = null;
       
       if (res && res.ok) {
         const data = await res.json().catch(() => ({}));
         if (data.voiceSelection) {
           voiceId = data.voiceSelection;
-          voiceName = 'Custom Voice';
+          voiceName = data.isDefault ? 'Adam (Default)' : 'Custom Voice';
+          voiceSettings = data.voiceSettings || {};
         }
+        mode = data.mode || mode;
+        language = data.language || null;
       }
       
       this.participantVoices.set(participantIdentity, {
         voiceId: voiceId,
-        voiceName: voiceName
+        voiceName: voiceName,
+        voiceSettings: voiceSettings,
+        mode: mode,
+        language: language
       });
       
       console.log(`🎤 Voice assigned to ${participantIdentity}: ${voiceName}`);
@@ -486,11 +687,69 @@ class LiveKitAudioWorker {
       // Fallback to default voice
       this.participantVoices.set(participantIdentity, {
         voiceId: 'pNInz6obpgDQGcFmaJgB',
-        voiceName: 'Adam (Fallback)'
+        voiceName: 'Adam (Fallback)',
+        voiceSettings: {},
+        mode: 'convert',
+        language: null
       });
     }
   }
 
+  // Listen for voice changes pushed by the server so they apply without rejoining
+  attachServerChannel(channel) {
+    this.detachServerChannel();
+    const handlers = {
+      'voice-update': ({ userId, roomName }) => {
+        if (!userId || (roomName && roomName !== this.roomName)) return;
+        // Re-read the resolved profile rather than trusting the payload, so room overrides still win
+        this.refreshParticipantVoice(userId)
+          .catch(error => console.warn(`⚠️ Failed to refresh voice for ${userId}:`, error.message));
+      },
+      // Updates sent while we were disconnected are lost - re-read everything on (re)connect
+      connected: () => {
+        this.reloadVoices().catch(error => console.warn('⚠️ Failed to reload voices:', error.message));
+      },
+    };
+    for (const [event, handler] of Object.entries(handlers)) channel.on(event, handler);
+    this._channel = channel;
+    this._channelHandlers = handlers;
+  }
+
+  detachServerChannel() {
+    if (!this._channel) return;
+    for (const [event, handler] of Object.entries(this._channelHandlers)) {
+      this._channel.off(event, handler);
+    }
+    this._channel = null;
+    this._channelHandlers = null;
+  }
+
+  // Reload one participant's voice and switch the live route; the next chunk sent for this speaker uses it
+  async refreshParticipantVoice(participantIdentity) {
+    if (!this.participantVoices.has(participantIdentity) && !this.routes.has(participantIdentity)) {
+      return false; // not in this room
+    }
+
+    await this.loadParticipantVoice(participantIdentity);
+    const voiceInfo = this.participantVoices.get(participantIdentity);
+    const route = this.routes.get(participantIdentity);
+    if (route && voiceInfo) {
+      route.voiceId = voiceInfo.voiceId;
+      route.voiceSettings = voiceInfo.voiceSettings;
+    }
+
+    console.log(`🔁 Voice for ${participantIdentity} is now ${voiceInfo?.voiceId}`);
+    await this.syncTranslationRoutes();
+    return true;
+  }
+
+  // Re-read the voice selection of every routed participant from the server
+  async reloadVoices() {
+    for (const participantIdentity of Array.from(this.routes.keys())) {
+      await this.refreshParticipantVoice(participantIdentity);
+    }
+  }
+
   async setupRouteForParticipant(participantIdentity) {
     try {
       // Get the voice for this participant
@@ -500,20 +759,31 @@ class LiveKitAudioWorker {
         return;
       }
 
+      // One output track per speaker, even when the connect loop and ParticipantConnected both get here
+      if (!this.room || this.routes.has(participantIdentity) || this._routeSetups.has(participantIdentity)) return;
+      this._routeSetups.add(participantIdentity);
+
       // Create output audio source and track for this participant
       const routeKey = `from-${participantIdentity}`;
-      const source = new AudioSource(48000, 1); // 48kHz mono
+      const source = new AudioSource(VOICE_SAMPLE_RATE, 1);
       const track = LocalAudioTrack.createAudioTrack(routeKey, source);
       
       // Publish the track with proper naming
-      await this.room.localParticipant.publishTrack(track, { 
-        name: routeKey // This will be "from-ParticipantName"
-      });
+      const room = this.room;
+      try {
+        await room.localParticipant.publishTrack(track, { 
+          name: routeKey // This will be "from-ParticipantName"
+        });
+      } finally {
+        this._routeSetups.delete(participantIdentity);
+      }
+      if (room !== this.room) return; // the connection was replaced while publishing
 
       // Store the route
       this.routes.set(participantIdentity, {
         key: routeKey,
         voiceId: voiceInfo.voiceId,
+        voiceSettings: voiceInfo.voiceSettings || {},
         source: source,
         track: track
       });
@@ -570,9 +840,7 @@ class LiveKitAudioWorker {
       const oldRoute = this.routes.get(participantIdentity);
       if (oldRoute) {
         try {
-          if (oldRoute.track) {
-            await this.room.localParticipant.unpublishTrack(oldRoute.track);
-          }
+          await this._unpublishTrack(oldRoute.track);
         } catch (error) {
           console.warn(`⚠️ Failed to unpublish old track for ${participantIdentity}: ${error.message}`);
         }
@@ -581,7 +849,7 @@ class LiveKitAudioWorker {
 
       // Create new route with new AudioSource
       const routeKey = `from-${participantIdentity}`;
-      const source = new AudioSource(48000, 1); // 48kHz mono
+      const source = new AudioSource(VOICE_SAMPLE_RATE, 1);
       const track = LocalAudioTrack.createAudioTrack(routeKey, source);
       
       // Publish the new track
@@ -593,22 +861,159 @@ class LiveKitAudioWorker {
       this.routes.set(participantIdentity, {
         key: routeKey,
         voiceId: voiceInfo.voiceId,
+        voiceSettings: voiceInfo.voiceSettings || {},
         source: source,
         track: track
       });
 
       console.log(`✅ Route recreated for ${participantIdentity} with voice ${voiceInfo.voiceName}`);
+      await this.applyListenerRoutes();
     } catch (error) {
       console.error(`❌ Failed to recreate route for ${participantIdentity}:`, error.message);
     }
   }
 
+  // Translate mode is usable when we can transcribe, translate and synthesize
+  translationAvailable() {
+    return Boolean(this.stt && this.translator && typeof this.provider.synthesizeStream === 'function');
+  }
+
+  // Languages a translating speaker must be translated into: every other listener's language but their own.
+  // Regional variants share one track ("en-GB" and "en-US" listeners both get "en").
+  _targetLanguages(speaker) {
+    const own = baseLanguage(this.participantVoices.get(speaker)?.language);
+    const languages = new Set();
+    for (const [identity, voiceInfo] of this.participantVoices) {
+      if (identity === speaker || !voiceInfo.language) continue;
+      if (this.listenerRouting.get(identity, speaker) !== 'converted') continue;
+      const language = baseLanguage(voiceInfo.language);
+      if (language !== own) languages.add(language);
+    }
+    return languages;
+  }
+
+  // Publish a `from-<speaker>@<language>` track for every language a translating speaker needs
+  // and remove the ones nobody listens to anymore. Runs serialized - it's called from many events.
+  syncTranslationRoutes() {
+    this._translationSync = this._translationSync.then(async () => {
+      const wanted = new Set();
+      if (this.translationAvailable()) {
+        for (const [speaker, voiceInfo] of this.participantVoices) {
+          if (voiceInfo.mode !== 'translate' || !this.routes.has(speaker)) continue;
+          for (const language of this._targetLanguages(speaker)) wanted.add(`${speaker}@${language}`);
+        }
+      } else if (Array.from(this.participantVoices.values()).some(v => v.mode === 'translate')) {
+        console.warn('⚠️ Translate mode needs STT_PROVIDER, TRANSLATE_PROVIDER and a voice provider with text-to-speech');
+      }
+
+      for (const key of Array.from(this.translationRoutes.keys())) {
+        if (!wanted.has(key)) await this._removeTranslationRoute(key);
+      }
+      for (const key of wanted) {
+        if (this.translationRoutes.has(key)) continue;
+        const at = key.lastIndexOf('@');
+        await this._addTranslationRoute(key.slice(0, at), key.slice(at + 1));
+      }
+      await this.applyListenerRoutes();
+    }).catch(error => console.error('❌ Failed to sync translation routes:', error.message));
+    return this._translationSync;
+  }
+
+  async _addTranslationRoute(speaker, language) {
+    if (!this.room?.localParticipant) return;
+    const key = `${speaker}@${language}`;
+    const routeKey = `from-${key}`;
+    const source = new AudioSource(VOICE_SAMPLE_RATE, 1);
+    const track = LocalAudioTrack.createAudioTrack(routeKey, source);
+    const room = this.room;
+    await room.localParticipant.publishTrack(track, { name: routeKey });
+    if (room !== this.room) return; // the connection was replaced while publishing
+
+    const pipeline = new SpeakerPipeline({
+      speaker: routeKey,
+      maxParallel: S2S_MAX_PARALLEL,
+      maxPending: S2S_MAX_PENDING,
+      jitterMs: JITTER_BUFFER_MS,
+      convert: (pcm, onFrame) => this.sendTranslatedChunk(speaker, language, pcm, onFrame),
+      publishFrame: (frame) => this._publishTranslatedFrame(key, frame),
+    });
+    this.translationRoutes.set(key, { key: routeKey, speaker, language, source, track, pipeline });
+    console.log(`🌐 Translating ${speaker} into ${language} on ${routeKey}`);
+  }
+
+  async _removeTranslationRoute(key) {
+    const route = this.translationRoutes.get(key);
+    if (!route) return;
+    this.translationRoutes.delete(key);
+    route.pipeline.stop();
+    route.source = null;
+    try {
+      await this._unpublishTrack(route.track);
+    } catch (error) {
+      console.warn(`⚠️ Failed to unpublish ${route.key}: ${error.message}`);
+    }
+    console.log(`🌐 Stopped translating ${route.speaker} into ${route.language}`);
+  }
+
+  // Transcribe (shared), translate and synthesize one chunk in the speaker's voice
+  async sendTranslatedChunk(speaker, language, pcm, onFrame) {
+    const transcript = await this._transcript(speaker, pcm);
+    const route = this.routes.get(speaker);
+    if (!transcript || !route) return;
+    // Local DSP voices only transform audio, they can't speak text
+    if (isLocalVoice(route.voiceId) || this._providerUnavailable() || this._overBudget(speaker)) return;
+    this._announceProviderState();
+
+    let synthesizing = false; // only synthesis errors concern the voice provider's scheduler
+    try {
+      const from = this.participantVoices.get(speaker)?.language || transcript.language || null;
+      const text = from && baseLanguage(from) === baseLanguage(language)
+        ? transcript.text
+        : await this.translator.translate(transcript.text, { from, to: language });
+      if (!text) return;
+
+      // The text is ready now - the wait for a synthesis slot counts from here
+      synthesizing = true;
+      await this._scheduled(Date.now() + PROVIDER_MAX_CHUNK_AGE_MS, async () => {
+        const framer = new PcmFramer(SAMPLES_PER_FRAME);
+        const convertOpts = { sampleRate: VOICE_SAMPLE_RATE, voiceSettings: route.voiceSettings };
+        for await (const bytes of this.provider.synthesizeStream(text, route.voiceId, convertOpts)) {
+          for (const slice of framer.push(bytes)) onFrame(slice);
+          if (!this.translationRoutes.has(`${speaker}@${language}`)) break;
+        }
+        const tail = framer.flush();
+        if (tail) onFrame(tail);
+      });
+      this._noteProviderSuccess();
+      this._stats(speaker).chunksTranslated++;
+      this.usage.add(speaker, { characters: text.length });
+    } catch (error) {
+      if (synthesizing) this._noteProviderLimit(error);
+      console.warn(`⚠️ Translation of ${speaker} into ${language} failed: ${error.message}`);
+    }
+  }
+
+  async _publishTranslatedFrame(key, slice) {
+    const route = this.translationRoutes.get(key);
+    if (!route?.source || !this.room || this.room.state !== ConnectionState.Connected) return false;
+    try {
+      const frame = AudioFrame.create(VOICE_SAMPLE_RATE, 1, slice.length);
+      new Int16Array(frame.data.buffer).set(slice);
+      await route.source.captureFrame(frame);
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Failed to capture translated frame for ${route.key}: ${error.message}`);
+      return false;
+    }
+  }
+
   async handleParticipantDisconnected(participant) {
     const participantIdentity = participant.identity;
     console.log(`🧹 Cleaning up resources for: ${participantIdentity}`);
     
     // Stop any active audio processing immediately
     this.activeS2S.delete(participantIdentity);
+    this._stopPipeline(participantIdentity);
     
     // Clean up route
     const route = this.routes.get(participantIdentity);
@@ -618,9 +1023,7 @@ class LiveKitAudioWorker {
         if (route.source) {
           route.source = null;
         }
-        if (route.track) {
-          await this.room.localParticipant.unpublishTrack(route.track);
-        }
+        await this._unpublishTrack(route.track);
         this.routes.delete(participantIdentity);
         console.log(`✅ Route cleaned up for: ${participantIdentity}`);
       } catch (error) {
@@ -628,8 +1031,19 @@ class LiveKitAudioWorker {
       }
     }
     
-    // Clean up voice selection
+    // Clean up voice selection and stats
     this.participantVoices.delete(participantIdentity);
+    this.speakerStats.delete(participantIdentity);
+    this._speakerNoticeAt.delete(participantIdentity);
+    metrics.forgetSpeaker(this.roomName, participantIdentity, this.provider.name);
+    if (this.localProvider !== this.provider) metrics.forgetSpeaker(this.roomName, participantIdentity, this.localProvider.name);
+    this.pausedSpeakers.delete(participantIdentity);
+    this.listenerRouting.forget(participantIdentity);
+    this._routedListeners.delete(participantIdentity);
+    if (this.floor.forget(participantIdentity)) await this._broadcastFloor();
+
+    // Their own translated tracks go, and their language may no longer be needed by anyone
+    await this.syncTranslationRoutes();
   }
 
 
@@ -642,8 +1056,13 @@ class LiveKitAudioWorker {
 
   // Simplified room status for debugging
   getRoomStatus() {
+    const reconnect = {
+      reconnecting: Boolean(this._reconnectTimer) || this._reconnecting,
+      reconnectAttempts: this._reconnectAttempts,
+      reconnectFailed: this.reconnectFailed,
+    };
     if (!this.room) {
-      return { connected: false };
+      return { connected: false, roomName: this.roomName, ...reconnect };
     }
 
     const { list, count } = safeParticipants(this.room);
@@ -653,10 +1072,106 @@ class LiveKitAudioWorker {
       roomName: this.room.name,
       participantCount: count,
       activeRoutes: this.routes.size,
-      activeVoiceTransforms: this.activeS2S.size
+      activeVoiceTransforms: this.activeS2S.size,
+      ...reconnect,
     };
   }
 
+  // Counters for one speaker, created on first use
+  _stats(speaker) {
+    let stats = this.speakerStats.get(speaker);
+    if (!stats) {
+      stats = {
+        chunksQueued: 0,
+        chunksConverted: 0,
+        chunksSilent: 0,
+        chunksSkipped: 0,     // quota / rate limit back-off
+        chunksPaused: 0,      // dropped while paused through the control API
+        chunksUnrouted: 0,    // dropped because every listener picked original or mute
+        chunksFloorless: 0,   // dropped because the speaker doesn't hold the floor
+        chunksFailed: 0,
+        chunksFallback: 0,    // converted with the local fallback voice while the cloud was unavailable
+        chunksTranslated: 0,  // translate mode: chunks synthesized in another language, once per language
+        framesPublished: 0,
+        lastFirstFrameMs: null,
+        avgFirstFrameMs: null,
+        lastChunkAt: null,
+      };
+      this.speakerStats.set(speaker, stats);
+    }
+    return stats;
+  }
+
+  // Bump a per-speaker chunk outcome in both the control API stats and Prometheus,
+  // and close the chunk's recording entry when there is one
+  _countChunk(speaker, result, chunk = null, outputMs = 0) {
+    const field = `chunks${result[0].toUpperCase()}${result.slice(1)}`;
+    this._stats(speaker)[field]++;
+    metrics.chunks.inc({ room: this.roomName, speaker, result });
+    this.recorder?.finishChunk(chunk, result, { outputMs });
+  }
+
+  getSpeakerDetails(speaker) {
+    const route = this.routes.get(speaker);
+    const voiceInfo = this.participantVoices.get(speaker);
+    if (!route && !voiceInfo) return null;
+    const pipeline = this.pipelines.get(speaker);
+    return {
+      identity: speaker,
+      trackName: route?.key || null,
+      voiceId: route?.voiceId || voiceInfo?.voiceId || null,
+      voiceName: voiceInfo?.voiceName || null,
+      voiceSettings: route?.voiceSettings || voiceInfo?.voiceSettings || {},
+      mode: voiceInfo?.mode || 'convert',
+      language: voiceInfo?.language || null,
+      translations: Array.from(this.translationRoutes.values())
+        .filter(t => t.speaker === speaker)
+        .map(t => ({ language: t.language, trackName: t.key, bufferedMs: t.pipeline.bufferedMs })),
+      paused: this.pausedSpeakers.has(speaker),
+      streaming: this.activeS2S.has(speaker),
+      pipeline: pipeline ? {
+        pending: pipeline.pendingCount,
+        inFlight: pipeline.inFlightCount,
+        bufferedMs: pipeline.bufferedMs,
+      } : null,
+      stats: { ...this._stats(speaker) },
+    };
+  }
+
+  // Full room view for the control API
+  getRoomDetails() {
+    const speakers = new Set([...this.routes.keys(), ...this.participantVoices.keys()]);
+    return {
+      ...this.getRoomStatus(),
+      provider: this.provider.name,
+      scheduler: this.scheduler ? this.scheduler.state() : null,
+      providerDownUntil: this.providerDownUntil ? new Date(this.providerDownUntil).toISOString() : null,
+      fallbackPolicy: this.fallbackPolicy,
+      fallbackVoiceId: this.fallbackVoiceId,
+      floor: this.floor.state(),
+      usageBlocked: { room: this.usage.roomBlocked, users: Array.from(this.usage.blockedUsers) },
+      speakers: Array.from(speakers).map(speaker => this.getSpeakerDetails(speaker)),
+      listenerRoutes: Object.fromEntries(Array.from(this._routedListeners, l => [l, this.listenerRouting.routesOf(l)])),
+    };
+  }
+
+  // Pause or resume conversion for one speaker, returns false if they are not in the room
+  setSpeakerPaused(speaker, paused) {
+    if (!this.routes.has(speaker) && !this.participantVoices.has(speaker)) return false;
+    if (paused) {
+      this.pausedSpeakers.add(speaker);
+    } else {
+      this.pausedSpeakers.delete(speaker);
+    }
+    console.log(`${paused ? '⏸️ Paused' : '▶️ Resumed'} conversion for ${speaker}`);
+    return true;
+  }
+
+  // Identities of the non-worker participants currently in the room
+  getHumanParticipants() {
+    return safeParticipants(this.room).list.filter(identity => !identity.startsWith(WORKER_IDENTITY_PREFIX));
+  }
+
   // Unified starter for LiveKit AudioStream (Node SDK uses async iterator)
   _startAudioStream(track, speaker) {
     // ignore our own worker-published tracks
@@ -668,89 +1183,499 @@ class LiveKitAudioWorker {
       return;
     }
     
-    const stream = new AudioStream(track);
     const route = this.routes?.get(speaker);
     if (!route || !route.source || !route.voiceId) {
       console.warn(`⚠️ No route available for ${speaker}, skipping stream`);
       return;
     }
+
+    // LiveKit resamples the track to the pipeline rate; frames are mono unless a client forces stereo
+    const stream = new AudioStream(track, VOICE_SAMPLE_RATE, 1);
     
     this.activeS2S.add(speaker);
     console.log(`🎙️ Starting audio stream for ${speaker} with voice ${route.voiceId}`);
+
+    // Capture only enqueues chunks; the pipeline converts them in parallel and paces playback
+    this._stopPipeline(speaker);
+    const pipeline = new SpeakerPipeline({
+      speaker,
+      maxParallel: S2S_MAX_PARALLEL,
+      maxPending: S2S_MAX_PENDING,
+      jitterMs: JITTER_BUFFER_MS,
+      convert: (pcm, onFrame, seq, queuedAt) => this.sendS2SChunk(speaker, pcm, onFrame, this.recorder?.getChunk(speaker, seq), queuedAt),
+      publishFrame: (frame) => this._publishFrame(speaker, frame),
+      onDrop: (seq) => this._countChunk(speaker, 'skipped', this.recorder?.getChunk(speaker, seq)),
+    });
+    this.pipelines.set(speaker, pipeline);
     
-    // Chunk input PCM and send via multipart/form-data to ElevenLabs S2S
+    // Cut input PCM into utterances (VAD) or fixed-size chunks and queue them for conversion
     (async () => {
       try {
-        const samplesPerChunk = Math.max(1, Math.floor((VOICE_SAMPLE_RATE * S2S_CHUNK_MS) / 1000));
-        let buffers = [];
-        let totalSamples = 0;
-        let lastChunkTime = 0;
-        const minChunkInterval = 200; // Minimum 200ms between chunks to avoid API spam and reduce processing load
-
-        for await (const frame of stream) {
-          const src = frame?.data instanceof Int16Array
-            ? frame.data
-            : (frame?.data && frame?.data.buffer ? new Int16Array(frame.data.buffer) : null);
-          if (!src || src.length === 0) continue;
-          
-          // Only log every 50th frame to avoid spam
-          if (Math.random() < 0.02) console.log(`📊 Processing audio from ${speaker}: ${src.length} samples`);
-          
-          buffers.push(src);
-          totalSamples += src.length;
-
-          const now = Date.now();
-          const timeSinceLastChunk = now - lastChunkTime;
-          if (totalSamples >= samplesPerChunk && timeSinceLastChunk >= minChunkInterval) {
-            // Merge accumulated buffers
-            const merged = new Int16Array(totalSamples);
-            let o = 0;
-            for (const b of buffers) { merged.set(b, o); o += b.length; }
-            buffers = [];
-            totalSamples = 0;
-            lastChunkTime = now;
-
-            // Send chunk to ElevenLabs (multipart with audio field)
-            try {
-              await this.sendS2SChunk(speaker, merged);
-            } catch (chunkError) {
-              console.warn(`⚠️ S2S chunk processing failed for ${speaker}: ${chunkError.message}`);
-              if (chunkError.message.includes('InvalidState')) {
-                console.log(`🔌 Stopping audio processing for ${speaker} due to InvalidState`);
-                this.activeS2S.delete(speaker);
-                break; // Exit the audio stream loop
-              }
-            }
-          }
-        }
-
-        // Flush remaining if there's enough audio content
-        if (totalSamples > samplesPerChunk / 2) { // Only flush if we have at least half a chunk
-          const merged = new Int16Array(totalSamples);
-          let o = 0;
-          for (const b of buffers) { merged.set(b, o); o += b.length; }
-          try {
-            await this.sendS2SChunk(speaker, merged);
-          } catch (flushError) {
-            console.warn(`⚠️ S2S flush processing failed for ${speaker}: ${flushError.message}`);
-            if (flushError.message.includes('InvalidState')) {
-              console.log(`🔌 Stopping audio processing for ${speaker} during flush due to InvalidState`);
-              this.activeS2S.delete(speaker);
-            }
-          }
+        if (SEGMENT_MODE === 'vad') {
+          await this._segmentByVoiceActivity(stream, speaker);
+        } else {
+          await this._segmentFixedChunks(stream, speaker);
         }
-        
         console.log(`🔚 Audio stream ended for ${speaker}`);
       } catch (e) {
         console.error(`❌ Voice convert chunking error for ${speaker}:`, e.message || e);
       } finally {
-        this.activeS2S.delete(speaker);
+        // After a reconnect the speaker may already stream again through a new pipeline - leave that one alone
+        const current = this.pipelines.get(speaker) === pipeline;
+        if (current) this.activeS2S.delete(speaker);
+        // Let already-captured speech finish playing before tearing the pipeline down
+        await pipeline.close();
+        if (this.pipelines.get(speaker) === pipeline) this.pipelines.delete(speaker);
       }
     })();
   }
 
-  // Send a single chunk to ElevenLabs S2S and publish their response into the route's out AudioSource
-  async sendS2SChunk(speakerIdentity, int16) {
+  _stopPipeline(speaker) {
+    const pipeline = this.pipelines.get(speaker);
+    if (pipeline) {
+      pipeline.stop();
+      this.pipelines.delete(speaker);
+    }
+  }
+
+  // Hand one chunk to the speaker's pipeline and report whether the capture loop should keep going
+  _processChunk(speaker, pcm) {
+    if (!this.activeS2S.has(speaker)) {
+      console.log(`🔌 Stopping audio processing for ${speaker}`);
+      return false;
+    }
+    const stats = this._stats(speaker);
+    stats.lastChunkAt = new Date().toISOString();
+    if (this.pausedSpeakers.has(speaker)) {
+      this._countChunk(speaker, 'paused');
+      return true; // keep capturing so resume is instant
+    }
+    if (!this.floor.has(speaker)) {
+      this._countChunk(speaker, 'floorless');
+      return true; // someone else has the floor - crosstalk isn't converted
+    }
+    if (!this._hasConvertedListeners(speaker)) {
+      this._countChunk(speaker, 'unrouted');
+      return true; // everyone else picked original or mute - don't pay for a conversion nobody hears
+    }
+    stats.chunksQueued++;
+    const pipeline = this.pipelines.get(speaker);
+    if (pipeline) {
+      // The manifest entry has to exist before enqueue(), which may start the conversion right away
+      this.recorder?.startChunk(speaker, pipeline.nextSeq, { samples: pcm.length, voiceId: this.routes.get(speaker)?.voiceId });
+      const seq = pipeline.enqueue(pcm);
+      if (this.stt) this._publishCaption(speaker, pcm, seq);
+    }
+    // Translate mode: the same chunk also goes to one pipeline per listener language
+    for (const route of this.translationRoutes.values()) {
+      if (route.speaker === speaker) route.pipeline.enqueue(pcm);
+    }
+    return true;
+  }
+
+  // Transcript of one chunk, computed once and shared by captions and every translation.
+  // Resolves to null for silence, backlog or failures.
+  _transcript(speaker, pcm) {
+    let pending = this._transcripts.get(pcm);
+    if (pending) return pending;
+    pending = this._runTranscription(speaker, pcm);
+    this._transcripts.set(pcm, pending);
+    return pending;
+  }
+
+  async _runTranscription(speaker, pcm) {
+    if (rmsDbFS(pcm) < SILENCE_DB) return null;
+    const inFlight = this._sttInFlight.get(speaker) || 0;
+    if (inFlight >= STT_MAX_PARALLEL) {
+      console.warn(`⚠️ Transcription backlog for ${speaker} - skipping a chunk`);
+      return null;
+    }
+    this._sttInFlight.set(speaker, inFlight + 1);
+    try {
+      // STT APIs take ISO-639-1 codes - "pt", not the stored "pt-BR"
+      const language = baseLanguage(this.participantVoices.get(speaker)?.language) || undefined;
+      const transcript = await this.stt.transcribe(pcm, { sampleRate: VOICE_SAMPLE_RATE, language });
+      return transcript.text ? transcript : null;
+    } catch (error) {
+      const detail = error instanceof ConversionError ? `${error.kind} ${error.status || ''}`.trim() : error.message;
+      console.warn(`⚠️ Transcription failed for ${speaker}: ${detail}`);
+      return null;
+    } finally {
+      const left = (this._sttInFlight.get(speaker) || 1) - 1;
+      if (left > 0) this._sttInFlight.set(speaker, left);
+      else this._sttInFlight.delete(speaker);
+    }
+  }
+
+  // Publish one chunk's transcript as a caption.
+  // Captions carry the chunk's seq so clients can keep them in speaking order.
+  async _publishCaption(speaker, pcm, seq) {
+    const capturedAt = new Date().toISOString();
+    const transcript = await this._transcript(speaker, pcm);
+    if (!transcript) return;
+    console.log(`💬 ${speaker}: ${transcript.text}`);
+    await this._publishData(CAPTIONS_TOPIC, {
+      type: 'caption', speaker, seq, text: transcript.text, language: transcript.language, capturedAt,
+    }).catch(error => console.warn(`⚠️ Failed to publish caption for ${speaker}: ${error.message}`));
+  }
+
+  // Send a JSON data message to everyone in the room, or only to `destinations` (identities)
+  async _publishData(topic, payload, destinations) {
+    if (!this.room?.localParticipant || this.room.state !== ConnectionState.Connected) return;
+    const data = new TextEncoder().encode(JSON.stringify(payload));
+    await this.room.localParticipant.publishData(data, { reliable: true, topic, destination_identities: destinations });
+  }
+
+  // { type: 'set-route', speaker, mode } or { type: 'get-routes' } from a listener
+  async handleRoutingMessage(listener, payload) {
+    let message;
+    try {
+      message = JSON.parse(new TextDecoder().decode(payload));
+    } catch {
+      return this._publishData(ROUTING_TOPIC, { type: 'error', error: 'Malformed routing message' }, [listener]);
+    }
+
+    if (message.type === 'set-route') {
+      if (!message.speaker || !ROUTE_MODES.includes(message.mode)) {
+        return this._publishData(ROUTING_TOPIC, {
+          type: 'error', error: `set-route needs a speaker and a mode (${ROUTE_MODES.join(', ')})`,
+        }, [listener]);
+      }
+      this._routedListeners.add(listener);
+      if (this.listenerRouting.set(listener, message.speaker, message.mode)) {
+        console.log(`🎚️ ${listener} now hears ${message.speaker}: ${message.mode}`);
+        // Translation languages depend on who listens converted; this also re-applies subscriptions
+        await this.syncTranslationRoutes();
+      }
+    } else if (message.type !== 'get-routes') {
+      return;
+    }
+
+    await this._publishData(ROUTING_TOPIC, { type: 'routes', routes: this.listenerRouting.routesOf(listener) }, [listener]);
+  }
+
+  // { type: 'request' | 'release' | 'get', speaker? } from a participant, see lib/floor-control.js
+  async handleFloorMessage(identity, payload) {
+    let message;
+    try {
+      message = JSON.parse(new TextDecoder().decode(payload));
+    } catch {
+      return this._publishData(FLOOR_TOPIC, { type: 'error', error: 'Malformed floor message' }, [identity]);
+    }
+
+    if (message.type === 'get') {
+      return this._publishData(FLOOR_TOPIC, this.floor.state(), [identity]);
+    }
+    if (this.floor.free) {
+      return this._publishData(FLOOR_TOPIC, { type: 'error', error: 'This room has no floor control - everyone is converted' }, [identity]);
+    }
+
+    if (message.type === 'request') {
+      const { granted, preempted } = this.floor.request(identity, { priority: this._hasFloorPriority(identity) });
+      console.log(`🎤 ${identity} ${granted ? 'has the floor' : 'is waiting for the floor'}${preempted ? ` (taken from ${preempted})` : ''}`);
+    } else if (message.type === 'release') {
+      const target = message.speaker || identity;
+      if (target !== identity && !this._hasFloorPriority(identity)) {
+        return this._publishData(FLOOR_TOPIC, { type: 'error', error: 'Only room admins and priority roles can release the floor for someone else' }, [identity]);
+      }
+      if (!this.floor.release(target)) return this._publishData(FLOOR_TOPIC, this.floor.state(), [identity]);
+      console.log(`🎤 ${target} gave up the floor${target !== identity ? ` (released by ${identity})` : ''}`);
+    } else {
+      return;
+    }
+    await this._broadcastFloor();
+  }
+
+  // Room admins, and roles in FLOOR_PRIORITY_ROLES (participant attributes set by the server's token route)
+  _hasFloorPriority(identity) {
+    const participantMap = this.room?.remoteParticipants ?? this.room?.participants ?? new Map();
+    const attributes = participantMap.get(identity)?.attributes || {};
+    return attributes.roomAdmin === 'true' || FLOOR_PRIORITY_ROLES.includes(attributes.role);
+  }
+
+  async _broadcastFloor() {
+    await this._publishData(FLOOR_TOPIC, this.floor.state());
+  }
+
+  // Anyone but the speaker still hears them converted (alone in the room counts as yes, for self-monitoring)
+  _hasConvertedListeners(speaker) {
+    const others = this.getHumanParticipants().filter(identity => identity !== speaker);
+    return others.length === 0 || this.listenerRouting.wantsConverted(speaker, others);
+  }
+
+  // Original and converted track SIDs of every human speaker, for ListenerRouting.plan()
+  _routingSpeakers() {
+    const participantMap = this.room?.remoteParticipants ?? this.room?.participants ?? new Map();
+    const speakers = [];
+    for (const participant of participantMap.values()) {
+      if (participant.identity.startsWith(WORKER_IDENTITY_PREFIX)) continue;
+      const originalSids = Array.from(participant.trackPublications?.values() || [])
+        .filter(pub => mapKind(pub.kind) === 'audio' && pub.sid)
+        .map(pub => pub.sid);
+      const translatedSids = Object.fromEntries(Array.from(this.translationRoutes.values())
+        .filter(route => route.speaker === participant.identity && route.track?.sid)
+        .map(route => [route.language, route.track.sid]));
+      const convertedSid = this.routes.get(participant.identity)?.track?.sid || null;
+      speakers.push({ identity: participant.identity, originalSids, convertedSid, translatedSids });
+    }
+    return speakers;
+  }
+
+  // Enforce routes server-side: subscribe each routed listener to exactly the tracks they picked
+  async applyListenerRoutes() {
+    if (this._routedListeners.size === 0 || !this.roomName) return;
+    if (!this.roomService) this.roomService = createRoomService();
+    const speakers = this._routingSpeakers();
+    const present = new Set(speakers.map(speaker => speaker.identity));
+
+    for (const listener of this._routedListeners) {
+      if (!present.has(listener)) continue;
+      const language = baseLanguage(this.participantVoices.get(listener)?.language);
+      const { subscribe, unsubscribe } = this.listenerRouting.plan(listener, speakers, language);
+      try {
+        if (subscribe.length) await this.roomService.updateSubscriptions(this.roomName, listener, subscribe, true);
+        if (unsubscribe.length) await this.roomService.updateSubscriptions(this.roomName, listener, unsubscribe, false);
+      } catch (error) {
+        console.warn(`⚠️ Failed to update subscriptions for ${listener}:`, error.message);
+      }
+    }
+  }
+
+  // Cut on natural pauses: utterances end after SILENCE_HANG_MS of silence, are dropped below
+  // MIN_UTTER_MS of speech and are capped at MAX_UTTER_MS so latency stays bounded
+  async _segmentByVoiceActivity(stream, speaker) {
+    const segmenter = new UtteranceSegmenter({
+      sampleRate: VOICE_SAMPLE_RATE,
+      minUtterMs: MIN_UTTER_MS,
+      silenceHangMs: SILENCE_HANG_MS,
+      maxUtterMs: MAX_UTTER_MS,
+      detector: new VoiceActivityDetector({ silenceDb: SILENCE_DB, sampleRate: VOICE_SAMPLE_RATE }),
+    });
+
+    for await (const frame of stream) {
+      const src = frameToInt16(frame);
+      if (!src) continue;
+      this.recorder?.writeInput(speaker, src);
+
+      for (const utterance of segmenter.push(src)) {
+        if (!this._processChunk(speaker, utterance)) return;
+      }
+    }
+
+    const rest = segmenter.flush();
+    if (rest) this._processChunk(speaker, rest);
+  }
+
+  // Legacy mode: cut every S2S_CHUNK_MS regardless of where speech falls
+  async _segmentFixedChunks(stream, speaker) {
+    const samplesPerChunk = Math.max(1, Math.floor((VOICE_SAMPLE_RATE * S2S_CHUNK_MS) / 1000));
+    let buffers = [];
+    let totalSamples = 0;
+    let lastChunkTime = 0;
+    const minChunkInterval = 200; // Minimum 200ms between chunks to avoid API spam and reduce processing load
+
+    for await (const frame of stream) {
+      const src = frameToInt16(frame);
+      if (!src) continue;
+      this.recorder?.writeInput(speaker, src);
+      
+      // Only log every 50th frame to avoid spam
+      if (Math.random() < 0.02) console.log(`📊 Processing audio from ${speaker}: ${src.length} samples`);
+      
+      buffers.push(src);
+      totalSamples += src.length;
+
+      const now = Date.now();
+      const timeSinceLastChunk = now - lastChunkTime;
+      if (totalSamples >= samplesPerChunk && timeSinceLastChunk >= minChunkInterval) {
+        // Merge accumulated buffers
+        const merged = new Int16Array(totalSamples);
+        let o = 0;
+        for (const b of buffers) { merged.set(b, o); o += b.length; }
+        buffers = [];
+        totalSamples = 0;
+        lastChunkTime = now;
+
+        if (!this._processChunk(speaker, merged)) return;
+      }
+    }
+
+    // Flush remaining if there's enough audio content
+    if (totalSamples > samplesPerChunk / 2) { // Only flush if we have at least half a chunk
+      const merged = new Int16Array(totalSamples);
+      let o = 0;
+      for (const b of buffers) { merged.set(b, o); o += b.length; }
+      this._processChunk(speaker, merged);
+    }
+  }
+
+  // Room settings from the LiveKit room metadata (see lib/fallback-policy.js)
+  applyRoomSettings(metadata) {
+    const { fallbackPolicy, floorPolicy } = parseRoomSettings(metadata);
+    if (this.floor.setPolicy(floorPolicy)) {
+      console.log(`🎤 Floor policy for ${this.roomName}: ${floorPolicy}`);
+      this._broadcastFloor().catch(error => console.warn('⚠️ Failed to send the floor state:', error.message));
+    }
+    if (fallbackPolicy === this.fallbackPolicy) return;
+    console.log(`🛟 Fallback policy for ${this.roomName}: ${fallbackPolicy}`);
+    this.fallbackPolicy = fallbackPolicy;
+    // Listeners hear something different now - tell them if a fallback is in effect
+    if (this._announcedReason) {
+      this._publishData(FALLBACK_TOPIC, fallbackNotice({ reason: this._announcedReason, policy: fallbackPolicy }))
+        .catch(error => console.warn('⚠️ Failed to send fallback notice:', error.message));
+    }
+  }
+
+  // Voice a chunk is played in when it can't be converted by the provider, null for the 'silent' policy
+  _fallbackVoice() {
+    return fallbackVoiceFor(this.fallbackPolicy, this.fallbackVoiceId);
+  }
+
+  // Why the cloud provider can't be used right now ('quota' or 'down'), or null when it can.
+  // A rate limit doesn't count: requests wait in the scheduler, and only the ones that get too old fall back.
+  _providerUnavailable() {
+    if (this.scheduler?.limited() === 'quota') return 'quota';
+    if (this.providerDownUntil && Date.now() < this.providerDownUntil) return 'down';
+    return null;
+  }
+
+  // Tell the room when the provider becomes unavailable, is rate-limited or comes back (once per change)
+  _announceProviderState() {
+    const reason = this._providerUnavailable() || this.scheduler?.limited() || null;
+    if (reason === this._announcedReason) return;
+    this._announcedReason = reason;
+    this._publishData(FALLBACK_TOPIC, fallbackNotice({ reason, policy: this.fallbackPolicy }))
+      .catch(error => console.warn('⚠️ Failed to send fallback notice:', error.message));
+  }
+
+  // One speaker's chunk failed (or they are over budget) while the provider as a whole is fine
+  _announceChunkFailure(speaker, reason = 'error') {
+    const last = this._speakerNoticeAt.get(speaker) || 0;
+    if (Date.now() - last < FALLBACK_NOTICE_MS) return;
+    this._speakerNoticeAt.set(speaker, Date.now());
+    this._publishData(FALLBACK_TOPIC, fallbackNotice({ reason, policy: this.fallbackPolicy, speaker }))
+      .catch(error => console.warn('⚠️ Failed to send fallback notice:', error.message));
+  }
+
+  // 'budget' when the speaker's or the room's usage budget is used up, as of the last usage report
+  _overBudget(speaker) {
+    return this.usage.blocked(speaker) ? 'budget' : null;
+  }
+
+  // Send the usage counted since the last report to the server and take over its budget verdicts.
+  // Reports that don't get through are kept and sent with the next one.
+  async reportUsage() {
+    if (!this.roomName) return;
+    const entries = this.usage.take();
+    const users = this.getHumanParticipants();
+    if (entries.length === 0 && users.length === 0) return;
+    try {
+      const res = await fetch(`${SERVER_URL}/usage/report`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(WORKER_API_TOKEN ? { Authorization: `Bearer ${WORKER_API_TOKEN}` } : {}),
+        },
+        body: JSON.stringify({ room: this.roomName, users, entries }),
+        signal: AbortSignal.timeout(5000),
+      });
+      if (!res.ok) throw new Error(`server answered ${res.status}`);
+      const wasRoomBlocked = this.usage.roomBlocked;
+      for (const user of this.usage.applyStatus(await res.json())) {
+        console.log(`💰 ${user} is ${this.usage.blockedUsers.has(user) ? 'over' : 'within'} their usage budget`);
+      }
+      if (this.usage.roomBlocked !== wasRoomBlocked) {
+        console.log(`💰 Room ${this.roomName} is ${this.usage.roomBlocked ? 'over' : 'within'} its usage budget`);
+      }
+      this._usageReportFailing = false;
+    } catch (error) {
+      this.usage.restore(entries);
+      if (!this._usageReportFailing) console.warn('⚠️ Failed to report usage to the server:', error.message);
+      this._usageReportFailing = true;
+    }
+  }
+
+  // Several failures in a row mark the cloud provider as down for PROVIDER_DOWN_MS
+  _noteProviderFailure() {
+    this._providerFailures++;
+    if (this._providerFailures >= PROVIDER_DOWN_AFTER && !this._providerUnavailable()) {
+      this.providerDownUntil = Date.now() + PROVIDER_DOWN_MS;
+      console.error(`🚧 ${this.provider.name} failed ${this._providerFailures} times in a row - fallback policy "${this.fallbackPolicy}" for ${PROVIDER_DOWN_MS / 1000}s`);
+    }
+  }
+
+  _noteProviderSuccess() {
+    this._providerFailures = 0;
+    this.lastSuccessfulCall = Date.now();
+    if (this.providerDownUntil) {
+      console.log(`🎉 ${this.provider.name} is reachable again`);
+      this.providerDownUntil = null;
+    }
+    if (this.scheduler?.noteSuccess()) {
+      console.log(`🎉 ${this.provider.name} quota appears to be restored - resuming processing`);
+    }
+  }
+
+  // Hand quota and rate-limit responses to the scheduler: a rate limit holds requests back until its
+  // Retry-After, an exhausted quota makes the provider unavailable. Returns true for either.
+  _noteProviderLimit(error) {
+    if (!this.scheduler || !(error instanceof ConversionError)) return false;
+    if (error.kind === 'rate_limit') {
+      const waitMs = this.scheduler.noteRateLimit(error.retryAfterMs);
+      console.warn(`⏰ Rate limited by ${this.provider.name} - holding requests for ${(waitMs / 1000).toFixed(1)}s${error.retryAfterMs !== null ? ' (Retry-After)' : ''}`);
+    } else if (error.kind === 'quota') {
+      const waitMs = this.scheduler.noteQuotaExhausted(error.retryAfterMs);
+      console.error(`💳 ${this.provider.name} quota exhausted - fallback policy "${this.fallbackPolicy}" for ${Math.round(waitMs / 1000)}s`);
+    } else {
+      return false;
+    }
+    metrics.providerLimits.inc({ room: this.roomName, provider: this.provider.name, kind: error.kind });
+    this._announceProviderState();
+    return true;
+  }
+
+  // Run one cloud request in a scheduler slot. Throws ConversionError 'dropped' when no slot is free
+  // before `deadline`; the request was never sent.
+  async _scheduled(deadline, task) {
+    if (!this.scheduler) return task();
+    const release = await this.scheduler.acquire({ deadline });
+    if (!release) {
+      metrics.providerLimits.inc({ room: this.roomName, provider: this.provider.name, kind: 'dropped' });
+      throw new ConversionError(`${this.provider.name} request dropped - no free slot in time`, { kind: 'dropped' });
+    }
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  }
+
+  // Cloud conversion of one chunk. A 429 before any audio came back puts the chunk back in the
+  // scheduler's queue, where it waits out the Retry-After unless it gets too old first - at most
+  // RATE_LIMIT_MAX_ATTEMPTS requests in all.
+  async _convertScheduled(speakerIdentity, int16, voiceId, voiceSettings, onFrame, chunk, progress, deadline) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this._scheduled(deadline, () => this._streamConversion(speakerIdentity, this.provider, int16, voiceId, voiceSettings, onFrame, chunk, progress));
+      } catch (error) {
+        const retry = error instanceof ConversionError && error.kind === 'rate_limit' && progress.framesOut === 0;
+        if (!retry || attempt >= RATE_LIMIT_MAX_ATTEMPTS || !this.routes.has(speakerIdentity)) throw error;
+        this._noteProviderLimit(error);
+        if (!this.scheduler) {
+          const waitMs = error.retryAfterMs ?? RATE_LIMIT_RETRY_MS * attempt;
+          if (Date.now() + waitMs > deadline) throw error;
+          await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+      }
+    }
+  }
+
+  // Send a single chunk to the voice provider and stream its response as 20ms frames to onFrame.
+  // Local voices run on the local provider. Chunks of cloud voices that can't be converted - provider
+  // out of quota or down, no request slot within PROVIDER_MAX_CHUNK_AGE_MS of queuedAt, request failed
+  // before any audio came back, too quiet to send - follow the room's fallback policy: local fallback
+  // voice, original audio or silence.
+  async sendS2SChunk(speakerIdentity, int16, onFrame, chunk = null, queuedAt = Date.now()) {
     try {
       // Check if we should still be processing (room still connected)
       if (!this.room || this.room.state !== ConnectionState.Connected) {
@@ -764,16 +1689,20 @@ class LiveKitAudioWorker {
         return;
       }
 
-      // Check if we've hit quota limits recently
-      if (this.quotaExhausted && Date.now() - this.quotaExhausted < 60000) {
-        // Skip processing for 1 minute after quota exhaustion
-        return;
-      }
+      const stats = this._stats(speakerIdentity);
+      const cloudVoice = !isLocalVoice(route.voiceId);
+      const fallbackVoice = this._fallbackVoice();
+      const newProgress = () => ({ framesOut: 0, totalBytes: 0, firstFrameMs: null });
 
       // Calculate audio level to avoid processing silence
       const rmsLevel = rmsDbFS(int16);
       if (rmsLevel < SILENCE_DB) {
-        // Skip processing if audio is too quiet (likely silence)
+        // Never worth a provider request; unless the room wants silence, listeners still hear it
+        const quietVoice = cloudVoice || !fallbackVoice ? fallbackVoice : route.voiceId;
+        if (quietVoice) {
+          await this._streamConversion(speakerIdentity, this.localProvider, int16, quietVoice, route.voiceSettings, onFrame, chunk, newProgress());
+        }
+        this._countChunk(speakerIdentity, 'silent', chunk);
         return;
       }
       
@@ -782,144 +1711,168 @@ class LiveKitAudioWorker {
         return;
       }
 
-      console.log(`🎵 Processing audio chunk for ${speakerIdentity} with voice ${route.voiceId} (level: ${rmsLevel.toFixed(1)}dB)`);
-      
-      // Convert PCM to WAV buffer
-      const wav = pcmToWavBuffer(int16, VOICE_SAMPLE_RATE);
-
-      // Build multipart/form-data manually (Node-safe)
-      const boundary = `----lk-el-${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
-      const partHeader = Buffer.from(
-        `--${boundary}\r\n` +
-        `Content-Disposition: form-data; name="audio"; filename="chunk.wav"\r\n` +
-        `Content-Type: audio/wav\r\n\r\n`
-      );
-      const partFooter = Buffer.from(`\r\n--${boundary}--\r\n`);
-      const body = Buffer.concat([partHeader, wav, partFooter]);
-
-      const res = await fetch(`https://api.elevenlabs.io/v1/speech-to-speech/${route.voiceId}/stream?output_format=pcm_48000&optimize_streaming_latency=4`, {
-        method: 'POST',
-        headers: {
-          'xi-api-key': process.env.ELEVENLABS_API_KEY,
-          'content-type': `multipart/form-data; boundary=${boundary}`,
-        },
-        body,
-        timeout: 30000 // 30 second timeout
-      });
-      
-      if (!res.ok) {
-        const text = await res.text().catch(() => '');
-        
-        // Handle quota exhaustion and rate limiting
-        if ((res.status === 401 || res.status === 429) && (text.includes('quota_exceeded') || text.includes('quota'))) {
-          console.error('💳 ElevenLabs quota exhausted - pausing requests for 1 minute');
-          this.quotaExhausted = Date.now();
-          return;
-        }
-        
-        if (res.status === 429) {
-          console.warn('⏰ Rate limited by ElevenLabs - backing off');
-          this.quotaExhausted = Date.now();
-          return;
-        }
-        
-        console.error('ElevenLabs S2S error', res.status, text);
+      const unavailable = cloudVoice ? this._providerUnavailable() || this._overBudget(speakerIdentity) : null;
+      if (cloudVoice) this._announceProviderState();
+      if (unavailable === 'budget') this._announceChunkFailure(speakerIdentity, 'budget');
+      if (unavailable && !fallbackVoice) {
+        this._countChunk(speakerIdentity, 'skipped', chunk);
         return;
       }
 
-      const buf = Buffer.from(await res.arrayBuffer());
-      if (buf.length === 0) {
-        console.warn('⚠️ Received empty response from ElevenLabs');
-        return;
-      }
+      const progress = newProgress();
+      let provider = cloudVoice && !unavailable ? this.provider : this.localProvider;
+      let voiceId = unavailable ? fallbackVoice : route.voiceId;
+      console.log(`🎵 Processing audio chunk for ${speakerIdentity} with voice ${voiceId}${unavailable ? ` (${this.provider.name}: ${unavailable})` : ''} (level: ${rmsLevel.toFixed(1)}dB)`);
 
-      // Response is raw PCM 48k mono Int16 – publish in 20ms frames
-      let pcmAll;
+      this.recorder?.markChunk(chunk, 'sent');
+      const startedAt = Date.now();
       try {
-        pcmAll = new Int16Array(buf.buffer, buf.byteOffset, Math.floor(buf.length / 2));
-        const samplesPer20ms = Math.floor(48000 * 0.02); // 960
-        
-        if (!route.source) {
-          console.warn(`⚠️ Route source no longer available for ${speakerIdentity}`);
-          return;
+        if (provider === this.provider) {
+          await this._convertScheduled(speakerIdentity, int16, voiceId, route.voiceSettings, onFrame, chunk, progress, queuedAt + PROVIDER_MAX_CHUNK_AGE_MS);
+        } else {
+          await this._streamConversion(speakerIdentity, provider, int16, voiceId, route.voiceSettings, onFrame, chunk, progress);
         }
-        
-        let framesPublished = 0;
-        for (let i = 0; i + samplesPer20ms <= pcmAll.length; i += samplesPer20ms) {
-          const slice = pcmAll.subarray(i, i + samplesPer20ms);
-          try {
-            // Check if route still exists and source is valid
-            if (!this.routes.has(speakerIdentity) || !route.source) {
-              console.warn(`⚠️ Route became invalid during processing for ${speakerIdentity}`);
-              break;
-            }
-            
-            const frame = AudioFrame.create(48000, 1, slice.length);
-            new Int16Array(frame.data.buffer).set(slice);
-            
-            // Check if we should still be processing and route is valid
-            if (!this.room || this.room.state !== ConnectionState.Connected) {
-              console.log(`🔌 Room disconnected during processing for ${speakerIdentity}`);
-              break;
-            }
-            
-            if (!this.routes.has(speakerIdentity) || !this.routes.get(speakerIdentity).source) {
-              console.log(`🔌 Route invalid during processing for ${speakerIdentity}`);
-              break;
-            }
-            
-            // Wrap captureFrame in additional try-catch to handle InvalidState
-            try {
-              route.source.captureFrame(frame);
-              framesPublished++;
-            } catch (captureError) {
-              if (captureError.message.includes('InvalidState') || captureError.message.includes('failed to capture frame')) {
-                // Only attempt recovery if we haven't recently recreated this route
-                if (!this.recentlyRecreated.has(speakerIdentity)) {
-                  console.log(`🔄 AudioSource invalid for ${speakerIdentity} - attempting recovery`);
-                  this.recentlyRecreated.add(speakerIdentity);
-                  // Clear the flag after 5 seconds to allow future recovery attempts
-                  setTimeout(() => this.recentlyRecreated.delete(speakerIdentity), 5000);
-                  // Try to recreate the AudioSource and route
-                  await this.recreateRouteForParticipant(speakerIdentity);
-                }
-                // Stop processing this chunk, but allow future chunks to try the new route
-                throw captureError; 
-              }
-              console.warn(`⚠️ AudioSource.captureFrame failed: ${captureError.message}`);
-              throw captureError;
-            }
-          } catch (frameError) {
-            console.warn(`⚠️ Failed to capture audio frame ${framesPublished + 1}: ${frameError.message}`);
-            
-            // If it's an InvalidState error, the participant likely disconnected
-            if (frameError.message.includes('InvalidState')) {
-              console.log(`🔌 Participant ${speakerIdentity} appears to have disconnected - stopping processing`);
-              this.activeS2S.delete(speakerIdentity);
-            }
-            break; // Stop processing this chunk
+      } catch (convertError) {
+        if (provider !== this.provider) throw convertError;
+
+        const dropped = convertError instanceof ConversionError && convertError.kind === 'dropped';
+        if (dropped) {
+          console.warn(`⏳ ${this.provider.name} busy - no request slot for ${speakerIdentity}'s chunk within ${PROVIDER_MAX_CHUNK_AGE_MS}ms`);
+        } else if (!this._noteProviderLimit(convertError)) {
+          if (convertError instanceof ConversionError && convertError.kind === 'timeout') {
+            console.warn(`⏰ ${this.provider.name} request timed out`);
+          } else if (convertError instanceof ConversionError) {
+            console.error(`${this.provider.name} conversion error`, convertError.status, convertError.body);
+          } else {
+            console.error(`❌ ${this.provider.name} request failed for ${speakerIdentity}:`, convertError.message || convertError);
           }
+          this._noteProviderFailure();
         }
-        
-        // Mark successful call
-        this.lastSuccessfulCall = Date.now();
-        if (this.quotaExhausted) {
-          console.log('🎉 ElevenLabs quota appears to be restored - resuming processing');
-          this.quotaExhausted = null;
+        if (this._providerUnavailable()) this._announceProviderState();
+        else this._announceChunkFailure(speakerIdentity, dropped ? 'rate_limit' : 'error');
+
+        // Nothing was played yet - the listener still gets this chunk, the way the room's policy says
+        if (!fallbackVoice || progress.framesOut > 0 || !this.routes.has(speakerIdentity)) {
+          this._countChunk(speakerIdentity, 'failed', chunk);
+          return;
         }
-        
-        console.log(`✅ Voice transformation complete for ${speakerIdentity}, sent ${pcmAll.length} samples (${framesPublished} frames)`);
-      } catch (pcmError) {
-        console.warn(`⚠️ Failed to process PCM data for ${speakerIdentity}: ${pcmError.message}`);
+        provider = this.localProvider;
+        voiceId = fallbackVoice;
+        await this._streamConversion(speakerIdentity, provider, int16, voiceId, route.voiceSettings, onFrame, chunk, progress);
+      }
+
+      if (progress.totalBytes === 0) {
+        this._countChunk(speakerIdentity, 'failed', chunk);
+        console.warn(`⚠️ Received empty response from ${provider.name}`);
+        if (provider === this.provider) this._noteProviderFailure();
         return;
       }
+
+      const outputMs = Math.round((progress.totalBytes / 2 / VOICE_SAMPLE_RATE) * 1000);
+      const fellBack = cloudVoice && provider !== this.provider;
+      this._countChunk(speakerIdentity, fellBack ? 'fallback' : 'converted', chunk, outputMs);
+      stats.lastFirstFrameMs = progress.firstFrameMs;
+      const labels = { room: this.roomName, speaker: speakerIdentity, provider: provider.name };
+      metrics.conversionLatency.observe(labels, progress.firstFrameMs / 1000);
+      metrics.conversionDuration.observe(labels, (Date.now() - startedAt) / 1000);
+      metrics.responseBytes.observe(labels, progress.totalBytes);
+      stats.avgFirstFrameMs = stats.avgFirstFrameMs === null
+        ? progress.firstFrameMs
+        : Math.round(stats.avgFirstFrameMs * 0.8 + progress.firstFrameMs * 0.2); // moving average
+
+      if (provider === this.provider) {
+        this._noteProviderSuccess();
+        this._announceProviderState();
+        this.usage.add(speakerIdentity, { seconds: int16.length / VOICE_SAMPLE_RATE });
+      }
+
+      console.log(`✅ Voice transformation complete for ${speakerIdentity}${fellBack ? ` (fallback ${voiceId})` : ''}, received ${Math.floor(progress.totalBytes / 2)} samples (${progress.framesOut} frames)`);
     } catch (e) {
-      // Handle network timeouts and other errors gracefully
-      if (e.name === 'TimeoutError' || e.code === 'ETIMEDOUT') {
-        console.warn('⏰ ElevenLabs request timed out - skipping chunk');
-      } else {
-        console.error(`❌ sendS2SChunk failed for ${speakerIdentity}:`, e.message || e);
+      this._countChunk(speakerIdentity, 'failed', chunk);
+      console.error(`❌ sendS2SChunk failed for ${speakerIdentity}:`, e.message || e);
+    }
+  }
+
+  // Stream one conversion into onFrame as 20ms frames. progress ({ framesOut, totalBytes, firstFrameMs })
+  // is updated as frames go out, so after a failure the caller knows whether anything was played.
+  async _streamConversion(speakerIdentity, provider, int16, voiceId, voiceSettings, onFrame, chunk, progress) {
+    const framer = new PcmFramer(SAMPLES_PER_FRAME);
+    const startedAt = Date.now();
+    const emit = (slice) => {
+      if (progress.firstFrameMs === null) {
+        progress.firstFrameMs = Date.now() - startedAt;
+        this.recorder?.markChunk(chunk, 'firstFrame');
       }
+      onFrame(slice);
+      progress.framesOut++;
+    };
+
+    const convertOpts = { sampleRate: VOICE_SAMPLE_RATE, voiceSettings };
+    for await (const bytes of provider.convertStream(int16, voiceId, convertOpts)) {
+      for (const slice of framer.push(bytes)) emit(slice);
+      progress.totalBytes = framer.totalBytes;
+      // Speaker left mid-request - leaving the loop cancels the response body
+      if (!this.routes.has(speakerIdentity)) break;
+    }
+
+    // Trailing partial frame (padded with silence) so no converted audio is lost
+    const tail = framer.flush();
+    if (tail) emit(tail);
+    progress.totalBytes = framer.totalBytes;
+  }
+
+  // Push one 20ms frame into the speaker's current AudioSource, returns false when the chunk should stop
+  async _publishFrame(speakerIdentity, slice) {
+    const route = this.routes.get(speakerIdentity);
+    try {
+      // Check if we should still be processing and route is valid
+      if (!this.room || this.room.state !== ConnectionState.Connected) {
+        console.log(`🔌 Room disconnected during processing for ${speakerIdentity}`);
+        return false;
+      }
+
+      if (!route || !route.source) {
+        console.log(`🔌 Route invalid during processing for ${speakerIdentity}`);
+        return false;
+      }
+
+      const frame = AudioFrame.create(VOICE_SAMPLE_RATE, 1, slice.length);
+      new Int16Array(frame.data.buffer).set(slice);
+
+      // Wrap captureFrame in additional try-catch to handle InvalidState
+      try {
+        await route.source.captureFrame(frame);
+        this._stats(speakerIdentity).framesPublished++;
+        this.recorder?.writeOutput(speakerIdentity, slice);
+        metrics.framesPublished.inc({ room: this.roomName, speaker: speakerIdentity });
+        return true;
+      } catch (captureError) {
+        if (captureError.message.includes('InvalidState') || captureError.message.includes('failed to capture frame')) {
+          // Only attempt recovery if we haven't recently recreated this route
+          if (!this.recentlyRecreated.has(speakerIdentity)) {
+            console.log(`🔄 AudioSource invalid for ${speakerIdentity} - attempting recovery`);
+            this.recentlyRecreated.add(speakerIdentity);
+            // Clear the flag after 5 seconds to allow future recovery attempts
+            setTimeout(() => this.recentlyRecreated.delete(speakerIdentity), 5000);
+            // Try to recreate the AudioSource and route
+            metrics.routeRecreations.inc({ room: this.roomName, speaker: speakerIdentity });
+            await this.recreateRouteForParticipant(speakerIdentity);
+          }
+          // Stop processing this chunk, but allow future chunks to try the new route
+          throw captureError;
+        }
+        console.warn(`⚠️ AudioSource.captureFrame failed: ${captureError.message}`);
+        throw captureError;
+      }
+    } catch (frameError) {
+      console.warn(`⚠️ Failed to capture audio frame for ${speakerIdentity}: ${frameError.message}`);
+
+      // If it's an InvalidState error, the participant likely disconnected
+      if (frameError.message.includes('InvalidState')) {
+        console.log(`🔌 Participant ${speakerIdentity} appears to have disconnected - stopping processing`);
+        this.activeS2S.delete(speakerIdentity);
+      }
+      return false; // Stop processing this chunk
     }
   }
 
@@ -928,23 +1881,137 @@ class LiveKitAudioWorker {
 
 // Voice transformation pipeline is now handled directly in the class methods
 
+// Process-wide handlers, installed once; `owner` is the worker or supervisor that gets shut down
+function setupProcess(owner) {
+  const shutdown = (code) => {
+    Promise.resolve(owner.cleanup()).finally(() => process.exit(code));
+  };
+
+  // Handle uncaught exceptions to prevent crashes
+  process.on('uncaughtException', (error) => {
+    console.error('🚨 Uncaught Exception:', error.message);
+    if (error.message.includes('InvalidState') && error.message.includes('failed to capture frame')) {
+      console.log('🔌 AudioSource InvalidState detected - cleaning up and continuing...');
+      owner.onAudioSourceInvalid();
+      // Don't exit - let the worker continue
+      return;
+    }
+    // For other uncaught exceptions, exit gracefully
+    console.error('🚨 Fatal error, shutting down...');
+    shutdown(1);
+  });
+  
+  // Handle unhandled promise rejections
+  process.on('unhandledRejection', (reason, promise) => {
+    if (reason && reason.message && reason.message.includes('InvalidState')) {
+      // Don't spam logs for InvalidState - we handle this gracefully
+      return;
+    }
+    console.error('🚨 Unhandled Promise Rejection:', reason);
+  });
+
+  // Graceful shutdown
+  process.on('SIGINT', () => {
+    console.log('🛑 Shutting down gracefully...');
+    shutdown(0);
+  });
+
+  process.on('SIGTERM', () => {
+    console.log('🛑 Shutting down gracefully...');
+    shutdown(0);
+  });
+}
+
+function createServerChannel() {
+  return new WorkerChannelClient(`${SERVER_URL.replace(/^http/, 'ws')}${WORKER_CHANNEL_PATH}`, { token: WORKER_API_TOKEN });
+}
+
+// Single-room mode: `node worker.js <room>`
+async function runSingleRoom(roomName) {
+  // Nothing else would bring a single-room worker back - exit so the process manager restarts it
+  const worker = new LiveKitAudioWorker({
+    onReconnectFailed: () => Promise.resolve(worker.cleanup()).finally(() => process.exit(1)),
+  });
+  setupProcess(worker);
+
+  await worker.connectToRoom(roomName);
+
+  // Receive live voice changes from the server
+  const channel = createServerChannel();
+  worker.attachServerChannel(channel);
+  channel.connect();
+  
+  await startControlApi({
+    getWorkers: () => new Map([[roomName, worker]]),
+    getStatus: () => ({ mode: 'single-room', rooms: [worker.getRoomStatus()] }),
+  });
+  
+  // Log status every 30 seconds - worker.room is a new Room after every reconnect
+  setInterval(() => {
+    if (worker.room) logRoomStatus(worker.room, 'Periodic');
+  }, 30000);
+}
+
+// Multi-room mode: `node worker.js` - one worker per room with humans in it
+async function runSupervisor() {
+  const provider = createVoiceProvider(); // shared so every room counts against the same account limits
+  const stt = createSttProvider();
+  const translator = createTranslator();
+  const channel = createServerChannel();
+  const allowedRooms = (process.env.WORKER_ROOMS || '').split(',').map(r => r.trim()).filter(Boolean);
+
+  const roomService = createRoomService();
+
+  const supervisor = new RoomSupervisor({
+    roomService,
+    pollMs: parseInt(process.env.ROOM_POLL_MS || '15000', 10),
+    emptyGraceMs: parseInt(process.env.ROOM_EMPTY_GRACE_MS || '30000', 10),
+    roomFilter: (roomName) => allowedRooms.length === 0 || allowedRooms.includes(roomName),
+    createWorker: () => {
+      const worker = new LiveKitAudioWorker({ provider, stt, translator, roomService });
+      worker.attachServerChannel(channel);
+      return worker;
+    },
+  });
+
+  setupProcess({
+    cleanup: () => supervisor.stopAll(),
+    onAudioSourceInvalid: () => {
+      for (const { worker } of supervisor.workers.values()) worker.onAudioSourceInvalid();
+    },
+  });
+
+  // Webhooks received by the server are forwarded over the channel
+  channel.on('room-event', (event) => {
+    supervisor.handleRoomEvent(event)
+      .catch(error => console.error('❌ Failed to handle room event:', error.message));
+  });
+  channel.connect();
+
+  await supervisor.start();
+
+  await startControlApi({
+    getWorkers: () => new Map(Array.from(supervisor.workers, ([roomName, entry]) => [roomName, entry.worker])),
+    getStatus: () => ({ mode: 'supervisor', rooms: supervisor.getStatus() }),
+  });
+
+  setInterval(() => {
+    console.log('📊 Supervisor', JSON.stringify(supervisor.getStatus(), null, 2));
+  }, 30000);
+}
+
 // Main execution
 async function main() {
   console.log('🚀 Starting LiveKit Audio Worker with STT → TTS Pipeline...');
   
-  const worker = new LiveKitAudioWorker();
-  
   try {
-    // Get room name from command line args or use default
-    const roomName = process.argv[2] || 'default-room';
-    
-    await worker.connectToRoom(roomName);
-    
-    // Log status every 30 seconds - capture room reference to avoid scope issues
-    const roomRef = worker.room;
-    setInterval(() => {
-      logRoomStatus(roomRef, 'Periodic');
-    }, 30000);
+    // A room name on the command line runs a single room, otherwise rooms are managed automatically
+    const roomName = process.argv[2];
+    if (roomName) {
+      await runSingleRoom(roomName);
+    } else {
+      await runSupervisor();
+    }
     
     console.log('✅ Audio worker with STT → TTS pipeline is running. Press Ctrl+C to stop.');
     